@@ -0,0 +1,385 @@
+/**
+ * Block editor script for the WP Read Tools plugin.
+ *
+ * Registers the editor side of the "Reading Time" block. The block is
+ * rendered by PHP (WP_Read_Tools_Block::render_block()), so the editor shows
+ * a server-side rendered preview and saves only the block attributes, which
+ * are declared in PHP and passed to the editor by WordPress. The reading
+ * time of the preview is recomputed from the content being edited.
+ *
+ * @package WP_Read_Tools
+ * @since 1.2.0
+ */
+(function(wp) {
+    const el = wp.element.createElement;
+    const __ = wp.i18n.__;
+    const blockEditor = wp.blockEditor || wp.editor;
+    const components = wp.components;
+    const ServerSideRender = wp.serverSideRender || components.ServerSideRender;
+    const settings = window.readToolsBlockSettings || {};
+
+    /**
+     * Chinese and Japanese characters, counted one by one instead of as words.
+     *
+     * @since 1.2.0
+     * @type {RegExp}
+     */
+    const CJK_PATTERN = (function() {
+        try {
+            return new RegExp('(?!\\p{P})[\\p{scx=Han}\\p{scx=Hiragana}\\p{scx=Katakana}]', 'gu');
+        } catch (e) {
+            return /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]/g;
+        }
+    })();
+
+    /**
+     * Words counted where Intl.Segmenter is unavailable.
+     *
+     * @since 1.2.0
+     * @type {RegExp}
+     */
+    const WORD_PATTERN = (function() {
+        try {
+            return new RegExp('[\\p{L}\\p{N}\\p{M}]+(?:[\'\u2019.\\-][\\p{L}\\p{N}\\p{M}]+)*', 'gu');
+        } catch (e) {
+            return /[^\s!-\/:-@\[-`{-~]+/g;
+        }
+    })();
+
+    /**
+     * Reading time observers of the previews, keyed by block client ID.
+     *
+     * @since 1.2.0
+     * @type {Object<string, MutationObserver>}
+     */
+    const previewObservers = {};
+
+    /**
+     * Returns the registered default of a block attribute.
+     *
+     * Defaults are declared in PHP and follow Settings → Read Tools, so
+     * cleared fields go back to the site's value rather than a fixed one.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} attribute - Attribute name
+     * @return {*} Default value
+     */
+    function getDefault(attribute) {
+        return wp.blocks.getBlockType('wp-read-tools/readtime').attributes[attribute].default;
+    }
+
+    /**
+     * Renders a text field bound to a string attribute.
+     *
+     * @since 1.2.0
+     *
+     * @param {Object} props     - Block edit props
+     * @param {string} attribute - Attribute name
+     * @param {string} label     - Field label
+     * @param {string} [help]    - Help text below the field
+     * @return {WPElement} The field
+     */
+    function textField(props, attribute, label, help) {
+        return el(components.TextControl, {
+            label: label,
+            help: help,
+            value: props.attributes[attribute],
+            onChange: function(value) {
+                const change = {};
+                change[attribute] = value;
+                props.setAttributes(change);
+            }
+        });
+    }
+
+    /**
+     * Renders a toggle bound to a boolean attribute.
+     *
+     * @since 1.2.0
+     *
+     * @param {Object} props     - Block edit props
+     * @param {string} attribute - Attribute name
+     * @param {string} label     - Toggle label
+     * @return {WPElement} The toggle
+     */
+    function toggleField(props, attribute, label) {
+        return el(components.ToggleControl, {
+            label: label,
+            checked: !!props.attributes[attribute],
+            onChange: function(value) {
+                const change = {};
+                change[attribute] = value;
+                props.setAttributes(change);
+            }
+        });
+    }
+
+    /**
+     * Counts the words of a text, as the front-end script does.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} text - Plain text
+     * @return {{words: number, characters: number}} Word and Chinese/Japanese character counts
+     */
+    function countWords(text) {
+        const characters = (text.match(CJK_PATTERN) || []).length;
+        const rest = characters > 0 ? text.replace(CJK_PATTERN, ' ') : text;
+
+        if (window.Intl && typeof Intl.Segmenter === 'function') {
+            try {
+                const segmenter = new Intl.Segmenter(document.documentElement.lang || undefined, { granularity: 'word' });
+                let words = 0;
+                for (const segment of segmenter.segment(rest)) {
+                    if (segment.isWordLike) {
+                        words++;
+                    }
+                }
+                return { words: words, characters: characters };
+            } catch (e) {
+                // Invalid editor language tag; fall through to the pattern
+            }
+        }
+
+        return { words: (rest.match(WORD_PATTERN) || []).length, characters: characters };
+    }
+
+    /**
+     * Counts what the reading time of edited post content is made of.
+     *
+     * Shortcode tags are dropped but their inner text is kept, as in
+     * WP_Read_Tools_Shortcode::get_reading_time().
+     *
+     * @since 1.2.0
+     *
+     * @param {string} content - Post content (block markup)
+     * @return {{words: number, characters: number, images: number, codeWords: number}} Counts
+     */
+    function countContent(content) {
+        const html = String(content || '').replace(/\[\/?\w[^\]]*\]/g, '');
+        const body = new window.DOMParser().parseFromString(html, 'text/html').body;
+
+        Array.prototype.forEach.call(body.querySelectorAll('script, style'), function(node) {
+            node.parentNode.removeChild(node);
+        });
+
+        let codeWords = 0;
+        Array.prototype.forEach.call(body.querySelectorAll('pre'), function(node) {
+            codeWords += countWords(node.textContent).words;
+        });
+
+        const counts = countWords(body.textContent.trim());
+        return {
+            words: counts.words,
+            characters: counts.characters,
+            images: body.querySelectorAll('img').length,
+            codeWords: codeWords
+        };
+    }
+
+    /**
+     * Formats a number with the site's separators (see WP_Read_Tools_Shortcode::get_number_format()).
+     *
+     * @since 1.2.0
+     *
+     * @param {number} number   - Number to format
+     * @param {number} decimals - Decimal places
+     * @return {string} Formatted number
+     */
+    function formatNumber(number, decimals) {
+        const separators = settings.numberFormat || {};
+        const parts = number.toFixed(decimals).split('.');
+        parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, separators.thousands === undefined ? ',' : separators.thousands);
+        return parts.join(separators.decimal || '.');
+    }
+
+    /**
+     * Replaces the reading time in a rendered preview.
+     *
+     * Uses the model of WP_Read_Tools_Shortcode::get_reading_time(), with the
+     * reading speed and time format the server rendered on the line. The
+     * line is left alone when it already shows the right time, so the
+     * preview observer doesn't react to its own change.
+     *
+     * @since 1.2.0
+     *
+     * @param {Element} preview - Preview container
+     * @param {Object}  counts  - Result of countContent()
+     * @return {void}
+     */
+    function showReadingTime(preview, counts) {
+        const line = preview.querySelector('.read-time-line');
+        const format = line && line.getAttribute('data-time-format');
+        if (!format) {
+            return;
+        }
+
+        const factors = settings.readingTime || {};
+        const wpm = parseInt(line.getAttribute('data-wpm'), 10) || 1;
+        const codeFactor = parseFloat(factors.code_factor) || 1;
+
+        let minutes = (counts.words + counts.codeWords * (codeFactor - 1)) / wpm;
+        if (factors.cpm > 0) {
+            minutes += counts.characters / factors.cpm;
+        }
+        for (let i = 0; i < counts.images; i++) {
+            minutes += Math.max(factors.min_image_seconds || 0, (factors.image_seconds || 0) - i) / 60;
+        }
+        minutes = Math.round(minutes * 100) / 100;
+
+        const text = ' ' + format.replace('%s', formatNumber(Math.ceil(minutes * 2) / 2, 1));
+        if (line.textContent === text) {
+            return;
+        }
+
+        const icon = line.querySelector('i');
+        line.textContent = text;
+        if (icon) {
+            line.insertBefore(icon, line.firstChild);
+        }
+        line.setAttribute('title', (settings.readTimeTooltipText || 'Estimated reading time: %s minutes').replace('%s', formatNumber(minutes, 2)));
+    }
+
+    /**
+     * Returns a ref callback that keeps a preview's reading time current.
+     *
+     * The server-side render replaces the preview markup whenever it loads,
+     * so the time is applied again on every change. A new callback on each
+     * render disconnects the previous observer.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} clientId - Block client ID
+     * @param {Object} counts   - Result of countContent()
+     * @return {Function} Ref callback for the preview container
+     */
+    function followReadingTime(clientId, counts) {
+        return function(node) {
+            if (previewObservers[clientId]) {
+                previewObservers[clientId].disconnect();
+                delete previewObservers[clientId];
+            }
+            if (!node) {
+                return;
+            }
+
+            showReadingTime(node, counts);
+            if (window.MutationObserver) {
+                previewObservers[clientId] = new MutationObserver(function() {
+                    showReadingTime(node, counts);
+                });
+                previewObservers[clientId].observe(node, { childList: true, subtree: true, characterData: true });
+            }
+        };
+    }
+
+    /**
+     * Renders the block sidebar controls and the server-side preview.
+     *
+     * The preview is requested again whenever an attribute changes, and after
+     * the post is saved (its modified date is part of the request). Its
+     * reading time is recomputed in the browser from the content being
+     * edited, so it changes while typing.
+     *
+     * @since 1.2.0
+     *
+     * @param {Object} props - Block edit props
+     * @return {WPElement} The editor view of the block
+     */
+    function Edit(props) {
+        const attributes = props.attributes;
+        const limits = settings.limits || {};
+        const wpmLimits = limits.wpm || {};
+        const rateLimits = limits.rate || {};
+
+        const inspector = el(blockEditor.InspectorControls, {},
+            el(components.PanelBody, { title: __('Reading time', 'wp-read-tools') },
+                el(components.RangeControl, {
+                    label: __('Words per minute', 'wp-read-tools'),
+                    value: attributes.wpm,
+                    min: wpmLimits.min || 1,
+                    max: wpmLimits.max || 1000,
+                    step: wpmLimits.step || 1,
+                    onChange: function(value) {
+                        props.setAttributes({ wpm: value || getDefault('wpm') });
+                    }
+                }),
+                textField(props, 'containerClass', __('Container CSS class', 'wp-read-tools'))
+            ),
+            el(components.PanelBody, { title: __('Read aloud', 'wp-read-tools') },
+                toggleField(props, 'readAloud', __('Show read-aloud link', 'wp-read-tools')),
+                attributes.readAloud && el(wp.element.Fragment, {},
+                    textField(props, 'linkText', __('Link text', 'wp-read-tools'), __('Leave empty for "Listen".', 'wp-read-tools')),
+                    textField(props, 'iconClass', __('Icon class', 'wp-read-tools'), __('Font Awesome classes, e.g. "fas fa-headphones".', 'wp-read-tools')),
+                    toggleField(props, 'highlight', __('Highlight text being read', 'wp-read-tools')),
+                    toggleField(props, 'player', __('Show mini-player', 'wp-read-tools')),
+                    el(components.RangeControl, {
+                        label: __('Default speed', 'wp-read-tools'),
+                        value: attributes.rate,
+                        min: rateLimits.min || 0.5,
+                        max: rateLimits.max || 2,
+                        step: rateLimits.step || 0.05,
+                        onChange: function(value) {
+                            props.setAttributes({ rate: value || getDefault('rate') });
+                        }
+                    }),
+                    textField(props, 'voice', __('Default voice', 'wp-read-tools'), __('Voice name or part of it, e.g. "Sabina". Leave empty for automatic selection.', 'wp-read-tools')),
+                    el(components.SelectControl, {
+                        label: __('Content delivery', 'wp-read-tools'),
+                        help: __('Prefetching and inlining remove the wait before the first word.', 'wp-read-tools'),
+                        value: attributes.delivery,
+                        options: [
+                            { value: 'lazy', label: __('Fetch on click', 'wp-read-tools') },
+                            { value: 'prefetch', label: __('Prefetch on hover or when visible', 'wp-read-tools') },
+                            { value: 'inline', label: __('Inline in the page', 'wp-read-tools') }
+                        ],
+                        onChange: function(value) {
+                            props.setAttributes({ delivery: value });
+                        }
+                    })
+                )
+            ),
+            el(components.PanelBody, { title: __('Content', 'wp-read-tools'), initialOpen: false },
+                textField(props, 'contentId', __('Content container ID', 'wp-read-tools')),
+                textField(props, 'include', __('Include selectors', 'wp-read-tools'), __('Comma-separated CSS selectors of the content to read from the page.', 'wp-read-tools')),
+                textField(props, 'exclude', __('Exclude selectors', 'wp-read-tools'), __('Comma-separated CSS selectors of elements never read.', 'wp-read-tools'))
+            )
+        );
+
+        const preview = el('div', { ref: followReadingTime(props.clientId, countContent(props.content)) },
+            el(components.Disabled, {},
+                el(ServerSideRender, {
+                    block: 'wp-read-tools/readtime',
+                    attributes: attributes,
+                    urlQueryArgs: { modified: props.modified }
+                })
+            )
+        );
+
+        return el(wp.element.Fragment, {}, inspector, preview);
+    }
+
+    wp.blocks.registerBlockType('wp-read-tools/readtime', {
+        title: __('Reading Time', 'wp-read-tools'),
+        description: __('Estimated reading time with an optional read-aloud link.', 'wp-read-tools'),
+        category: 'widgets',
+        icon: 'clock',
+        keywords: [__('read aloud', 'wp-read-tools'), __('listen', 'wp-read-tools'), 'tts'],
+        supports: {
+            html: false,
+            customClassName: false
+        },
+        edit: wp.data.withSelect(function(select) {
+            const editor = select('core/editor');
+            return {
+                modified: editor ? editor.getEditedPostAttribute('modified') : '',
+                content: editor ? editor.getEditedPostContent() : ''
+            };
+        })(Edit),
+        // Rendered by PHP
+        save: function() {
+            return null;
+        }
+    });
+})(window.wp);
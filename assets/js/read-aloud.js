@@ -23,503 +23,5243 @@
  * @since 1.0.0
  *
  * @property {boolean}                isPaused         Whether speech is currently paused
- * @property {SpeechSynthesisUtterance|null} currentUtterance Current speech utterance object
- * @property {number}                 resumePoint      Position to resume from (future use)
+ * @property {Object|null}            currentUtterance Token of the utterance being spoken (a SpeechSynthesisUtterance with Web Speech)
+ * @property {number}                 resumePoint      Index of the chunk narration resumes from
+ * @property {Array<Object>}          chunks           Sentence chunks queued for narration
+ * @property {number}                 index            Index of the chunk currently being spoken
+ * @property {number}                 retries          Retry attempts made for the current chunk
+ * @property {string}                 lang             Language tag of the post (e.g. 'es-MX')
+ * @property {string}                 langCode         Two-letter language code used for voice selection
+ * @property {Object|null}            highlight        Text index and state for highlighting the text being read
+ * @property {number}                 rate             Speech rate (0.5 to 2)
+ * @property {string}                 voice            URI or name of the voice chosen by the listener or the shortcode
+ * @property {number}                 charOffset       Character offset of the word being spoken
+ * @property {string}                 engine           Name of the speech engine in use ('webspeech' or 'audio')
  */
 
 jQuery(document).ready(function($) {
+    /**
+     * Approximate number of characters spoken per minute at a rate of 1.0,
+     * used to estimate the listening time left.
+     *
+     * @since 1.2.0
+     * @type {number}
+     */
+    const SPOKEN_CHARS_PER_MINUTE = 900;
+
+    /**
+     * Speed presets offered by the mini-player.
+     *
+     * @since 1.2.0
+     * @type {Array<number>}
+     */
+    const RATE_PRESETS = [0.75, 1, 1.25, 1.5, 1.75, 2];
+
+    /**
+     * Maximum number of characters spoken by a single utterance.
+     * Some engines (notably Chrome) silently stop long utterances after ~15 seconds.
+     *
+     * @since 1.2.0
+     * @type {number}
+     */
+    const MAX_CHUNK_LENGTH = 200;
+
+    /**
+     * Largest word comparison (displayed words times spoken words) made when
+     * lining up a segment with its spoken form; longer segments that differ
+     * in many places are mapped as a single replacement.
+     *
+     * @since 1.2.0
+     * @type {number}
+     */
+    const MAX_ALIGNMENT_CELLS = 250000;
+
+    /**
+     * Number of times a failed chunk is retried before narration is paused on it.
+     *
+     * @since 1.2.0
+     * @type {number}
+     */
+    const MAX_CHUNK_RETRIES = 2;
+
+    /**
+     * Number of times a rate-limited (429) request is repeated before giving up.
+     *
+     * @since 1.2.0
+     * @type {number}
+     */
+    const MAX_RATE_LIMIT_RETRIES = 3;
+
+    /**
+     * Longest back-off, in seconds, waited for on a rate-limited request.
+     * Longer Retry-After delays end in an error with a retry action instead.
+     *
+     * @since 1.2.0
+     * @type {number}
+     */
+    const MAX_RETRY_DELAY = 60;
+
+    /**
+     * Silence between blocks, in milliseconds. Headings get a longer pause
+     * so they stand apart from the section they introduce.
+     *
+     * @since 1.2.0
+     * @type {Object}
+     */
+    const BLOCK_PAUSES = {
+        block: 400,
+        heading: 700
+    };
+
+    /**
+     * Pitch and rate multiplier used to voice headings.
+     *
+     * @since 1.2.0
+     * @type {Object}
+     */
+    const HEADING_VOICE = {
+        pitch: 1.15,
+        rate: 0.9
+    };
+
+    /**
+     * How long to wait for the browser to load speech synthesis voices, in
+     * milliseconds, before treating Web Speech as unavailable.
+     *
+     * @since 1.2.0
+     * @type {number}
+     */
+    const VOICES_TIMEOUT = 3000;
+
+    /**
+     * Seconds server audio may drift from the estimated start of a chunk
+     * before playback is moved to it.
+     *
+     * @since 1.2.0
+     * @type {number}
+     */
+    const AUDIO_SEEK_TOLERANCE = 1.5;
+
+    /**
+     * Regions never read aloud: page chrome, ARIA landmarks other than the
+     * main content, hidden markup and the plugin's own interface.
+     *
+     * @since 1.2.0
+     * @type {string}
+     */
+    const SKIPPED_REGIONS = [
+        'nav', 'aside', 'header', 'footer', 'form', 'dialog',
+        '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+        '[role="complementary"]', '[role="search"]', '[role="form"]', '[role="dialog"]',
+        'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'button', 'select', 'textarea',
+        '[hidden]', '[aria-hidden="true"]',
+        '.read-time-line', '.read-aloud-line', '.read-aloud-controls', '.read-aloud-playlist',
+        '.read-aloud-player', '.read-aloud-highlight-layer'
+    ].join(', ');
+
+    /**
+     * Class and ID words of comment sections, share widgets and similar page
+     * furniture. Elements matching CONTENT_HINT_PATTERN are kept anyway.
+     *
+     * @since 1.2.0
+     * @type {RegExp}
+     */
+    const NOISE_PATTERN = /comment|share|sharing|social|related|widget|newsletter|subscribe|breadcrumb|cookie|consent|popup|modal|menu|pagination|pager|sponsor|promo|advert|\bads?\b|author-?bio|byline|tags?-?links/i;
+
+    /**
+     * Class and ID words of containers likely to hold the article text, e.g.
+     * `entry-content`, `fusion-text`, `elementor-text-editor`, `et_pb_text`
+     * (Divi) or `fl-rich-text` (Beaver Builder).
+     *
+     * @since 1.2.0
+     * @type {RegExp}
+     */
+    const CONTENT_HINT_PATTERN = /article|body|column|content|entry|main|text|prose|story/i;
+
+    /**
+     * Elements scored as paragraphs by the content extractor.
+     *
+     * @since 1.2.0
+     * @type {string}
+     */
+    const PARAGRAPH_SELECTOR = 'p, pre, blockquote, li, dd, td, figcaption, div';
+
+    /**
+     * Content elements offering "Read from here" when hovered.
+     *
+     * @since 1.2.0
+     * @type {string}
+     */
+    const FROM_HERE_SELECTOR = 'p, li, blockquote, h2, h3, h4, h5, h6';
+
+    /**
+     * Block-level elements; their boundaries become line breaks in extracted text.
+     *
+     * @since 1.2.0
+     * @type {RegExp}
+     */
+    const BLOCK_TAG_PATTERN = /^(ADDRESS|ARTICLE|BLOCKQUOTE|BR|DD|DIV|DL|DT|FIGCAPTION|FIGURE|H[1-6]|HR|LI|MAIN|OL|P|PRE|SECTION|TABLE|TD|TH|TR|UL)$/;
+
+    /**
+     * Characters indexed when matching spoken text to the rendered page.
+     * Falls back to Latin, Greek, Cyrillic and CJK ranges where Unicode
+     * property escapes are unsupported.
+     *
+     * @since 1.2.0
+     * @type {RegExp}
+     */
+    const KEY_CHAR_PATTERN = (function() {
+        try {
+            return new RegExp('[\\p{L}\\p{N}]', 'u');
+        } catch (e) {
+            return /[0-9A-Za-z\u00C0-\u024F\u0370-\u04FF\u3040-\u9FFF\uAC00-\uD7AF]/;
+        }
+    })();
+
+    /**
+     * Chinese and Japanese characters, which reading time counts one by one
+     * instead of as words (see WP_Read_Tools_Shortcode::count_words()).
+     *
+     * @since 1.2.0
+     * @type {RegExp}
+     */
+    const CJK_PATTERN = (function() {
+        try {
+            return new RegExp('(?!\\p{P})[\\p{scx=Han}\\p{scx=Hiragana}\\p{scx=Katakana}]', 'gu');
+        } catch (e) {
+            return /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]/g;
+        }
+    })();
+
+    /**
+     * Words counted where Intl.Segmenter is unavailable: runs of letters and
+     * numbers, joined by apostrophes, periods or hyphens.
+     *
+     * @since 1.2.0
+     * @type {RegExp}
+     */
+    const WORD_PATTERN = (function() {
+        try {
+            return new RegExp('[\\p{L}\\p{N}\\p{M}]+(?:[\'\u2019.\\-][\\p{L}\\p{N}\\p{M}]+)*', 'gu');
+        } catch (e) {
+            return /[^\s!-\/:-@\[-`{-~]+/g;
+        }
+    })();
+
+    /**
+     * Maximum distance (in indexed characters) between consecutive chunks
+     * when locating them in the page, so short chunks are not matched far ahead.
+     *
+     * @since 1.2.0
+     * @type {number}
+     */
+    const HIGHLIGHT_SEARCH_WINDOW = 5000;
+
+    /**
+     * Listening progress (percent) reported by analytics.
+     *
+     * @since 1.2.0
+     * @type {Array<number>}
+     */
+    const PROGRESS_MILESTONES = [25, 50, 75];
+
+    /**
+     * CSS Custom Highlight API registry names for the sentence and word highlights.
+     *
+     * @since 1.2.0
+     * @type {Object}
+     */
+    const HIGHLIGHT_NAMES = {
+        sentence: 'wp-read-tools-sentence',
+        word: 'wp-read-tools-word'
+    };
+
+    /**
+     * Whether the browser supports the CSS Custom Highlight API.
+     *
+     * @since 1.2.0
+     * @type {boolean}
+     */
+    const SUPPORTS_HIGHLIGHT_API = !!(window.CSS && CSS.highlights && typeof window.Highlight === 'function');
+
+    /**
+     * Speech content loaded before the click, by post ID: content inlined in
+     * the page and prefetched responses, or the requests waiting for a
+     * prefetch still in flight.
+     *
+     * @since 1.2.0
+     * @type {Object<string, {response: ?Object, waiting: Array<Object>}>}
+     */
+    const preloadedContent = {};
+
+    /**
+     * Prefetches the content of delivery="prefetch" links that scroll into
+     * view; null in browsers without IntersectionObserver.
+     *
+     * @since 1.2.0
+     * @type {?IntersectionObserver}
+     */
+    const prefetchObserver = window.IntersectionObserver ? new IntersectionObserver(function(entries, observer) {
+        entries.forEach(function(entry) {
+            if (entry.isIntersecting) {
+                observer.unobserve(entry.target);
+                prefetchContent($(entry.target).data('post-id'));
+            }
+        });
+    }, { rootMargin: '200px' }) : null;
+
     /**
      * Initialize global speech state tracking.
      * This object maintains the state of speech synthesis across the application.
      */
-    window.speechState = {
-        isPaused: false,
-        currentUtterance: null,
-        resumePoint: 0
-    };
+    window.speechState = createSpeechState();
+
+    /**
+     * Speech engines narration can run on.
+     *
+     * Each engine speaks one chunk at a time and reports progress through
+     * handlers shaped like SpeechSynthesisUtterance events (onstart,
+     * onboundary, onend, onerror). speak() returns a token for the utterance
+     * so callbacks of cancelled utterances can be told apart.
+     *
+     * - isSupported(): whether the engine can run in this browser
+     * - prepare(link, done): loads what the engine needs, then calls done(ready)
+     * - speak(chunk, index, handlers): speaks a chunk (index -1 for announcements outside the queue)
+     * - cancel(): stops speaking
+     * - release(): frees what prepare() loaded once narration ends
+     * - blockPauses: whether silence has to be inserted between blocks
+     *
+     * @since 1.2.0
+     * @type {Object}
+     */
+    const ENGINES = {
+        webspeech: {
+            blockPauses: true,
+            isSupported: function() {
+                return 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+            },
+            prepare: function(link, done) {
+                whenVoicesReady(done);
+            },
+            speak: speakWithWebSpeech,
+            cancel: function() {
+                if (ENGINES.webspeech.isSupported()) {
+                    window.speechSynthesis.cancel();
+                }
+            },
+            release: function() {}
+        },
+        audio: {
+            blockPauses: false,
+            element: null,
+            spans: [],
+            current: null,
+            isSupported: function() {
+                return !!readAloudSettings.audio && typeof window.Audio === 'function';
+            },
+            prepare: loadServerAudio,
+            speak: speakWithServerAudio,
+            cancel: cancelServerAudio,
+            release: releaseServerAudio
+        }
+    };
+
+    /**
+     * Main click event handler for read-aloud trigger links.
+     *
+     * Clicking the link of the active narration pauses or resumes it;
+     * clicking any other link starts narrating that post. Delegated, so
+     * links added after page load (infinite scroll, AJAX-loaded cards) work
+     * too.
+     *
+     * @since 1.0.0
+     *
+     * @param {Event} e - The click event object
+     */
+    $(document).on('click', '.read-aloud-trigger', function(e) {
+        e.preventDefault();
+        toggleNarration($(this));
+    });
+
+    /**
+     * Prefetches the content of delivery="prefetch" links about to be clicked.
+     *
+     * @since 1.2.0
+     */
+    $(document).on('mouseenter focusin touchstart', '.read-aloud-trigger[data-delivery="prefetch"]', function() {
+        prefetchContent($(this).data('post-id'));
+    });
+
+    /**
+     * Starts, pauses or resumes the narration of a read-aloud link.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link - The jQuery object for the trigger link
+     * @return {void}
+     */
+    function toggleNarration(link) {
+        // The link that owns the current narration toggles pause/resume
+        if (window.activeReadAloudLink && link.is(window.activeReadAloudLink)) {
+            if (window.speechState.chunks.length === 0) {
+                stopNarration(); // Still loading: treat the click as a cancel
+            } else if (window.speechState.isPaused) {
+                resumeNarration();
+            } else {
+                pauseNarration();
+            }
+            return;
+        }
+
+        startNarration(link);
+    }
+
+    /**
+     * Starts narrating the post of a read-aloud link.
+     *
+     * Handles all text-to-speech functionality including:
+     * - Stopping current speech when switching between posts
+     * - AJAX requests to fetch post content
+     * - Splitting content into a queue of sentence chunks
+     * - UI state management and visual feedback
+     *
+     * A selection narrates only the selected text (the post is still
+     * requested for its language and pronunciation rules) and saves no
+     * listening position. Starting from an element narrates the post from
+     * the chunk of that element to the end.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery}  link                - The jQuery object for the trigger link
+     * @param {Object}  [options]           - Partial narration
+     * @param {string}  [options.selection] - Selected text to read instead of the post
+     * @param {Range}   [options.range]     - Range of the selection, to highlight it in place
+     * @param {Element} [options.from]      - Content element to start reading from
+     * @return {void}
+     */
+    function startNarration(link, options) {
+        options = options || {};
+
+        if (!dispatchNarrationEvent(link, 'start', {})) {
+            return; // Cancelled by a wpreadtools:start listener
+        }
+
+        const postId = link.data('post-id');
+        const icon = link.find('.fas');
+        const originalLinkText = link.data('original-text') || getLinkText(link);
+
+        // Stop any narration started from another link before starting this one
+        if (window.activeReadAloudLink) {
+            stopNarration();
+        }
+
+        clearLinkError(link);
+
+        let engines = getEngineCandidates();
+        if (engines.length === 0) {
+            showLinkError(link, readAloudSettings.unsupportedText || 'Your browser does not support text-to-speech.', null, 'unsupported');
+            return;
+        }
+
+        // Reset state for the new narration
+        window.speechState = createSpeechState();
+        window.speechState.selection = !!options.selection;
+
+        // Store current link state globally to reset if another link is clicked
+        window.activeReadAloudLink = link;
+        window.activeReadAloudIcon = icon;
+        window.originalReadAloudText = originalLinkText;
+
+        link.closest('.read-aloud-line').find('.read-aloud-start-over').remove();
+        setLinkLoading(link, icon);
+
+        requestContent(postId, {
+            isStale: function() {
+                return !window.activeReadAloudLink || !link.is(window.activeReadAloudLink);
+            },
+            retrying: function(seconds) {
+                updateLinkText(link, (readAloudSettings.retryingText || 'Server busy, retrying in %d s…').replace('%d', seconds));
+            },
+            success: function(response) {
+                // Check if the current link is still the one being processed
+                if (!window.activeReadAloudLink || !link.is(window.activeReadAloudLink)) {
+                    return; // Another link was clicked, abort this one
+                }
+
+                if (response.success) {
+                    let content = response.data.content;
+                    if (!content) {
+                        abortNarration(link, readAloudSettings.errorText || 'Error: Empty content received.', 'empty_content');
+                        return;
+                    }
+
+                    // Structured segments keep block boundaries; older servers only send the string
+                    let segments = Array.isArray(response.data.segments) ? response.data.segments : [];
+
+                    let extracted = false;
+
+                    // Read the selection, or extract the content on the frontend when needed
+                    if (options.selection || content.includes('<!-- WP_READ_TOOLS_FRONTEND_EXTRACTION_NEEDED -->')) {
+                        content = options.selection || extractFrontendContent(postId, link);
+                        segments = [];
+                        extracted = true;
+                        // Server audio covers the stored post, not a selection or text only on the rendered page
+                        engines = engines.filter(function(name) {
+                            return name !== 'audio';
+                        });
+                        if (!content) {
+                            abortNarration(link, readAloudSettings.errorText || 'No readable content found on this page.', 'empty_content');
+                            return;
+                        }
+                    }
+
+                    const chunks = segments.length > 0 ? buildChunks(segments) : splitIntoChunks(content);
+                    if (chunks.length === 0) {
+                        abortNarration(link, readAloudSettings.errorText || 'No readable content found on this page.', 'empty_content');
+                        return;
+                    }
+
+                    // Headings of the rendered page are only known from its DOM; a selection has no chapters
+                    if (extracted && !options.selection) {
+                        markHeadings(chunks, link);
+                    }
+                    window.speechState.chapters = buildChapters(chunks);
+                    window.speechState.skimmed = getSkimmedChunks(chunks);
+
+                    // Polylang/WPML post language first, so listing pages can mix languages
+                    const pageLang = response.data.lang || document.documentElement.lang || navigator.language || 'en-US';
+                    window.speechState.chunks = chunks;
+                    window.speechState.lang = pageLang;
+                    window.speechState.langCode = getLanguageCode(pageLang);
+
+                    // The server already applied the lexicon to its content and segments, not to page text
+                    if (extracted) {
+                        applyPronunciation(chunks, response.data.lexicon);
+                    }
+
+                    // Listener choices from earlier visits win over the shortcode defaults
+                    window.speechState.rate = normalizeRate(readPreference('rate', link.data('rate')));
+                    window.speechState.voice = readPreference('voice_' + window.speechState.langCode, link.data('voice') || '');
+
+                    // Wait for the engine (browser voices or server audio); fall back to the next one if it fails
+                    prepareEngine(link, engines, function(engine) {
+                        // Check again if the link is still active before speaking
+                        if (!window.activeReadAloudLink || !link.is(window.activeReadAloudLink)) {
+                            return;
+                        }
+
+                        if (!engine) {
+                            abortNarration(link, readAloudSettings.unsupportedText || 'Your browser does not support text-to-speech.', 'unsupported');
+                            return;
+                        }
+
+                        window.speechState.engine = engine;
+                        prepareHighlighting(link, options.range);
+                        showControls(link);
+                        showPlayer(link);
+                        setupMediaSession(link);
+                        if (!window.speechState.isPaused) {
+                            let startIndex = 0;
+                            if (options.from) {
+                                startIndex = findChunkForElement(options.from);
+                            } else if (!options.selection) {
+                                startIndex = getSavedStartIndex(link, chunks.length);
+                            }
+                            window.speechState.index = window.speechState.resumePoint = startIndex;
+                            if (window.readAloudPlaylist) {
+                                // Announce each post of "Listen to all" by its title
+                                speakAnnouncement(link.data('title'), function() {
+                                    speakChunk(startIndex);
+                                });
+                            } else {
+                                speakChunk(startIndex);
+                            }
+                        }
+                    });
+                } else {
+                    abortNarration(link, response.data.message || readAloudSettings.errorText, response.data.debug || 'server'); // Use localized error text
+                }
+            },
+            error: function(xhr, status, error) {
+                // Check if the current link is still the one being processed
+                if (!window.activeReadAloudLink || !link.is(window.activeReadAloudLink)) {
+                    return; // Another link was clicked, abort this one
+                }
+
+                console.error("WP Read Tools AJAX error:", {
+                    status: status,
+                    error: error,
+                    responseText: xhr.responseText,
+                    statusCode: xhr.status,
+                    postId: postId,
+                    ajaxUrl: readAloudSettings.ajax_url
+                });
+
+                let errorMessage = readAloudSettings.errorText || 'Error communicating with the server.';
+
+                // Try to get more specific error from response
+                const response = parseJsonResponse(xhr);
+                if (response && response.data && response.data.message) {
+                    errorMessage = response.data.message;
+                }
+
+                abortNarration(link, errorMessage, (response && response.data && response.data.debug) || 'http_' + xhr.status);
+            }
+        });
+    }
+
+    /**
+     * Click handler for the narration controls shown next to the active link.
+     *
+     * @since 1.2.0
+     *
+     * @param {Event} e - The click event object
+     */
+    $(document).on('click', '.read-aloud-controls .read-aloud-control', function(e) {
+        e.preventDefault();
+        if (!window.activeReadAloudLink || window.speechState.chunks.length === 0) {
+            return;
+        }
+
+        switch ($(this).data('action')) {
+            case 'previous-paragraph':
+                skipBy('paragraph', -1);
+                break;
+            case 'previous-sentence':
+                skipBy('sentence', -1);
+                break;
+            case 'next-sentence':
+                skipBy('sentence', 1);
+                break;
+            case 'next-paragraph':
+                skipBy('paragraph', 1);
+                break;
+            case 'previous-section':
+                skipBy('section', -1);
+                break;
+            case 'next-section':
+                skipBy('section', 1);
+                break;
+            case 'highlight':
+                toggleHighlight($(this));
+                break;
+            case 'skim':
+                toggleSkim($(this));
+                break;
+            case 'stop':
+                stopNarration();
+                break;
+        }
+    });
+
+    /**
+     * Chapter list of the narration controls.
+     *
+     * Choosing a chapter moves narration to its heading and resumes it when
+     * paused; the last option reads the table of contents instead.
+     *
+     * @since 1.2.0
+     */
+    $(document).on('change', '.read-aloud-controls .read-aloud-chapters', function() {
+        const value = $(this).val();
+        if (!window.activeReadAloudLink || window.speechState.chunks.length === 0 || !value) {
+            return;
+        }
+
+        if (value === 'contents') {
+            speakTableOfContents();
+        } else {
+            jumpToChunk(parseInt(value, 10));
+            if (window.speechState.isPaused) {
+                resumeNarration();
+            }
+        }
+        updateChapterSelect(window.speechState.index);
+    });
+
+    /**
+     * Keyboard shortcuts for narration.
+     *
+     * Shortcuts come from the wp_read_tools_keyboard_shortcuts filter as
+     * action => key combination pairs (e.g. 'toggle' => 'Alt+Shift+P').
+     * Toggling with no active narration starts the first read-aloud link on
+     * the page. Keys typed into form fields are left alone.
+     *
+     * @since 1.2.0
+     *
+     * @param {KeyboardEvent} e - The keydown event object
+     */
+    $(document).on('keydown', function(e) {
+        const event = e.originalEvent || e;
+        if (event.defaultPrevented || event.repeat || $(event.target).is('input, textarea, select, [contenteditable], [contenteditable] *')) {
+            return;
+        }
+
+        const shortcuts = readAloudSettings.shortcuts || {};
+        const action = Object.keys(shortcuts).find(function(name) {
+            return matchesShortcut(event, shortcuts[name]);
+        });
+        if (!action) {
+            return;
+        }
+
+        const active = window.activeReadAloudLink && window.speechState.chunks.length > 0;
+        const toggleLink = window.activeReadAloudLink || $('.read-aloud-trigger').first();
+        if (action === 'toggle' ? !toggleLink.length : !active) {
+            return;
+        }
+        e.preventDefault();
+
+        switch (action) {
+            case 'toggle':
+                toggleNarration(toggleLink);
+                break;
+            case 'previous-paragraph':
+                skipBy('paragraph', -1);
+                break;
+            case 'previous-sentence':
+                skipBy('sentence', -1);
+                break;
+            case 'next-sentence':
+                skipBy('sentence', 1);
+                break;
+            case 'next-paragraph':
+                skipBy('paragraph', 1);
+                break;
+            case 'previous-section':
+                skipBy('section', -1);
+                break;
+            case 'next-section':
+                skipBy('section', 1);
+                break;
+            case 'highlight':
+                toggleHighlight($('.read-aloud-controls [data-action="highlight"]'));
+                break;
+            case 'skim':
+                toggleSkim($('.read-aloud-controls [data-action="skim"]'));
+                break;
+            case 'stop':
+                stopNarration();
+                break;
+        }
+    });
+
+    /**
+     * Creates a fresh speech state object.
+     *
+     * @since 1.2.0
+     *
+     * @return {Object} Speech state with an empty chunk queue
+     */
+    function createSpeechState() {
+        return {
+            isPaused: false,
+            currentUtterance: null,
+            resumePoint: 0,
+            chunks: [],
+            index: 0,
+            retries: 0,
+            lang: 'en',
+            langCode: 'en',
+            highlight: null,
+            rate: 1,
+            voice: '',
+            charOffset: 0,
+            engine: 'webspeech',
+            status: '',
+            selection: false,
+            chapters: [],
+            skimmed: [],
+            skim: false
+        };
+    }
+
+    /**
+     * Splits plain text into a queue of sentence chunks.
+     *
+     * Paragraphs are separated by line breaks (the server keeps them when
+     * processing content) and narrated as paragraph segments.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} text - Text to split
+     * @return {Array<Object>} Ordered chunks, see buildChunks()
+     */
+    function splitIntoChunks(text) {
+        return buildChunks(String(text || '').split(/\s*\n\s*/).map(function(paragraph) {
+            return { type: 'paragraph', text: paragraph };
+        }));
+    }
+
+    /**
+     * Builds the chunk queue from typed speech segments.
+     *
+     * Each segment is one block (skipping by paragraph moves between blocks)
+     * and is split into sentences at terminal punctuation followed by
+     * whitespace. Sentences longer than MAX_CHUNK_LENGTH are split further at
+     * clause punctuation or word boundaries so no single utterance runs long.
+     *
+     * List, quote, image and skipped code boundaries are announced by extra
+     * chunks flagged as announcements; they are not part of the page text
+     * and are never highlighted.
+     *
+     * Segments with a spoken form ('speech', the text after the server's
+     * pronunciation rules and speech filters) keep their displayed text in
+     * the chunks and give each chunk its part of the spoken form as
+     * chunk.pronunciation.
+     *
+     * @since 1.2.0
+     *
+     * @param {Array<{type: string, text: string, speech: ?string, level: ?number, list: ?number, lang: ?string}>} segments - Segments
+     *        from the server ('heading', 'paragraph', 'list_item', 'quote', 'caption', 'image', 'code')
+     * @return {Array<{text: string, type: string, level: number, announcement: boolean, lang: string, paragraph: number, sentence: number, start: number}>}
+     *         Ordered chunks, each with the character offset where it starts in the narration
+     */
+    function buildChunks(segments) {
+        const chunks = [];
+        const lists = {};
+        let paragraphIndex = 0;
+        let sentenceIndex = 0;
+        let offset = 0;
+
+        // Size, first and last segment of every list; nested lists interrupt their parent
+        segments.forEach(function(segment, i) {
+            if (segment.type === 'list_item' && String(segment.text || '').trim()) {
+                const list = lists[segment.list] = lists[segment.list] || { size: 0, first: i };
+                list.size++;
+                list.last = i;
+            }
+        });
+
+        function addChunk(text, segment, announcement, pronunciation) {
+            chunks.push({
+                text: text,
+                type: segment.type || 'paragraph',
+                level: parseInt(segment.level, 10) || 0,
+                announcement: announcement,
+                lang: announcement ? '' : String(segment.lang || ''),
+                paragraph: paragraphIndex,
+                sentence: sentenceIndex,
+                start: offset,
+                pronunciation: pronunciation || null
+            });
+            offset += text.length + 1;
+        }
+
+        function addAnnouncement(text, segment) {
+            addChunk(text, segment, true);
+            sentenceIndex++;
+        }
+
+        segments.forEach(function(segment, i) {
+            const text = String(segment.text || '').replace(/\s+/g, ' ').trim();
+            const speech = String(segment.speech || '').replace(/\s+/g, ' ').trim();
+            const alignment = speech && speech !== text ? alignSpeech(text, speech) : null;
+            const list = segment.type === 'list_item' ? lists[segment.list] : null;
+            let cursor = 0;
+
+            if (segment.type === 'code') {
+                addAnnouncement(readAloudSettings.codeSkippedText || 'Code block skipped', segment);
+                paragraphIndex++;
+                return;
+            }
+
+            if (!text) {
+                return;
+            }
+
+            if (segment.type === 'image') {
+                addAnnouncement((readAloudSettings.imageText || 'Image: %s').replace('%s', alignment ? speech : text), segment);
+                paragraphIndex++;
+                return;
+            }
+
+            if (list && list.first === i) {
+                addAnnouncement((readAloudSettings.listStartText || 'List with %d items').replace('%d', list.size), segment);
+            } else if (segment.type === 'quote') {
+                addAnnouncement(readAloudSettings.quoteStartText || 'Quote', segment);
+            }
+
+            // Mark sentence ends with a line break (none remain in the text) and split on it
+            text.replace(/([.!?…]+["'”’»)\]]*)\s+/g, '$1\n').split('\n').forEach(function(sentence) {
+                splitLongSentence(sentence.trim()).forEach(function(part) {
+                    const start = text.indexOf(part, cursor);
+                    cursor = start + part.length;
+                    addChunk(part, segment, false, alignment ? sliceSpeech(alignment, start, cursor) : null);
+                });
+                sentenceIndex++;
+            });
+
+            if (list && list.last === i) {
+                addAnnouncement(readAloudSettings.listEndText || 'End of list', segment);
+            } else if (segment.type === 'quote') {
+                addAnnouncement(readAloudSettings.quoteEndText || 'End of quote', segment);
+            }
+
+            paragraphIndex++;
+        });
+
+        return chunks;
+    }
+
+    /**
+     * Returns the silence to leave after a chunk before speaking the next one.
+     *
+     * @since 1.2.0
+     *
+     * @param {number} index - Index of the chunk that just ended
+     * @return {number} Pause in milliseconds, 0 within a block
+     */
+    function getPauseAfter(index) {
+        const chunks = window.speechState.chunks;
+        const next = chunks[getNextChunkIndex(index)];
+        if (!getEngine().blockPauses || !next || next.paragraph === chunks[index].paragraph) {
+            return 0;
+        }
+
+        return chunks[index].type === 'heading' ? BLOCK_PAUSES.heading : BLOCK_PAUSES.block;
+    }
+
+    /**
+     * Returns the chunk to speak after another one.
+     *
+     * In skim mode the chunks outside getSkimmedChunks() are passed over.
+     *
+     * @since 1.2.0
+     *
+     * @param {number} index - Index of the chunk that just ended
+     * @return {number} Index of the next chunk, the queue length at the end
+     */
+    function getNextChunkIndex(index) {
+        const state = window.speechState;
+        let next = index + 1;
+        while (state.skim && next < state.chunks.length && !state.skimmed[next]) {
+            next++;
+        }
+        return next;
+    }
+
+    /**
+     * Numbers the sections of a chunk queue and lists its chapters.
+     *
+     * Every heading starts a section; the text before the first heading is
+     * section 0. Each chunk gets its section number, so skipBy() can move
+     * between sections as it does between sentences and paragraphs.
+     *
+     * @since 1.2.0
+     *
+     * @param {Array<Object>} chunks - Chunk queue, see buildChunks()
+     * @return {Array<{title: string, level: number, index: number, section: number}>} Chapters in
+     *         reading order, with the index of the heading's first chunk
+     */
+    function buildChapters(chunks) {
+        const chapters = [];
+        let section = 0;
+        let paragraph = -1;
+
+        chunks.forEach(function(chunk, index) {
+            const heading = chunk.type === 'heading' && !chunk.announcement;
+            if (heading && chunk.paragraph === paragraph) {
+                chapters[chapters.length - 1].title += ' ' + chunk.text; // Long headings span several chunks
+            } else if (heading) {
+                section++;
+                paragraph = chunk.paragraph;
+                chapters.push({ title: chunk.text, level: chunk.level || 2, index: index, section: section });
+            }
+            chunk.section = section;
+        });
+
+        return chapters;
+    }
+
+    /**
+     * Flags the chunks read in skim mode.
+     *
+     * Skimming reads the headings and the first sentence of every section,
+     * including the text before the first heading. Announcements such as
+     * "List with 3 items" are passed over.
+     *
+     * @since 1.2.0
+     *
+     * @param {Array<Object>} chunks - Chunk queue, see buildChunks()
+     * @return {Array<boolean>} True for each chunk read when skimming
+     */
+    function getSkimmedChunks(chunks) {
+        let sentence = null; // First sentence of the current section, once found
+
+        return chunks.map(function(chunk) {
+            if (chunk.announcement) {
+                return false;
+            }
+            if (chunk.type === 'heading') {
+                sentence = null;
+                return true;
+            }
+            if (sentence === null) {
+                sentence = chunk.sentence;
+            }
+            return chunk.sentence === sentence;
+        });
+    }
+
+    /**
+     * Splits a sentence into parts no longer than MAX_CHUNK_LENGTH.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} sentence - Sentence to split
+     * @return {Array<string>} Sentence parts, empty if the sentence is blank
+     */
+    function splitLongSentence(sentence) {
+        const parts = [];
+        let rest = sentence;
+
+        while (rest.length > MAX_CHUNK_LENGTH) {
+            const head = rest.slice(0, MAX_CHUNK_LENGTH);
+            // Prefer a clause boundary in the second half, then any word boundary
+            let cut = Math.max(head.lastIndexOf(', '), head.lastIndexOf('; '), head.lastIndexOf(': '));
+            if (cut < MAX_CHUNK_LENGTH / 2) {
+                cut = head.lastIndexOf(' ');
+            }
+            cut = cut > 0 ? cut + 1 : MAX_CHUNK_LENGTH;
+
+            parts.push(rest.slice(0, cut).trim());
+            rest = rest.slice(cut).trim();
+        }
+
+        if (rest) {
+            parts.push(rest);
+        }
+
+        return parts;
+    }
+
+    /**
+     * Lines up the displayed text of a segment with its spoken form.
+     *
+     * Words are compared one by one; every run of words that differs
+     * between the two texts becomes a replacement, as in the ranges
+     * toDisplayedRange() maps back.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} text   - Displayed text of the segment
+     * @param {string} speech - Spoken form of the segment
+     * @return {{speech: string, replacements: Array<{start: number, end: number, spokenStart: number, spokenEnd: number}>}}
+     *         Spoken form and the replaced ranges in both texts
+     */
+    function alignSpeech(text, speech) {
+        const displayed = getWords(text);
+        const spoken = getWords(speech);
+        const replacements = [];
+
+        // Words shared at both ends need no comparison
+        let head = 0;
+        while (head < displayed.length && head < spoken.length && displayed[head].word === spoken[head].word) {
+            head++;
+        }
+        let tail = 0;
+        while (tail < displayed.length - head && tail < spoken.length - head &&
+            displayed[displayed.length - 1 - tail].word === spoken[spoken.length - 1 - tail].word) {
+            tail++;
+        }
+
+        const rows = displayed.length - head - tail;
+        const columns = spoken.length - head - tail;
+        const pairs = [[head - 1, head - 1]];
+
+        // Longest common subsequence of the words in between
+        if (rows > 0 && columns > 0 && rows * columns <= MAX_ALIGNMENT_CELLS) {
+            const lengths = new Uint32Array((rows + 1) * (columns + 1));
+            for (let i = rows - 1; i >= 0; i--) {
+                for (let j = columns - 1; j >= 0; j--) {
+                    lengths[i * (columns + 1) + j] = displayed[head + i].word === spoken[head + j].word ?
+                        lengths[(i + 1) * (columns + 1) + j + 1] + 1 :
+                        Math.max(lengths[(i + 1) * (columns + 1) + j], lengths[i * (columns + 1) + j + 1]);
+                }
+            }
+            for (let i = 0, j = 0; i < rows && j < columns;) {
+                if (displayed[head + i].word === spoken[head + j].word) {
+                    pairs.push([head + i, head + j]);
+                    i++;
+                    j++;
+                } else if (lengths[(i + 1) * (columns + 1) + j] >= lengths[i * (columns + 1) + j + 1]) {
+                    i++;
+                } else {
+                    j++;
+                }
+            }
+        }
+        pairs.push([head + rows, head + columns]);
+
+        // The words between two matched ones replace each other
+        for (let k = 1; k < pairs.length; k++) {
+            const from = pairs[k - 1];
+            const to = pairs[k];
+            if (to[0] - from[0] === 1 && to[1] - from[1] === 1) {
+                continue;
+            }
+            const before = displayed[from[0]];
+            const spokenBefore = spoken[from[1]];
+            const start = to[0] - from[0] > 1 ? displayed[from[0] + 1].start : (before ? before.end : 0);
+            const spokenStart = to[1] - from[1] > 1 ? spoken[from[1] + 1].start : (spokenBefore ? spokenBefore.end : 0);
+            replacements.push({
+                start: start,
+                end: to[0] - from[0] > 1 ? displayed[to[0] - 1].end : start,
+                spokenStart: spokenStart,
+                spokenEnd: to[1] - from[1] > 1 ? spoken[to[1] - 1].end : spokenStart
+            });
+        }
+
+        return { speech: speech, replacements: replacements };
+    }
+
+    /**
+     * Splits text into its words and their offsets.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} text - Text to split at whitespace
+     * @return {Array<{word: string, start: number, end: number}>} Words in order
+     */
+    function getWords(text) {
+        const words = [];
+        const regex = /\S+/g;
+        let match;
+        while ((match = regex.exec(text))) {
+            words.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+        }
+        return words;
+    }
+
+    /**
+     * Returns the spoken form of a part of an aligned segment.
+     *
+     * A replacement that crosses the start of the part is spoken with the
+     * part before it.
+     *
+     * @since 1.2.0
+     *
+     * @param {Object} alignment - Result of alignSpeech()
+     * @param {number} start     - Offset where the part starts in the displayed text
+     * @param {number} end       - Offset where the part ends in the displayed text
+     * @return {Object|null} Spoken form as toDisplayedRange() expects it, or null if it is the displayed text
+     */
+    function sliceSpeech(alignment, start, end) {
+        const replacements = alignment.replacements;
+
+        function toSpoken(offset) {
+            let shift = 0;
+            for (let i = 0; i < replacements.length && offset > replacements[i].start; i++) {
+                if (offset < replacements[i].end) {
+                    return replacements[i].spokenEnd;
+                }
+                shift = replacements[i].spokenEnd - replacements[i].end;
+            }
+            return offset + shift;
+        }
+
+        const raw = alignment.speech.slice(toSpoken(start), toSpoken(end));
+        const text = raw.trim();
+        const spokenStart = toSpoken(start) + raw.length - raw.replace(/^\s+/, '').length;
+        const local = replacements.filter(function(replacement) {
+            return replacement.start < end && (replacement.end > start || replacement.start === start);
+        }).map(function(replacement) {
+            return {
+                start: Math.max(replacement.start, start) - start,
+                end: Math.min(replacement.end, end) - start,
+                spokenStart: Math.min(Math.max(replacement.spokenStart - spokenStart, 0), text.length),
+                spokenEnd: Math.min(Math.max(replacement.spokenEnd - spokenStart, 0), text.length)
+            };
+        });
+
+        return local.length > 0 && text ? { text: text, replacements: local } : null;
+    }
+
+    /**
+     * Adds the spoken form of each chunk that the lexicon rules change.
+     *
+     * Only used for text extracted from the page, which the server never
+     * sees; it applies the rules and the built-in normalizers (URLs, dates,
+     * amounts, ordinals) to the post content itself. The chunk text stays as
+     * displayed on the page so it can still be highlighted; the spoken form
+     * is stored as chunk.pronunciation.
+     *
+     * @since 1.2.0
+     *
+     * @param {Array<Object>}        chunks - Narration chunks
+     * @param {Array<Array<string>>} rules  - Lexicon rules of the post, [pattern, spoken form] pairs
+     * @return {void}
+     */
+    function applyPronunciation(chunks, rules) {
+        chunks.forEach(function(chunk) {
+            if (!chunk.announcement) {
+                chunk.pronunciation = pronounce(chunk.text, rules || []);
+            }
+        });
+    }
+
+    /**
+     * Rewrites text into its spoken form with lexicon rules.
+     *
+     * Patterns are literal and match whole words only, longest first so
+     * "Sr." doesn't shadow "Sra.".
+     *
+     * @since 1.2.0
+     *
+     * @param {string}               text  - Text to rewrite
+     * @param {Array<Array<string>>} rules - Lexicon rules, [pattern, spoken form] pairs
+     * @return {{text: string, replacements: Array<{start: number, end: number, spokenStart: number, spokenEnd: number}>}|null}
+     *         Spoken text and the replaced ranges in both texts, or null if nothing changed
+     */
+    function pronounce(text, rules) {
+        const patterns = {};
+        rules.forEach(function(rule) {
+            if (rule && rule[0]) {
+                patterns[rule[0]] = rule[1] || rule[0];
+            }
+        });
+
+        const keys = Object.keys(patterns).sort(function(a, b) {
+            return b.length - a.length;
+        });
+        if (keys.length === 0) {
+            return null;
+        }
+
+        const regex = new RegExp(keys.map(escapeRegExp).join('|'), 'g');
+        const replacements = [];
+        let spoken = '';
+        let cursor = 0;
+        let match;
+        while ((match = regex.exec(text))) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (KEY_CHAR_PATTERN.test(text.charAt(start - 1)) || KEY_CHAR_PATTERN.test(text.charAt(end))) {
+                regex.lastIndex = start + 1;
+                continue;
+            }
+
+            spoken += text.slice(cursor, start);
+            replacements.push({ start: start, end: end, spokenStart: spoken.length, spokenEnd: spoken.length + patterns[match[0]].length });
+            spoken += patterns[match[0]];
+            cursor = end;
+        }
+
+        return replacements.length > 0 ? { text: spoken + text.slice(cursor), replacements: replacements } : null;
+    }
+
+    /**
+     * Maps a range of the spoken text back to the displayed chunk text.
+     *
+     * Words inside a replacement map to the whole replaced text.
+     *
+     * @since 1.2.0
+     *
+     * @param {Object} pronunciation - Result of pronounce()
+     * @param {number} charIndex     - Offset in the spoken text
+     * @param {number} charLength    - Length in the spoken text, if known
+     * @return {{charIndex: number, charLength: number}} Range in the displayed text
+     */
+    function toDisplayedRange(pronunciation, charIndex, charLength) {
+        let shift = 0;
+        const replacements = pronunciation.replacements;
+
+        for (let i = 0; i < replacements.length && charIndex >= replacements[i].spokenStart; i++) {
+            const replacement = replacements[i];
+            if (charIndex < replacement.spokenEnd) {
+                return { charIndex: replacement.start, charLength: replacement.end - replacement.start };
+            }
+            shift = replacement.end - replacement.spokenEnd;
+        }
+
+        return { charIndex: charIndex + shift, charLength: charLength };
+    }
+
+    /**
+     * Escapes a string for use in a regular expression.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} string - Literal text
+     * @return {string} Escaped text
+     */
+    function escapeRegExp(string) {
+        return String(string).replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+    }
+
+    /**
+     * Runs a callback once the browser has loaded its speech synthesis voices.
+     *
+     * Browsers without any voice never load one, so the callback is told
+     * after VOICES_TIMEOUT that voices are not available.
+     *
+     * @since 1.2.0
+     *
+     * @param {Function} callback - Called with true when voices are available, false otherwise
+     * @return {void}
+     */
+    function whenVoicesReady(callback) {
+        if (window.speechSynthesis.getVoices().length > 0) {
+            callback(true);
+            return;
+        }
+
+        let settled = false;
+        const settle = function(ready) {
+            if (!settled) {
+                settled = true;
+                window.speechSynthesis.onvoiceschanged = null;
+                callback(ready);
+            }
+        };
+
+        window.speechSynthesis.onvoiceschanged = function() {
+            if (window.speechSynthesis.getVoices().length > 0) {
+                settle(true);
+            }
+        };
+        setTimeout(function() {
+            settle(window.speechSynthesis.getVoices().length > 0);
+        }, VOICES_TIMEOUT);
+    }
+
+    /**
+     * Returns the engine of the current narration.
+     *
+     * @since 1.2.0
+     *
+     * @return {Object} Speech engine from ENGINES
+     */
+    function getEngine() {
+        return ENGINES[window.speechState.engine] || ENGINES.webspeech;
+    }
+
+    /**
+     * Returns the names of the engines this browser can use, preferred first.
+     *
+     * Server audio comes first when the site prefers it (readAloudSettings.engine);
+     * otherwise it is only the fallback for browsers without speech synthesis.
+     *
+     * @since 1.2.0
+     *
+     * @return {Array<string>} Engine names
+     */
+    function getEngineCandidates() {
+        const order = readAloudSettings.engine === 'audio' ? ['audio', 'webspeech'] : ['webspeech', 'audio'];
+        return order.filter(function(name) {
+            return ENGINES[name].isSupported();
+        });
+    }
+
+    /**
+     * Prepares the first engine that works out of a list of candidates.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery}        link  - The jQuery object for the trigger link
+     * @param {Array<string>} names - Engine names to try, in order
+     * @param {Function}      done  - Called with the name of the prepared engine, or null if none works
+     * @return {void}
+     */
+    function prepareEngine(link, names, done) {
+        if (names.length === 0) {
+            done(null);
+            return;
+        }
+
+        ENGINES[names[0]].prepare(link, function(ready) {
+            if (ready) {
+                done(names[0]);
+            } else {
+                prepareEngine(link, names.slice(1), done);
+            }
+        });
+    }
+
+    /**
+     * Speaks a chunk with the browser's speech synthesis.
+     *
+     * Headings are voiced with a distinct pitch and rate; passages in another
+     * language get a voice for that language.
+     *
+     * @since 1.2.0
+     *
+     * @param {Object} chunk    - Chunk to speak
+     * @param {number} index    - Index of the chunk in the queue (unused)
+     * @param {Object} handlers - onstart, onboundary, onend and onerror callbacks
+     * @return {SpeechSynthesisUtterance} The utterance being spoken
+     */
+    function speakWithWebSpeech(chunk, index, handlers) {
+        const spoken = chunk.pronunciation;
+        const utterance = new SpeechSynthesisUtterance(spoken ? spoken.text : chunk.text);
+        findAndSetVoice(utterance, chunk.lang || window.speechState.lang);
+
+        if (chunk.type === 'heading' && !chunk.announcement) {
+            utterance.pitch = HEADING_VOICE.pitch;
+            utterance.rate = window.speechState.rate * HEADING_VOICE.rate;
+        }
+
+        utterance.onstart = handlers.onstart;
+        // Boundaries are reported in the spoken text; highlighting needs the displayed one
+        utterance.onboundary = !spoken ? handlers.onboundary : function(event) {
+            const range = toDisplayedRange(spoken, event.charIndex, event.charLength);
+            handlers.onboundary({ name: event.name, charIndex: range.charIndex, charLength: range.charLength });
+        };
+        utterance.onend = handlers.onend;
+        utterance.onerror = handlers.onerror;
+
+        window.speechSynthesis.speak(utterance);
+        return utterance;
+    }
+
+    /**
+     * Loads the server-generated audio of a post.
+     *
+     * The whole post is one audio file; each chunk of the queue is mapped to
+     * an estimated time span in it, proportional to its length.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery}   link - The jQuery object for the trigger link
+     * @param {Function} done - Called with true once the audio can play, false if it fails
+     * @return {void}
+     */
+    function loadServerAudio(link, done) {
+        requestAjax({
+            action: readAloudSettings.audioAction,
+            post_id: link.data('post-id')
+        }, {
+            isStale: function() {
+                return !window.activeReadAloudLink || !link.is(window.activeReadAloudLink);
+            },
+            success: function(response) {
+                if (!response.success || !response.data.url) {
+                    done(false);
+                    return;
+                }
+
+                const element = new Audio();
+                let settled = false;
+                element.preload = 'auto';
+
+                $(element).one('loadedmetadata error', function(e) {
+                    if (settled || !window.activeReadAloudLink || !link.is(window.activeReadAloudLink)) {
+                        return; // Another link was clicked meanwhile
+                    }
+                    settled = true;
+
+                    if (e.type === 'error' || !isFinite(element.duration)) {
+                        done(false);
+                        return;
+                    }
+
+                    ENGINES.audio.release();
+                    ENGINES.audio.element = element;
+                    ENGINES.audio.spans = getAudioSpans(window.speechState.chunks, element.duration);
+                    $(element)
+                        .on('playing', function() {
+                            startAudioChunk(ENGINES.audio.current);
+                        })
+                        .on('timeupdate', trackServerAudio)
+                        .on('ended', function() {
+                            endAudioChunk(ENGINES.audio.current);
+                        })
+                        .on('error', function() {
+                            const current = ENGINES.audio.current;
+                            ENGINES.audio.current = null;
+                            if (current) {
+                                current.handlers.onerror({ error: 'audio-error' });
+                            }
+                        });
+                    done(true);
+                });
+
+                element.src = response.data.url;
+            },
+            error: function(xhr) {
+                console.error('WP Read Tools audio error:', { statusCode: xhr.status, responseText: xhr.responseText });
+                done(false);
+            }
+        });
+    }
+
+    /**
+     * Estimates the time span of every chunk in the server audio.
+     *
+     * Announcements are not part of the audio and get an empty span.
+     *
+     * @since 1.2.0
+     *
+     * @param {Array<Object>} chunks   - Narration chunks
+     * @param {number}        duration - Audio duration in seconds
+     * @return {Array<{start: number, end: number}>} Span per chunk, in seconds
+     */
+    function getAudioSpans(chunks, duration) {
+        const weigh = function(chunk) {
+            return chunk.announcement ? 0 : chunk.text.length + 1;
+        };
+        const total = chunks.reduce(function(sum, chunk) {
+            return sum + weigh(chunk);
+        }, 0) || 1;
+        let elapsed = 0;
+
+        return chunks.map(function(chunk) {
+            const start = duration * elapsed / total;
+            elapsed += weigh(chunk);
+            return { start: start, end: duration * elapsed / total };
+        });
+    }
+
+    /**
+     * Plays a chunk of the server audio.
+     *
+     * While narration flows from one chunk to the next the audio keeps
+     * playing; it only seeks when starting, resuming or skipping.
+     * Announcements are not in the audio, so they are spoken by the browser
+     * when it can (with the audio paused) and skipped otherwise.
+     *
+     * @since 1.2.0
+     *
+     * @param {Object} chunk    - Chunk to speak
+     * @param {number} index    - Index of the chunk in the queue, -1 for announcements outside it
+     * @param {Object} handlers - onstart, onboundary, onend and onerror callbacks
+     * @return {Object} Token identifying this utterance
+     */
+    function speakWithServerAudio(chunk, index, handlers) {
+        const audio = ENGINES.audio;
+        const element = audio.element;
+        const span = audio.spans[index];
+
+        if (chunk.announcement || !span || span.end <= span.start) {
+            element.pause();
+            if (ENGINES.webspeech.isSupported() && window.speechSynthesis.getVoices().length > 0) {
+                return speakWithWebSpeech(chunk, index, handlers);
+            }
+            const skipped = {};
+            setTimeout(function() {
+                handlers.onend({});
+            }, 0);
+            return skipped;
+        }
+
+        const current = { span: span, text: chunk.text, handlers: handlers, started: false, charIndex: -1 };
+        audio.current = current;
+        element.playbackRate = window.speechState.rate;
+
+        if (element.paused || Math.abs(element.currentTime - span.start) > AUDIO_SEEK_TOLERANCE) {
+            element.currentTime = span.start;
+        }
+
+        if (element.paused) {
+            const playing = element.play();
+            if (playing && playing.catch) {
+                playing.catch(function(error) {
+                    if (audio.current === current) {
+                        audio.current = null;
+                        handlers.onerror({ error: error && error.name === 'NotAllowedError' ? 'not-allowed' : 'audio-error' });
+                    }
+                });
+            }
+        } else {
+            setTimeout(function() {
+                startAudioChunk(current);
+            }, 0);
+        }
+
+        return current;
+    }
+
+    /**
+     * Reports the start of a chunk of the server audio, once.
+     *
+     * @since 1.2.0
+     *
+     * @param {Object|null} current - Chunk being played
+     * @return {void}
+     */
+    function startAudioChunk(current) {
+        if (current && current === ENGINES.audio.current && !current.started) {
+            current.started = true;
+            current.handlers.onstart({});
+        }
+    }
+
+    /**
+     * Reports the end of a chunk of the server audio.
+     *
+     * @since 1.2.0
+     *
+     * @param {Object|null} current - Chunk being played
+     * @return {void}
+     */
+    function endAudioChunk(current) {
+        if (current && current === ENGINES.audio.current) {
+            ENGINES.audio.current = null;
+            current.handlers.onend({});
+        }
+    }
+
+    /**
+     * Follows playback of the server audio: reports estimated word
+     * boundaries and the end of the chunk being played.
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function trackServerAudio() {
+        const current = ENGINES.audio.current;
+        const time = ENGINES.audio.element ? ENGINES.audio.element.currentTime : 0;
+        if (!current || !current.started) {
+            return;
+        }
+
+        if (time >= current.span.end) {
+            endAudioChunk(current);
+            return;
+        }
+
+        // Estimate the word being spoken from the position inside the span
+        const ratio = Math.max(0, (time - current.span.start) / (current.span.end - current.span.start));
+        const charIndex = current.text.lastIndexOf(' ', Math.floor(ratio * current.text.length)) + 1;
+        if (charIndex !== current.charIndex) {
+            current.charIndex = charIndex;
+            current.handlers.onboundary({ name: 'word', charIndex: charIndex });
+        }
+    }
+
+    /**
+     * Stops the server audio (and any announcement spoken by the browser).
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function cancelServerAudio() {
+        ENGINES.audio.current = null;
+        if (ENGINES.audio.element) {
+            ENGINES.audio.element.pause();
+        }
+        ENGINES.webspeech.cancel();
+    }
+
+    /**
+     * Unloads the server audio once narration ends.
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function releaseServerAudio() {
+        const element = ENGINES.audio.element;
+        cancelServerAudio();
+
+        if (element) {
+            $(element).off();
+            element.removeAttribute('src');
+            element.load();
+        }
+
+        ENGINES.audio.element = null;
+        ENGINES.audio.spans = [];
+    }
+
+    /**
+     * Speaks a chunk from the queue and advances to the next one when it ends.
+     *
+     * Callbacks from utterances that are no longer current (cancelled by a
+     * pause, skip or stop) are ignored. Blocks are separated by a short
+     * silence when the engine needs it. A chunk that fails is retried up to
+     * MAX_CHUNK_RETRIES times; after that narration pauses on it so the
+     * listener can resume (and retry) without restarting the article.
+     *
+     * @since 1.2.0
+     *
+     * @param {number} index - Index of the chunk to speak
+     * @return {void}
+     */
+    function speakChunk(index) {
+        const state = window.speechState;
+
+        if (index >= state.chunks.length) {
+            finishNarration();
+            return;
+        }
+
+        const chunk = state.chunks[index];
+
+        state.index = index;
+        state.resumePoint = index;
+        state.charOffset = chunk.start;
+        savePosition(window.activeReadAloudLink, index);
+        updateChapterSelect(index);
+
+        const utterance = getEngine().speak(chunk, index, {
+            onstart: function() {
+                if (utterance === window.speechState.currentUtterance) {
+                    setLinkPlaying(window.activeReadAloudLink, window.activeReadAloudIcon);
+                    if (dispatchBoundaryEvent('sentence', index, 0, chunk.text.length)) {
+                        highlightSentence(index);
+                    }
+                }
+            },
+
+            onboundary: function(event) {
+                if (utterance === window.speechState.currentUtterance && (!event.name || event.name === 'word')) {
+                    state.charOffset = chunk.start + event.charIndex;
+                    if (dispatchBoundaryEvent('word', index, event.charIndex, event.charLength)) {
+                        highlightWord(index, event.charIndex, event.charLength);
+                    }
+                    updatePlayer();
+                }
+            },
+
+            onend: function() {
+                if (utterance !== window.speechState.currentUtterance) {
+                    return;
+                }
+                state.retries = 0;
+
+                // Leave a short silence between blocks; a pause or skip meanwhile replaces the utterance
+                const pause = getPauseAfter(index);
+                if (pause === 0) {
+                    speakChunk(getNextChunkIndex(index));
+                    return;
+                }
+                setTimeout(function() {
+                    if (utterance === window.speechState.currentUtterance) {
+                        speakChunk(getNextChunkIndex(index));
+                    }
+                }, pause);
+            },
+
+            onerror: function(event) {
+                // Cancelled utterances report 'interrupted' or 'canceled'; those are ours
+                if (utterance !== window.speechState.currentUtterance || event.error === 'interrupted' || event.error === 'canceled') {
+                    return;
+                }
+
+                console.error('Speech synthesis error:', event.error, { chunk: index });
+
+                if (state.retries < MAX_CHUNK_RETRIES) {
+                    state.retries++;
+                    speakChunk(index);
+                    return;
+                }
+
+                state.retries = 0;
+                pauseNarration(true);
+
+                const link = window.activeReadAloudLink;
+                showLinkError(link, readAloudSettings.speechErrorText || 'An error occurred during speech synthesis.', function() {
+                    if (window.activeReadAloudLink && link.is(window.activeReadAloudLink) && window.speechState.isPaused) {
+                        resumeNarration();
+                    } else {
+                        startNarration(link);
+                    }
+                }, 'speech_' + (event.error || 'unknown'));
+            }
+        });
+
+        state.currentUtterance = utterance;
+    }
+
+    /**
+     * Pauses narration at the current chunk.
+     *
+     * The current utterance is cancelled rather than paused with
+     * speechSynthesis.pause(), which stalls in some browsers; resuming
+     * restarts the interrupted chunk from its beginning.
+     *
+     * A wpreadtools:pause event is dispatched first; listeners can cancel a
+     * pause requested by the listener, but not one forced by an error.
+     *
+     * @since 1.2.0
+     *
+     * @param {boolean} [forced] - True when an error stops the speech
+     * @return {void}
+     */
+    function pauseNarration(forced) {
+        if (!dispatchNarrationEvent(window.activeReadAloudLink, 'pause', { forced: !!forced }, !forced)) {
+            return;
+        }
+
+        const state = window.speechState;
+        state.isPaused = true;
+        state.resumePoint = state.index;
+        state.currentUtterance = null;
+        getEngine().cancel();
+        setLinkPaused(window.activeReadAloudLink, window.activeReadAloudIcon);
+    }
+
+    /**
+     * Resumes narration from the stored resume point.
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function resumeNarration() {
+        if (!dispatchNarrationEvent(window.activeReadAloudLink, 'resume', {})) {
+            return;
+        }
+
+        clearLinkError(window.activeReadAloudLink);
+        window.speechState.isPaused = false;
+        setLinkPlaying(window.activeReadAloudLink, window.activeReadAloudIcon);
+        speakChunk(window.speechState.resumePoint);
+    }
+
+    /**
+     * Moves narration to another chunk of the queue.
+     *
+     * When narration is paused only the resume point moves; otherwise the
+     * current utterance is cancelled and the target chunk is spoken.
+     *
+     * @since 1.2.0
+     *
+     * @param {number} index - Index of the target chunk
+     * @return {void}
+     */
+    function jumpToChunk(index) {
+        const state = window.speechState;
+        index = Math.max(0, Math.min(index, state.chunks.length - 1));
+
+        state.index = index;
+        state.resumePoint = index;
+        state.retries = 0;
+
+        if (!state.isPaused) {
+            state.currentUtterance = null;
+            getEngine().cancel();
+            speakChunk(index);
+        } else {
+            highlightSentence(index); // Show where narration will resume
+            state.charOffset = state.chunks[index].start;
+            updatePlayer();
+            updateChapterSelect(index);
+        }
+    }
+
+    /**
+     * Skips a number of sentences, paragraphs or sections relative to the current chunk.
+     *
+     * Sections start at headings (see buildChapters()); without headings,
+     * section skips are ignored.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} unit  - 'sentence', 'paragraph' or 'section'
+     * @param {number} delta - Units to move; negative values skip back
+     * @return {void}
+     */
+    function skipBy(unit, delta) {
+        const chunks = window.speechState.chunks;
+        if (unit === 'section' && window.speechState.chapters.length === 0) {
+            return;
+        }
+
+        const target = chunks[window.speechState.index][unit] + delta;
+
+        if (target < 0) {
+            jumpToChunk(0);
+            return;
+        }
+
+        const targetIndex = chunks.findIndex(function(chunk) {
+            return chunk[unit] === target;
+        });
+
+        if (targetIndex === -1) {
+            finishNarration(); // Skipped past the end of the article
+            return;
+        }
+
+        jumpToChunk(targetIndex);
+    }
+
+    /**
+     * Stops the active narration and resets its link.
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function stopNarration() {
+        window.speechState.currentUtterance = null;
+        getEngine().cancel();
+
+        if (window.activeReadAloudLink) {
+            dispatchNarrationEvent(window.activeReadAloudLink, 'end', { reason: 'stopped' }, false);
+            announceStatus('stopped', readAloudSettings.statusStoppedText || 'Narration stopped');
+            resetLinkState(window.activeReadAloudLink, window.activeReadAloudIcon, window.originalReadAloudText);
+        }
+
+        endPlaylist();
+    }
+
+    /**
+     * Ends narration of the current post once its last chunk has been spoken
+     * (or skipped), then moves on to the next post of "Listen to all".
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function finishNarration() {
+        window.speechState.currentUtterance = null;
+        getEngine().cancel();
+
+        let proceed = true;
+        if (window.activeReadAloudLink) {
+            // Cancelling wpreadtools:end keeps "Listen to all" from moving on
+            proceed = dispatchNarrationEvent(window.activeReadAloudLink, 'end', { reason: 'finished' });
+            announceStatus('finished', readAloudSettings.statusFinishedText || 'Narration finished');
+            if (!window.speechState.selection) {
+                removePreference(getPositionKey(window.activeReadAloudLink));
+            }
+            resetLinkState(window.activeReadAloudLink, window.activeReadAloudIcon, window.originalReadAloudText);
+        }
+
+        if (proceed) {
+            advancePlaylist();
+        } else {
+            endPlaylist();
+        }
+    }
+
+    /**
+     * Gives up on narrating a post after an error.
+     *
+     * Resets the link and shows the error next to it with a retry action;
+     * during "Listen to all" the playlist continues with the next post.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link    - The jQuery object for the trigger link
+     * @param {string} message - Error message to show
+     * @param {string} [type]  - Error code for wpreadtools:error listeners
+     * @return {void}
+     */
+    function abortNarration(link, message, type) {
+        resetLinkState(link, link.find('.fas'), link.data('original-text') || window.originalReadAloudText);
+        showLinkError(link, message, function() {
+            startNarration(link);
+        }, type);
+        advancePlaylist();
+    }
+
+    /**
+     * Shows an inline, dismissible error next to a read-aloud link.
+     *
+     * The message is announced to screen readers as an alert. An optional
+     * retry action adds a button that removes the error and calls it. A
+     * wpreadtools:error event is dispatched first; cancelling it hides the
+     * inline error, e.g. when a theme shows errors its own way.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery}   link    - The jQuery object for the trigger link
+     * @param {string}   message - Error message to show
+     * @param {Function} [retry] - Called when the listener retries
+     * @param {string}   [type]  - Error code for listeners, e.g. 'speech_synthesis-failed'
+     * @return {void}
+     */
+    function showLinkError(link, message, retry, type) {
+        if (!link || !dispatchNarrationEvent(link, 'error', { message: message, retryable: !!retry, type: type || 'unknown' })) {
+            return;
+        }
+        clearLinkError(link);
+
+        const error = $('<span class="read-aloud-error" role="alert"></span>')
+            .append($('<span class="read-aloud-error-message"></span>').text(message));
+
+        if (retry) {
+            error.data('retry', retry);
+            $('<button type="button" class="read-aloud-error-retry"></button>')
+                .text(readAloudSettings.retryText || 'Retry')
+                .appendTo(error);
+        }
+
+        const dismissLabel = readAloudSettings.dismissText || 'Dismiss';
+        $('<button type="button" class="read-aloud-error-dismiss"></button>')
+            .attr({ 'aria-label': dismissLabel, title: dismissLabel })
+            .append('<i class="fas fa-times" aria-hidden="true"></i>')
+            .appendTo(error);
+
+        const line = link.closest('.read-aloud-line');
+        error.appendTo(line.length ? line : link.parent());
+    }
+
+    /**
+     * Removes the inline error of a read-aloud link, if any.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link - The jQuery object for the trigger link
+     * @return {void}
+     */
+    function clearLinkError(link) {
+        if (link) {
+            const line = link.closest('.read-aloud-line');
+            (line.length ? line : link.parent()).find('.read-aloud-error').remove();
+        }
+    }
+
+    /**
+     * Event handlers for the inline error actions.
+     *
+     * @since 1.2.0
+     */
+    $(document).on('click', '.read-aloud-error-retry', function(e) {
+        e.preventDefault();
+        const error = $(this).closest('.read-aloud-error');
+        const retry = error.data('retry');
+        error.remove();
+        if (retry) {
+            retry();
+        }
+    });
+
+    $(document).on('click', '.read-aloud-error-dismiss', function(e) {
+        e.preventDefault();
+        const error = $(this).closest('.read-aloud-error');
+        const line = error.closest('.read-aloud-line');
+        error.remove();
+        line.find('.read-aloud-trigger').trigger('focus');
+    });
+
+    /**
+     * Dispatches a wpreadtools:* CustomEvent for a narration.
+     *
+     * Events bubble from the trigger link (or the document, for links that
+     * are not in the page) and carry the post ID and the link in their
+     * detail. Listeners cancel cancelable events with preventDefault().
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery}  link         - The jQuery object for the trigger link
+     * @param {string}  name         - Event name without prefix, e.g. 'start'
+     * @param {Object}  detail       - Event-specific detail
+     * @param {boolean} [cancelable] - Whether listeners may cancel it, default true
+     * @return {boolean} False when a listener cancelled the event
+     */
+    function dispatchNarrationEvent(link, name, detail, cancelable) {
+        const element = link && link[0];
+        const target = element && document.documentElement.contains(element) ? element : document;
+
+        let event;
+        try {
+            event = new CustomEvent('wpreadtools:' + name, {
+                bubbles: true,
+                cancelable: cancelable !== false,
+                detail: $.extend({ postId: link ? link.data('post-id') : null, link: element || null }, detail)
+            });
+        } catch (e) {
+            return true; // CustomEvent unsupported
+        }
+
+        return target.dispatchEvent(event);
+    }
+
+    /**
+     * Dispatches wpreadtools:boundary when a sentence or word starts.
+     *
+     * Cancelling the event skips highlighting it.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} kind       - Either 'sentence' or 'word'
+     * @param {number} index      - Index of the chunk in the queue
+     * @param {number} charIndex  - Offset of the word in the chunk
+     * @param {number} charLength - Length of the word, if known
+     * @return {boolean} False when a listener cancelled the event
+     */
+    function dispatchBoundaryEvent(kind, index, charIndex, charLength) {
+        const chunk = window.speechState.chunks[index];
+        return dispatchNarrationEvent(window.activeReadAloudLink, 'boundary', {
+            kind: kind,
+            index: index,
+            text: chunk.text,
+            charIndex: charIndex,
+            charLength: charLength,
+            position: getStatePosition()
+        });
+    }
+
+    /**
+     * Returns the estimated narration position in seconds.
+     *
+     * @since 1.2.0
+     *
+     * @return {number} Seconds from the start of the post
+     */
+    function getStatePosition() {
+        return window.speechState.charOffset / (SPOKEN_CHARS_PER_MINUTE * window.speechState.rate / 60);
+    }
+
+    /**
+     * Returns the speech content of a post.
+     *
+     * Content inlined in the page or prefetched is used right away (or as
+     * soon as the prefetch completes); otherwise it is fetched now.
+     *
+     * @since 1.2.0
+     *
+     * @param {number} postId   - ID of the post
+     * @param {Object} handlers - Request callbacks, as for requestAjax()
+     * @return {void}
+     */
+    function requestContent(postId, handlers) {
+        const preloaded = getPreloadedContent(postId);
+        if (!preloaded) {
+            fetchContent(postId, handlers);
+        } else if (preloaded.response) {
+            handlers.success(preloaded.response);
+        } else {
+            preloaded.waiting.push(handlers);
+        }
+    }
+
+    /**
+     * Returns the content of a post loaded before it was requested.
+     *
+     * Content inlined by the shortcode (delivery="inline") is read from its
+     * JSON script tag the first time.
+     *
+     * @since 1.2.0
+     *
+     * @param {number|string} postId - ID of the post
+     * @return {?{response: ?Object, waiting: Array<Object>}} Preloaded content, null if there is none
+     */
+    function getPreloadedContent(postId) {
+        const key = String(postId);
+
+        if (!preloadedContent[key]) {
+            const script = $('script.read-aloud-content').filter(function() {
+                return String($(this).data('post-id')) === key;
+            }).first();
+            if (script.length) {
+                try {
+                    preloadedContent[key] = { response: { success: true, data: JSON.parse(script.text()) }, waiting: [] };
+                } catch (e) {
+                    // Malformed data; the content is fetched instead
+                }
+            }
+        }
+
+        return preloadedContent[key] || null;
+    }
+
+    /**
+     * Fetches the content of a post before it is requested.
+     *
+     * Requests made meanwhile wait for the prefetch instead of fetching the
+     * content again. Failed prefetches are forgotten, so the next request
+     * tries again.
+     *
+     * @since 1.2.0
+     *
+     * @param {number|string} postId - ID of the post
+     * @return {void}
+     */
+    function prefetchContent(postId) {
+        if (!postId || getPreloadedContent(postId)) {
+            return;
+        }
+
+        const preloaded = preloadedContent[String(postId)] = { response: null, waiting: [] };
+        const settle = function(name, args) {
+            const waiting = preloaded.waiting;
+            preloaded.waiting = [];
+            waiting.forEach(function(handlers) {
+                if (!handlers.isStale || !handlers.isStale()) {
+                    handlers[name].apply(null, args);
+                }
+            });
+        };
+
+        fetchContent(postId, {
+            retrying: function(seconds) {
+                preloaded.waiting.forEach(function(handlers) {
+                    if (handlers.retrying) {
+                        handlers.retrying(seconds);
+                    }
+                });
+            },
+            success: function(response) {
+                if (response.success) {
+                    preloaded.response = response;
+                } else {
+                    delete preloadedContent[String(postId)];
+                }
+                settle('success', [response]);
+            },
+            error: function(xhr, status, error) {
+                delete preloadedContent[String(postId)];
+                settle('error', [xhr, status, error]);
+            }
+        });
+    }
+
+    /**
+     * Fetches the speech content of a post from the server.
+     *
+     * Uses the REST route first, whose GET responses can be cached by the
+     * browser and CDNs, and falls back to the admin-ajax action only when the
+     * route can't answer: network failures, a missing route (REST disabled,
+     * blocked by a security plugin; not tried again on this page) or a stale
+     * REST nonce, which the AJAX request refreshes. Other errors, such as a
+     * refused protected post, are the server's answer and are reported;
+     * rate-limited requests are repeated after the Retry-After delay, as
+     * requestAjax() does. REST responses are wrapped like AJAX ones so the
+     * same handlers serve both.
+     *
+     * @since 1.2.0
+     *
+     * @param {number} postId    - ID of the post
+     * @param {Object} handlers  - Request callbacks, as for requestAjax()
+     * @param {Object} [attempt] - Retry bookkeeping, internal
+     * @return {void}
+     */
+    function fetchContent(postId, handlers, attempt) {
+        attempt = attempt || { rateLimited: 0 };
+        const isStale = handlers.isStale || function() {
+            return false;
+        };
+        const fallback = function() {
+            if (isStale()) {
+                return;
+            }
+            requestAjax({
+                action: readAloudSettings.ajaxAction, // Use localized action name
+                post_id: postId
+            }, handlers);
+        };
+
+        if (!readAloudSettings.restUrl || typeof window.fetch !== 'function') {
+            fallback();
+            return;
+        }
+
+        const headers = { Accept: 'application/json' };
+        if (readAloudSettings.restNonce) {
+            headers['X-WP-Nonce'] = readAloudSettings.restNonce;
+        }
+
+        window.fetch(readAloudSettings.restUrl + encodeURIComponent(postId), {
+            method: 'GET',
+            credentials: 'same-origin',
+            headers: headers
+        }).then(function(response) {
+            return response.json().then(function(data) {
+                return { response: response, data: data || {} };
+            });
+        }).then(function(result) {
+            const data = result.data;
+            if (result.response.ok && typeof data.content === 'string') {
+                if (!isStale()) {
+                    handlers.success({ success: true, data: data });
+                }
+                return;
+            }
+
+            if (data.code === 'rest_no_route' || data.code === 'rest_cookie_invalid_nonce') {
+                if (data.code === 'rest_no_route') {
+                    readAloudSettings.restUrl = '';
+                }
+                fallback();
+                return;
+            }
+
+            if (isStale()) {
+                return;
+            }
+
+            // Shaped like a failed admin-ajax request for the error handlers
+            const xhr = {
+                status: result.response.status,
+                responseText: JSON.stringify({
+                    success: false,
+                    data: { message: data.message, debug: data.code, retry_after: data.data ? data.data.retry_after : 0 }
+                }),
+                getResponseHeader: function(name) {
+                    return result.response.headers.get(name);
+                }
+            };
+
+            if (xhr.status === 429 && attempt.rateLimited < MAX_RATE_LIMIT_RETRIES) {
+                const delay = getRetryDelay(xhr, parseJsonResponse(xhr), attempt.rateLimited);
+                if (delay <= MAX_RETRY_DELAY) {
+                    attempt.rateLimited++;
+                    if (handlers.retrying) {
+                        handlers.retrying(delay);
+                    }
+                    setTimeout(function() {
+                        if (!isStale()) {
+                            fetchContent(postId, handlers, attempt);
+                        }
+                    }, delay * 1000);
+                    return;
+                }
+            }
+
+            handlers.error(xhr, 'error', result.response.statusText);
+        }, function() {
+            // Network failure or a non-JSON body (e.g. an HTML error page)
+            readAloudSettings.restUrl = '';
+            fallback();
+        });
+    }
+
+    /**
+     * Posts an AJAX request to the plugin, recovering from stale nonces and rate limiting.
+     *
+     * The current nonce is added to the data. When the server rejects it
+     * (pages served from a full-page cache carry an expired one), a fresh
+     * nonce is fetched and the request is repeated once. Rate-limited (429)
+     * requests are repeated after the server's Retry-After delay, or an
+     * exponential back-off, up to MAX_RATE_LIMIT_RETRIES times.
+     *
+     * @since 1.2.0
+     *
+     * @param {Object}   data                - Request data, including the action
+     * @param {Object}   handlers            - Request callbacks
+     * @param {Function} handlers.success    - Called with the parsed response
+     * @param {Function} handlers.error      - Called with the failed jqXHR, status and error
+     * @param {Function} [handlers.isStale]  - Returns true when the result is no longer wanted
+     * @param {Function} [handlers.retrying] - Called with the seconds waited before a retry
+     * @param {Object}   [attempt]           - Retry bookkeeping; rateLimited at MAX_RATE_LIMIT_RETRIES turns off 429 retries
+     * @return {void}
+     */
+    function requestAjax(data, handlers, attempt) {
+        attempt = attempt || { rateLimited: 0, nonceRefreshed: false };
+        const isStale = handlers.isStale || function() {
+            return false;
+        };
+
+        $.ajax({
+            url: readAloudSettings.ajax_url,
+            type: 'POST',
+            data: $.extend({}, data, { nonce: readAloudSettings.nonce }),
+            success: handlers.success,
+            error: function(xhr, status, error) {
+                if (isStale()) {
+                    return;
+                }
+
+                const response = parseJsonResponse(xhr);
+                const debug = response && response.data ? response.data.debug : '';
+
+                if (xhr.status === 403 && debug === 'nonce_verification_failed' && !attempt.nonceRefreshed) {
+                    attempt.nonceRefreshed = true;
+                    refreshNonce(function(refreshed) {
+                        if (isStale()) {
+                            return;
+                        }
+                        if (refreshed) {
+                            requestAjax(data, handlers, attempt);
+                        } else {
+                            handlers.error(xhr, status, error);
+                        }
+                    });
+                    return;
+                }
+
+                if (xhr.status === 429 && attempt.rateLimited < MAX_RATE_LIMIT_RETRIES) {
+                    const delay = getRetryDelay(xhr, response, attempt.rateLimited);
+                    if (delay <= MAX_RETRY_DELAY) {
+                        attempt.rateLimited++;
+                        if (handlers.retrying) {
+                            handlers.retrying(delay);
+                        }
+                        setTimeout(function() {
+                            if (!isStale()) {
+                                requestAjax(data, handlers, attempt);
+                            }
+                        }, delay * 1000);
+                        return;
+                    }
+                }
+
+                handlers.error(xhr, status, error);
+            }
+        });
+    }
+
+    /**
+     * Replaces the localized nonce with a fresh one from the server.
+     *
+     * @since 1.2.0
+     *
+     * @param {Function} done - Called with true when a new nonce was stored
+     * @return {void}
+     */
+    function refreshNonce(done) {
+        $.ajax({
+            url: readAloudSettings.ajax_url,
+            type: 'POST',
+            cache: false,
+            data: { action: readAloudSettings.nonceAction || 'wp_read_tools_refresh_nonce' },
+            success: function(response) {
+                if (response && response.success && response.data.nonce) {
+                    readAloudSettings.nonce = response.data.nonce;
+                    done(true);
+                } else {
+                    done(false);
+                }
+            },
+            error: function() {
+                done(false);
+            }
+        });
+    }
+
+    /**
+     * Returns the seconds to wait before repeating a rate-limited request.
+     *
+     * Uses the server's Retry-After header or retry_after value when present,
+     * otherwise 2, 4, 8... seconds.
+     *
+     * @since 1.2.0
+     *
+     * @param {jqXHR}  xhr      - The failed request
+     * @param {Object} response - Parsed error response, if any
+     * @param {number} attempt  - Number of retries already made
+     * @return {number} Delay in seconds
+     */
+    function getRetryDelay(xhr, response, attempt) {
+        const header = parseInt(xhr.getResponseHeader ? xhr.getResponseHeader('Retry-After') : '', 10);
+        if (header > 0) {
+            return header;
+        }
+
+        const retryAfter = response && response.data ? parseInt(response.data.retry_after, 10) : 0;
+        return retryAfter > 0 ? retryAfter : Math.pow(2, attempt + 1);
+    }
+
+    /**
+     * Parses the JSON body of a failed AJAX request.
+     *
+     * @since 1.2.0
+     *
+     * @param {jqXHR} xhr - The failed request
+     * @return {Object|null} Parsed response, or null if the body isn't JSON
+     */
+    function parseJsonResponse(xhr) {
+        try {
+            return JSON.parse(xhr.responseText);
+        } catch (e) {
+            return null; // Ignore JSON parse errors
+        }
+    }
+
+    /**
+     * Speaks a short announcement (such as a post title) before narration.
+     *
+     * The announcement is the current utterance, so pausing or stopping
+     * cancels it like any chunk.
+     *
+     * @since 1.2.0
+     *
+     * @param {string}   text   - Text to announce
+     * @param {Function} onDone - Called when the announcement ends or fails
+     * @return {void}
+     */
+    function speakAnnouncement(text, onDone) {
+        if (!text) {
+            onDone();
+            return;
+        }
+
+        const finish = function(event) {
+            if (utterance !== window.speechState.currentUtterance || (event && (event.error === 'interrupted' || event.error === 'canceled'))) {
+                return;
+            }
+            onDone();
+        };
+
+        const utterance = getEngine().speak({ text: text, announcement: true, lang: window.speechState.lang }, -1, {
+            onstart: function() {
+                if (utterance === window.speechState.currentUtterance) {
+                    setLinkPlaying(window.activeReadAloudLink, window.activeReadAloudIcon);
+                }
+            },
+            onboundary: function() {},
+            onend: finish,
+            onerror: finish
+        });
+        window.speechState.currentUtterance = utterance;
+    }
+
+    /**
+     * Event handlers for the mini-player.
+     *
+     * @since 1.2.0
+     */
+    $(document).on('click', '.read-aloud-player .read-aloud-player-button', function(e) {
+        e.preventDefault();
+        if (!window.activeReadAloudLink || window.speechState.chunks.length === 0) {
+            return;
+        }
+
+        switch ($(this).data('action')) {
+            case 'toggle':
+                if (window.speechState.isPaused) {
+                    resumeNarration();
+                } else {
+                    pauseNarration();
+                }
+                break;
+            case 'previous-sentence':
+                skipBy('sentence', -1);
+                break;
+            case 'next-sentence':
+                skipBy('sentence', 1);
+                break;
+            case 'close':
+                stopNarration();
+                break;
+        }
+    });
+
+    $(document).on('input', '.read-aloud-player-seek', function() {
+        // Preview the target time while dragging; seek when released
+        $(this).data('dragging', true);
+        updatePlayerTimes(parseInt($(this).val(), 10) || 0);
+    });
+
+    $(document).on('change', '.read-aloud-player-seek', function() {
+        $(this).data('dragging', false);
+        if (window.activeReadAloudLink && window.speechState.chunks.length) {
+            seekToOffset(parseInt($(this).val(), 10) || 0);
+        }
+    });
+
+    $(document).on('change', '.read-aloud-player-rate', function() {
+        setRate($(this).val());
+    });
+
+    $(document).on('change', '.read-aloud-player-voice', function() {
+        setVoice($(this).val());
+    });
+
+    /**
+     * Click handler for the "Listen to all" control on listing pages.
+     *
+     * @since 1.2.0
+     *
+     * @param {Event} e - The click event object
+     */
+    $(document).on('click', '.read-aloud-play-all', function(e) {
+        e.preventDefault();
+
+        if (window.readAloudPlaylist) {
+            stopNarration(); // Also ends the playlist
+            return;
+        }
+
+        startPlaylist();
+    });
+
+    /**
+     * Adds the "Listen to all" control when the page lists several posts.
+     *
+     * Themes can place their own element with the read-aloud-play-all class
+     * instead; it is used as is. Can be disabled with the
+     * wp_read_tools_enable_play_all filter.
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function initPlayAll() {
+        if (readAloudSettings.playAll === false || readAloudSettings.playAll === '' || getPlaylistLinks().length < 2) {
+            return;
+        }
+
+        let button = $('.read-aloud-play-all');
+        if (!button.length) {
+            const firstWidget = $('.read-aloud-trigger').first().closest('.read-aloud-line').parent();
+            button = $('<button type="button" class="read-aloud-play-all"></button>')
+                .append('<i class="fas fa-list" aria-hidden="true"></i>')
+                .append(document.createTextNode(' ' + (readAloudSettings.playAllText || 'Listen to all')));
+            $('<div class="read-aloud-playlist"></div>').append(button).insertBefore(firstWidget);
+        }
+
+        button.data('original-text', getLinkText(button));
+    }
+
+    /**
+     * Returns the read-aloud links of the visible posts, one per post, in page order.
+     *
+     * @since 1.2.0
+     *
+     * @return {Array<jQuery>} Trigger links
+     */
+    function getPlaylistLinks() {
+        const seen = {};
+        const links = [];
+
+        $('.read-aloud-trigger:visible').each(function() {
+            const postId = String($(this).data('post-id'));
+            if (!seen[postId]) {
+                seen[postId] = true;
+                links.push($(this));
+            }
+        });
+
+        return links;
+    }
+
+    /**
+     * Starts narrating all visible posts in order.
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function startPlaylist() {
+        const links = getPlaylistLinks();
+        if (!links.length) {
+            return;
+        }
+
+        if (window.activeReadAloudLink) {
+            stopNarration();
+        }
+
+        window.readAloudPlaylist = { links: links, index: 0 };
+        setPlayAllState(true);
+        startNarration(links[0]);
+    }
+
+    /**
+     * Moves "Listen to all" on to the next post, ending it after the last one.
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function advancePlaylist() {
+        const playlist = window.readAloudPlaylist;
+        if (!playlist) {
+            return;
+        }
+
+        playlist.index++;
+        if (playlist.index >= playlist.links.length) {
+            endPlaylist();
+            return;
+        }
+
+        startNarration(playlist.links[playlist.index]);
+    }
+
+    /**
+     * Ends "Listen to all" without touching the current narration.
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function endPlaylist() {
+        if (window.readAloudPlaylist) {
+            window.readAloudPlaylist = null;
+            setPlayAllState(false);
+        }
+    }
+
+    /**
+     * Toggles the "Listen to all" control between its start and stop states.
+     *
+     * @since 1.2.0
+     *
+     * @param {boolean} playing - Whether the playlist is running
+     * @return {void}
+     */
+    function setPlayAllState(playing) {
+        const button = $('.read-aloud-play-all');
+        button.attr('aria-pressed', playing ? 'true' : 'false');
+        button.find('.fas').toggleClass('fa-list', !playing).toggleClass('fa-stop', playing);
+        updateLinkText(button, playing ? (readAloudSettings.stopPlayAllText || 'Stop listening') : button.data('original-text'));
+    }
+
+    /**
+     * Click handler for the "Start over" button offered next to a link with a
+     * saved listening position.
+     *
+     * @since 1.2.0
+     *
+     * @param {Event} e - The click event object
+     */
+    $(document).on('click', '.read-aloud-start-over', function(e) {
+        e.preventDefault();
+        const link = $(this).closest('.read-aloud-line').find('.read-aloud-trigger');
+        removePreference(getPositionKey(link));
+        $(this).remove();
+        updateLinkText(link, link.data('original-text'));
+        link.trigger('click');
+    });
+
+    /**
+     * Returns the visible text of a link, ignoring its icon.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link - The jQuery object for the link element
+     * @return {string} Link text
+     */
+    function getLinkText(link) {
+        return link.contents().filter(function() { return this.nodeType === 3; }).text().trim(); // More robust way to get text node
+    }
+
+    /**
+     * Builds the storage key of a post's saved listening position.
+     *
+     * Combines the post ID with its modified time (as the server does for its
+     * content cache), so positions saved for an older revision are ignored.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link - The jQuery object for the trigger link
+     * @return {string} Preference name
+     */
+    function getPositionKey(link) {
+        return 'position_' + link.data('post-id') + '_' + (link.data('post-modified') || 0);
+    }
+
+    /**
+     * Saves the listening position of the active narration.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link  - The jQuery object for the trigger link
+     * @param {number} index - Index of the chunk being spoken
+     * @return {void}
+     */
+    function savePosition(link, index) {
+        // A selection is not a position in the post
+        if (!link || window.speechState.selection) {
+            return;
+        }
+
+        const state = window.speechState;
+        savePreference(getPositionKey(link), {
+            chunk: index,
+            total: state.chunks.length,
+            remaining: getTotalChars() - state.chunks[index].start
+        });
+    }
+
+    /**
+     * Returns the chunk narration should start from.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link  - The jQuery object for the trigger link
+     * @param {number} total - Number of chunks in the queue
+     * @return {number} Saved chunk index, or 0 to start from the beginning
+     */
+    function getSavedStartIndex(link, total) {
+        const saved = readPreference(getPositionKey(link), null);
+        return saved && saved.chunk > 0 && saved.chunk < total ? saved.chunk : 0;
+    }
+
+    /**
+     * Offers to continue from a saved listening position.
+     *
+     * Changes the link text to "Continue listening (≈N min left)" and adds a
+     * "Start over" button. Positions saved for other revisions of the post
+     * are discarded.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link - The jQuery object for the trigger link
+     * @return {void}
+     */
+    function showResumeOffer(link) {
+        discardStalePositions(link);
+
+        const line = link.closest('.read-aloud-line');
+        const saved = readPreference(getPositionKey(link), null);
+        line.find('.read-aloud-start-over').remove();
+
+        if (!saved || !saved.chunk) {
+            return;
+        }
+
+        const rate = normalizeRate(readPreference('rate', link.data('rate')));
+        const minutesLeft = Math.max(1, Math.round(saved.remaining / (SPOKEN_CHARS_PER_MINUTE * rate)));
+        const continueText = (readAloudSettings.continueText || 'Continue listening (≈%d min left)').replace('%d', minutesLeft);
+        updateLinkText(link, continueText);
+
+        $('<button type="button" class="read-aloud-start-over"></button>')
+            .text(readAloudSettings.startOverText || 'Start over')
+            .insertAfter(link);
+    }
+
+    /**
+     * Removes positions saved for earlier revisions of a post.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link - The jQuery object for the trigger link
+     * @return {void}
+     */
+    function discardStalePositions(link) {
+        const prefix = 'wpReadTools.position_' + link.data('post-id') + '_';
+        const current = 'wpReadTools.' + getPositionKey(link);
+
+        try {
+            for (let i = window.localStorage.length - 1; i >= 0; i--) {
+                const key = window.localStorage.key(i);
+                if (key && key.indexOf(prefix) === 0 && key !== current) {
+                    window.localStorage.removeItem(key);
+                }
+            }
+        } catch (e) {
+            // Storage disabled; nothing was saved
+        }
+    }
+
+    /**
+     * Finds and sets the optimal voice for speech synthesis.
+     *
+     * Uses the voice chosen by the listener (or set by the shortcode) for the
+     * language when it is available. Otherwise walks the preference groups of
+     * the language (see getVoicePreferenceGroups()), taking a Neural/Natural
+     * voice of a group before any other voice of it, then any voice matching
+     * the language, then the default voice, and finally the first available
+     * voice. The speech rate comes from the narration state.
+     *
+     * @since 1.0.0
+     *
+     * @param {SpeechSynthesisUtterance} utterance - The speech utterance object to configure
+     * @param {string} lang - Language tag of the text (e.g., 'es', 'en-GB', 'pt_BR')
+     *
+     * @return {void}
+     */
+    function findAndSetVoice(utterance, lang) {
+        const voices = window.speechSynthesis.getVoices();
+        const langCode = getLanguageCode(lang);
+        const isNatural = v => /online|natural/i.test(v.name);
+
+        // Listener or shortcode choice first; other languages use the listener's choice for them
+        const chosenVoice = langCode === window.speechState.langCode
+            ? window.speechState.voice
+            : readPreference('voice_' + langCode, '');
+        let selectedVoice = findVoiceByName(voices, chosenVoice);
+
+        getVoicePreferenceGroups(lang).concat([[langCode]]).some(function(group) {
+            const matches = voices.filter(v => group.some(tag => matchesLanguage(v, tag)));
+            selectedVoice = selectedVoice || matches.find(isNatural) || matches[0];
+            return !!selectedVoice;
+        });
+
+        // Final fallback: default voice or first available
+        utterance.voice = selectedVoice || voices.find(v => v.default) || voices[0];
+        utterance.lang = utterance.voice ? utterance.voice.lang : String(lang || '');
+        utterance.rate = window.speechState.rate;
+        utterance.pitch = 1.0;
+    }
+
+    /**
+     * Returns the voice preference groups for a language tag.
+     *
+     * The groups configured for the language in readAloudSettings.voicePreferences
+     * come first (e.g. es-US, then Latin American Spanish for 'es'), so they
+     * also apply to regional page languages like 'es-ES'. A tag with a region
+     * then prefers voices of that region.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} lang - Language tag
+     * @return {Array<Array<string>>} Groups of language tags, most preferred first
+     */
+    function getVoicePreferenceGroups(lang) {
+        const preferences = readAloudSettings.voicePreferences || {};
+        const groups = [].concat(preferences[getLanguageCode(lang)] || []).map(function(group) {
+            return [].concat(group);
+        });
+
+        if (/[-_]/.test(String(lang || ''))) {
+            groups.push([String(lang)]);
+        }
+
+        return groups;
+    }
+
+    /**
+     * Checks whether a voice speaks a language tag.
+     *
+     * A tag with a region must match exactly; a bare language code matches
+     * every region of that language.
+     *
+     * @since 1.2.0
+     *
+     * @param {SpeechSynthesisVoice} voice - Voice to check
+     * @param {string}               tag   - Language tag (e.g. 'es-MX' or 'es')
+     * @return {boolean} True if the voice matches
+     */
+    function matchesLanguage(voice, tag) {
+        const voiceLang = String(voice.lang || '').replace('_', '-').toLowerCase();
+        tag = String(tag).replace('_', '-').toLowerCase();
+
+        return voiceLang === tag || (tag.indexOf('-') === -1 && voiceLang.indexOf(tag + '-') === 0);
+    }
+
+    /**
+     * Reduces a language tag to its language code.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} lang - Language tag (e.g. 'es-MX', 'pt_BR')
+     * @return {string} Lower-case language code (e.g. 'es'), 'en' if empty
+     */
+    function getLanguageCode(lang) {
+        return String(lang || '').split(/[-_]/)[0].toLowerCase() || 'en';
+    }
+
+    /**
+     * Finds a voice by URI, exact name or partial name.
+     *
+     * @since 1.2.0
+     *
+     * @param {Array<SpeechSynthesisVoice>} voices - Available voices
+     * @param {string}                      name   - Voice URI or (part of a) voice name
+     * @return {SpeechSynthesisVoice|null} Matching voice or null
+     */
+    function findVoiceByName(voices, name) {
+        if (!name) {
+            return null;
+        }
+
+        const needle = String(name).toLowerCase();
+        return voices.find(v => v.voiceURI === name || v.name === name) ||
+            voices.find(v => v.name.toLowerCase().indexOf(needle) !== -1) ||
+            null;
+    }
+
+    /**
+     * Returns the voices available for a language.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} langCode - Two-letter language code
+     * @return {Array<SpeechSynthesisVoice>} Matching voices
+     */
+    function getVoicesForLanguage(langCode) {
+        return window.speechSynthesis.getVoices().filter(function(v) {
+            return matchesLanguage(v, langCode);
+        });
+    }
+
+    /**
+     * Clamps a speech rate to the supported range.
+     *
+     * @since 1.2.0
+     *
+     * @param {*} rate - Rate value (number or numeric string)
+     * @return {number} Rate between 0.5 and 2, 1 if invalid
+     */
+    function normalizeRate(rate) {
+        rate = parseFloat(rate);
+        return isNaN(rate) ? 1 : Math.min(2, Math.max(0.5, rate));
+    }
+
+    /**
+     * Shows the loading state on a read-aloud link.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link - The jQuery object for the trigger link
+     * @param {jQuery} icon - The jQuery object for the icon element
+     *
+     * @return {void}
+     */
+    function setLinkLoading(link, icon) {
+        link.addClass('read-aloud-loading').attr('aria-busy', 'true');
+        icon.removeClass('fa-headphones fa-play fa-pause').addClass('fa-spinner fa-spin');
+        updateLinkText(link, readAloudSettings.readingText);
+        announceStatus('loading', readAloudSettings.statusLoadingText || 'Loading narration…');
+    }
+
+    /**
+     * Shows the playing state (pause button) on a read-aloud link.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link - The jQuery object for the trigger link
+     * @param {jQuery} icon - The jQuery object for the icon element
+     *
+     * @return {void}
+     */
+    function setLinkPlaying(link, icon) {
+        if (!link) {
+            return;
+        }
+        link.removeClass('read-aloud-loading').removeAttr('aria-busy');
+        icon.removeClass('fa-headphones fa-spinner fa-spin fa-play').addClass('fa-pause');
+        updateLinkText(link, readAloudSettings.pauseText);
+        announceStatus('playing', (readAloudSettings.statusPlayingText || 'Reading aloud: %s').replace('%s', link.data('title') || document.title));
+        updatePlayer();
+    }
+
+    /**
+     * Shows the paused state (resume button) on a read-aloud link.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link - The jQuery object for the trigger link
+     * @param {jQuery} icon - The jQuery object for the icon element
+     *
+     * @return {void}
+     */
+    function setLinkPaused(link, icon) {
+        if (!link) {
+            return;
+        }
+        link.removeClass('read-aloud-loading').removeAttr('aria-busy');
+        icon.removeClass('fa-headphones fa-spinner fa-spin fa-pause').addClass('fa-play');
+        updateLinkText(link, readAloudSettings.resumeText);
+        announceStatus('paused', readAloudSettings.statusPausedText || 'Narration paused');
+        updatePlayer();
+    }
+
+    /**
+     * Announces a narration state change to screen readers.
+     *
+     * Messages go to a polite live region shared by all links. Repeated
+     * reports of the same state (every chunk reports "playing") are ignored.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} status  - State name, e.g. 'playing' or 'error'
+     * @param {string} message - Text to announce
+     * @return {void}
+     */
+    function announceStatus(status, message) {
+        if (status === window.speechState.status && status !== 'error') {
+            return;
+        }
+        window.speechState.status = status;
+
+        let region = $('.read-aloud-status');
+        if (!region.length) {
+            region = $('<div class="read-aloud-status" role="status" aria-live="polite" aria-atomic="true"></div>').appendTo(document.body);
+        }
+
+        // Clearing first makes screen readers repeat a message identical to the last one
+        region.text('');
+        setTimeout(function() {
+            region.text(message);
+        }, 100);
+    }
+
+    /**
+     * Checks whether a keydown event matches a shortcut such as 'Alt+Shift+P'.
+     *
+     * Letters and digits are compared by physical key as well, since Alt
+     * changes the typed character on some keyboard layouts.
+     *
+     * @since 1.2.0
+     *
+     * @param {KeyboardEvent} event    - The keydown event
+     * @param {string}        shortcut - Modifiers and key joined by '+'
+     * @return {boolean} True when the event matches
+     */
+    function matchesShortcut(event, shortcut) {
+        const parts = String(shortcut || '').split('+').map(function(part) {
+            return part.trim().toLowerCase();
+        }).filter(Boolean);
+        const key = parts.pop();
+        if (!key) {
+            return false;
+        }
+
+        const modifiers = { ctrl: 'ctrlKey', alt: 'altKey', shift: 'shiftKey', meta: 'metaKey' };
+        const modifiersMatch = Object.keys(modifiers).every(function(name) {
+            return !!event[modifiers[name]] === (parts.indexOf(name) !== -1);
+        });
+        if (!modifiersMatch) {
+            return false;
+        }
+
+        const code = /^[a-z]$/.test(key) ? 'Key' + key.toUpperCase() : (/^[0-9]$/.test(key) ? 'Digit' + key : '');
+        return String(event.key || '').toLowerCase() === key || (code !== '' && event.code === code);
+    }
+
+    /**
+     * Connects the active narration to the Media Session API.
+     *
+     * Shows the post title, site name and featured image on lock screens and
+     * media notifications, and maps headset buttons and OS media keys to
+     * play, pause, stop, paragraph skips, sentence skips and seeking.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link - The jQuery object for the trigger link
+     * @return {void}
+     */
+    function setupMediaSession(link) {
+        if (!('mediaSession' in navigator)) {
+            return;
+        }
+
+        try {
+            navigator.mediaSession.metadata = new MediaMetadata({
+                title: link.data('title') || document.title,
+                artist: readAloudSettings.siteName || '',
+                artwork: link.data('image') ? [{ src: link.data('image') }] : []
+            });
+        } catch (e) {
+            // MediaMetadata unsupported
+        }
+
+        const handlers = {
+            play: function() {
+                if (window.speechState.isPaused) {
+                    resumeNarration();
+                }
+            },
+            pause: function() {
+                if (!window.speechState.isPaused) {
+                    pauseNarration();
+                }
+            },
+            stop: stopNarration,
+            previoustrack: function() {
+                skipBy('paragraph', -1);
+            },
+            nexttrack: function() {
+                skipBy('paragraph', 1);
+            },
+            seekbackward: function() {
+                skipBy('sentence', -1);
+            },
+            seekforward: function() {
+                skipBy('sentence', 1);
+            },
+            seekto: function(details) {
+                seekToOffset(details.seekTime * SPOKEN_CHARS_PER_MINUTE * window.speechState.rate / 60);
+            }
+        };
+
+        Object.keys(handlers).forEach(function(action) {
+            try {
+                navigator.mediaSession.setActionHandler(action, function(details) {
+                    if (window.activeReadAloudLink && window.speechState.chunks.length > 0) {
+                        handlers[action](details);
+                    }
+                });
+            } catch (e) {
+                // Action not supported by this browser
+            }
+        });
+    }
+
+    /**
+     * Syncs the media session playback state and position with the narration.
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function updateMediaSession() {
+        if (!('mediaSession' in navigator) || !window.activeReadAloudLink) {
+            return;
+        }
+
+        const state = window.speechState;
+        navigator.mediaSession.playbackState = state.isPaused ? 'paused' : 'playing';
+
+        if (typeof navigator.mediaSession.setPositionState === 'function') {
+            const charsPerSecond = SPOKEN_CHARS_PER_MINUTE * state.rate / 60;
+            const duration = getTotalChars() / charsPerSecond;
+            try {
+                navigator.mediaSession.setPositionState({
+                    duration: duration,
+                    playbackRate: 1, // The estimate already includes the speech rate
+                    position: Math.min(duration, state.charOffset / charsPerSecond)
+                });
+            } catch (e) {
+                // Invalid position state (e.g. empty queue)
+            }
+        }
+    }
+
+    /**
+     * Disconnects narration from the Media Session API.
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function clearMediaSession() {
+        if (!('mediaSession' in navigator)) {
+            return;
+        }
+
+        navigator.mediaSession.metadata = null;
+        navigator.mediaSession.playbackState = 'none';
+        ['play', 'pause', 'stop', 'previoustrack', 'nexttrack', 'seekbackward', 'seekforward', 'seekto'].forEach(function(action) {
+            try {
+                navigator.mediaSession.setActionHandler(action, null);
+            } catch (e) {
+                // Action not supported by this browser
+            }
+        });
+    }
+
+    /**
+     * Adds skip and stop controls next to the active read-aloud link.
+     *
+     * Posts with headings also get a chapter list, section skips and the
+     * skim toggle.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link - The jQuery object for the trigger link
+     *
+     * @return {void}
+     */
+    function showControls(link) {
+        const line = link.closest('.read-aloud-line');
+        if (line.find('.read-aloud-controls').length) {
+            return;
+        }
+
+        const chapters = window.speechState.chapters.length > 0;
+        const controls = [
+            chapters && { action: 'previous-section', icon: 'fa-angle-double-left', label: readAloudSettings.previousSectionText || 'Previous section' },
+            { action: 'previous-paragraph', icon: 'fa-fast-backward', label: readAloudSettings.previousParagraphText || 'Previous paragraph' },
+            { action: 'previous-sentence', icon: 'fa-step-backward', label: readAloudSettings.previousSentenceText || 'Previous sentence' },
+            { action: 'next-sentence', icon: 'fa-step-forward', label: readAloudSettings.nextSentenceText || 'Next sentence' },
+            { action: 'next-paragraph', icon: 'fa-fast-forward', label: readAloudSettings.nextParagraphText || 'Next paragraph' },
+            chapters && { action: 'next-section', icon: 'fa-angle-double-right', label: readAloudSettings.nextSectionText || 'Next section' },
+            { action: 'highlight', icon: 'fa-highlighter', label: readAloudSettings.highlightText || 'Highlight text being read' },
+            chapters && { action: 'skim', icon: 'fa-glasses', label: readAloudSettings.skimText || 'Skim: headings and first sentences' },
+            { action: 'stop', icon: 'fa-stop', label: readAloudSettings.stopText || 'Stop' }
+        ].filter(Boolean);
+
+        const group = $('<span class="read-aloud-controls" role="group"></span>')
+            .attr('aria-label', readAloudSettings.controlsLabel || 'Narration controls');
+
+        if (chapters) {
+            group.append(createChapterSelect());
+        }
+
+        const shortcuts = readAloudSettings.shortcuts || {};
+        controls.forEach(function(control) {
+            $('<button type="button" class="read-aloud-control"></button>')
+                .attr({ 'data-action': control.action, 'aria-label': control.label, title: control.label })
+                .attr('aria-keyshortcuts', shortcuts[control.action] || null)
+                .append($('<i class="fas" aria-hidden="true"></i>').addClass(control.icon))
+                .appendTo(group);
+        });
+
+        const highlight = window.speechState.highlight;
+        group.find('[data-action="highlight"]').attr('aria-pressed', highlight && highlight.enabled ? 'true' : 'false');
+        group.find('[data-action="skim"]').attr('aria-pressed', window.speechState.skim ? 'true' : 'false');
+
+        line.append(group);
+        updateChapterSelect(window.speechState.index);
+    }
+
+    /**
+     * Creates the chapter list of the narration controls.
+     *
+     * Lists the chapters from buildChapters(), indented by heading level,
+     * and ends with an option that reads the list aloud. The first option
+     * stands for the text before the first heading.
+     *
+     * @since 1.2.0
+     *
+     * @return {jQuery} The select element
+     */
+    function createChapterSelect() {
+        const label = readAloudSettings.chaptersText || 'Chapters';
+        const select = $('<select class="read-aloud-chapters"></select>').attr({ 'aria-label': label, title: label });
+        const chapters = window.speechState.chapters;
+        const topLevel = Math.min.apply(null, chapters.map(function(chapter) {
+            return chapter.level;
+        }));
+
+        $('<option value="" disabled></option>').text(label).appendTo(select);
+        chapters.forEach(function(chapter) {
+            $('<option></option>')
+                .val(chapter.index)
+                .text('\u00a0\u00a0'.repeat(chapter.level - topLevel) + chapter.title)
+                .appendTo(select);
+        });
+        $('<option value="contents"></option>')
+            .text(readAloudSettings.tableOfContentsText || 'Read the table of contents')
+            .appendTo(select);
+
+        return select;
+    }
+
+    /**
+     * Selects the chapter of a chunk in the chapter list.
+     *
+     * @since 1.2.0
+     *
+     * @param {number} index - Chunk index
+     * @return {void}
+     */
+    function updateChapterSelect(index) {
+        const select = $('.read-aloud-controls .read-aloud-chapters');
+        const chunk = window.speechState.chunks[index];
+        if (!select.length || !chunk) {
+            return;
+        }
+
+        const chapter = window.speechState.chapters[chunk.section - 1];
+        select.val(chapter ? String(chapter.index) : '');
+    }
+
+    /**
+     * Reads the chapter titles aloud, then continues the narration.
+     *
+     * The interrupted chunk is spoken again from its beginning, and a paused
+     * narration resumes.
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function speakTableOfContents() {
+        const state = window.speechState;
+        if (state.isPaused && !dispatchNarrationEvent(window.activeReadAloudLink, 'resume', {})) {
+            return;
+        }
+
+        // End every title with a full stop so voices pause between them
+        const titles = state.chapters.map(function(chapter) {
+            return chapter.title.replace(/[\s.!?…:;,]+$/, '') + '.';
+        });
+
+        clearLinkError(window.activeReadAloudLink);
+        state.isPaused = false;
+        state.currentUtterance = null;
+        getEngine().cancel();
+        speakAnnouncement((readAloudSettings.contentsText || 'Contents:') + ' ' + titles.join(' '), function() {
+            speakChunk(state.index);
+        });
+    }
+
+    /**
+     * Shows the sticky mini-player for the active narration.
+     *
+     * Only shown for links rendered with player="yes". Offers play/pause,
+     * sentence skipping, a seekable progress track with elapsed and remaining
+     * time, speed presets and a voice picker limited to the page language.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link - The jQuery object for the trigger link
+     * @return {void}
+     */
+    function showPlayer(link) {
+        removePlayer();
+        if (String(link.data('player')) !== 'yes') {
+            return;
+        }
+
+        const state = window.speechState;
+        const player = $('<div class="read-aloud-player" role="region"></div>')
+            .attr('aria-label', readAloudSettings.playerLabel || 'Audio player');
+
+        const buttons = $('<div class="read-aloud-player-buttons"></div>').appendTo(player);
+        createPlayerButton('previous-sentence', 'fa-step-backward', readAloudSettings.previousSentenceText || 'Previous sentence').appendTo(buttons);
+        createPlayerButton('toggle', 'fa-pause', readAloudSettings.pauseText).appendTo(buttons);
+        createPlayerButton('next-sentence', 'fa-step-forward', readAloudSettings.nextSentenceText || 'Next sentence').appendTo(buttons);
+
+        const main = $('<div class="read-aloud-player-main"></div>').appendTo(player);
+        $('<span class="read-aloud-player-title"></span>').text(link.data('title') || document.title).appendTo(main);
+
+        const progress = $('<div class="read-aloud-player-progress"></div>').appendTo(main);
+        $('<span class="read-aloud-player-elapsed">0:00</span>').appendTo(progress);
+        $('<input type="range" class="read-aloud-player-seek" min="0" step="1" value="0">')
+            .attr({ max: getTotalChars(), 'aria-label': readAloudSettings.seekText || 'Seek' })
+            .appendTo(progress);
+        $('<span class="read-aloud-player-remaining">-0:00</span>').appendTo(progress);
+
+        const rates = RATE_PRESETS.indexOf(state.rate) === -1 ? RATE_PRESETS.concat(state.rate).sort(function(a, b) { return a - b; }) : RATE_PRESETS;
+        const rateSelect = $('<select class="read-aloud-player-rate"></select>')
+            .attr('aria-label', readAloudSettings.speedText || 'Speed');
+        rates.forEach(function(rate) {
+            $('<option></option>').val(rate).text(rate + '×').appendTo(rateSelect);
+        });
+        rateSelect.val(String(state.rate)).appendTo(player);
+
+        // Server audio has a single voice, chosen on the server
+        if (state.engine === 'webspeech') {
+            const voiceSelect = $('<select class="read-aloud-player-voice"></select>')
+                .attr('aria-label', readAloudSettings.voiceText || 'Voice');
+            $('<option value=""></option>').text(readAloudSettings.automaticVoiceText || 'Automatic').appendTo(voiceSelect);
+            const chosenVoice = findVoiceByName(window.speechSynthesis.getVoices(), state.voice);
+            getVoicesForLanguage(state.langCode).forEach(function(voice) {
+                $('<option></option>').val(voice.voiceURI).text(voice.name + ' (' + voice.lang + ')').appendTo(voiceSelect);
+            });
+            voiceSelect.val(chosenVoice ? chosenVoice.voiceURI : '').appendTo(player);
+        }
+
+        createPlayerButton('close', 'fa-times', readAloudSettings.stopText || 'Stop').appendTo(player);
+
+        player.appendTo(document.body);
+        $(document.body).addClass('read-aloud-player-open');
+        updatePlayer();
+    }
+
+    /**
+     * Creates an icon button for the mini-player.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} action - Value of the data-action attribute
+     * @param {string} icon   - Font Awesome icon class
+     * @param {string} label  - Accessible label
+     * @return {jQuery} Button element
+     */
+    function createPlayerButton(action, icon, label) {
+        return $('<button type="button" class="read-aloud-player-button"></button>')
+            .attr({ 'data-action': action, 'aria-label': label, title: label })
+            .append($('<i class="fas" aria-hidden="true"></i>').addClass(icon));
+    }
+
+    /**
+     * Removes the mini-player from the page.
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function removePlayer() {
+        $('.read-aloud-player').remove();
+        $(document.body).removeClass('read-aloud-player-open');
+    }
+
+    /**
+     * Syncs the mini-player and the media session with the narration state.
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function updatePlayer() {
+        updateMediaSession();
+
+        const player = $('.read-aloud-player');
+        if (!player.length) {
+            return;
+        }
+
+        const state = window.speechState;
+        const label = state.isPaused ? readAloudSettings.resumeText : readAloudSettings.pauseText;
+        player.find('[data-action="toggle"]')
+            .attr({ 'aria-label': label, title: label })
+            .find('i').toggleClass('fa-play', state.isPaused).toggleClass('fa-pause', !state.isPaused);
+
+        const seek = player.find('.read-aloud-player-seek');
+        if (!seek.data('dragging')) {
+            seek.val(state.charOffset);
+            updatePlayerTimes(state.charOffset);
+        }
+    }
+
+    /**
+     * Shows the elapsed and remaining time for a narration offset.
+     *
+     * @since 1.2.0
+     *
+     * @param {number} offset - Character offset in the narration
+     * @return {void}
+     */
+    function updatePlayerTimes(offset) {
+        const charsPerSecond = SPOKEN_CHARS_PER_MINUTE * window.speechState.rate / 60;
+        const player = $('.read-aloud-player');
+        player.find('.read-aloud-player-elapsed').text(formatTime(offset / charsPerSecond));
+        player.find('.read-aloud-player-remaining').text('-' + formatTime((getTotalChars() - offset) / charsPerSecond));
+    }
+
+    /**
+     * Formats seconds as m:ss.
+     *
+     * @since 1.2.0
+     *
+     * @param {number} seconds - Duration in seconds
+     * @return {string} Formatted duration
+     */
+    function formatTime(seconds) {
+        seconds = Math.max(0, Math.round(seconds));
+        const rest = seconds % 60;
+        return Math.floor(seconds / 60) + ':' + (rest < 10 ? '0' : '') + rest;
+    }
+
+    /**
+     * Returns the number of characters in the narration queue.
+     *
+     * @since 1.2.0
+     *
+     * @return {number} Total characters, including chunk separators
+     */
+    function getTotalChars() {
+        const chunks = window.speechState.chunks;
+        const last = chunks[chunks.length - 1];
+        return last ? last.start + last.text.length + 1 : 0;
+    }
+
+    /**
+     * Moves narration to the chunk containing a character offset.
+     *
+     * @since 1.2.0
+     *
+     * @param {number} offset - Character offset in the narration
+     * @return {void}
+     */
+    function seekToOffset(offset) {
+        const chunks = window.speechState.chunks;
+        let index = 0;
+        while (index < chunks.length - 1 && chunks[index + 1].start <= offset) {
+            index++;
+        }
+        jumpToChunk(index);
+    }
+
+    /**
+     * Changes the speech rate and remembers the listener's choice.
+     *
+     * @since 1.2.0
+     *
+     * @param {number} rate - New speech rate
+     * @return {void}
+     */
+    function setRate(rate) {
+        window.speechState.rate = normalizeRate(rate);
+        savePreference('rate', window.speechState.rate);
+        restartCurrentChunk();
+    }
+
+    /**
+     * Changes the voice and remembers the listener's choice for the page language.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} voice - Voice URI, or empty for automatic selection
+     * @return {void}
+     */
+    function setVoice(voice) {
+        window.speechState.voice = voice;
+        if (voice) {
+            savePreference('voice_' + window.speechState.langCode, voice);
+        } else {
+            removePreference('voice_' + window.speechState.langCode);
+        }
+        restartCurrentChunk();
+    }
+
+    /**
+     * Restarts the current chunk so a new rate or voice applies immediately.
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function restartCurrentChunk() {
+        if (!window.speechState.isPaused) {
+            jumpToChunk(window.speechState.index);
+        } else {
+            updatePlayer();
+        }
+    }
+
+    /**
+     * Updates the text content of a link while preserving icon elements.
+     *
+     * This function specifically targets text nodes within the link element,
+     * leaving icon elements intact. It's used to change button text between
+     * states like "Listen", "Pause", "Resume", etc.
+     *
+     * @since 1.0.0
+     *
+     * @param {jQuery} link - The jQuery object for the link element
+     * @param {string} newText - New text content to display
+     *
+     * @return {void}
+     */
+    function updateLinkText(link, newText) {
+        link.contents().filter(function() {
+            return this.nodeType === 3; // Node.TEXT_NODE
+        }).replaceWith(' ' + newText); // Add space for separation from icon
+    }
+
+    /**
+     * Resets the visual and functional state of a read-aloud link.
+     *
+     * This function performs complete cleanup of a read-aloud link including:
+     * - Restoring original icon (headphones)
+     * - Resetting link text to original state
+     * - Clearing CSS classes for loading states
+     * - Removing narration controls, the mini-player and text highlights
+     * - Offering to continue from a saved listening position
+     * - Cleaning up global state variables
+     * - Resetting speech synthesis state
+     *
+     * @since 1.0.0
+     *
+     * @param {jQuery} link - The jQuery object for the link element
+     * @param {jQuery} icon - The jQuery object for the icon element
+     * @param {string} originalText - Original link text to restore
+     *
+     * @return {void}
+     */
+    function resetLinkState(link, icon, originalText) {
+         // Remove all possible states and add headphones icon with proper spacing
+         icon.removeClass('fa-pause fa-play fa-spinner fa-spin')
+             .removeClass('fas') // Remove the base class
+             .addClass('fas fa-headphones'); // Re-add with proper spacing
+         updateLinkText(link, originalText);
+         link.removeClass('read-aloud-loading').removeAttr('aria-busy');
+         link.closest('.read-aloud-line').find('.read-aloud-controls').remove();
+         removePlayer();
+         clearMediaSession();
+         showResumeOffer(link);
+         clearHighlight();
+         getEngine().release();
+         // Clear global state tracking
+         window.activeReadAloudLink = null;
+         window.activeReadAloudIcon = null;
+         window.originalReadAloudText = null;
+         window.speechState = createSpeechState();
+     }
+
+
+    /**
+     * Collects the include and exclude selectors for a read-aloud link.
+     *
+     * The shortcode's content_id and include/exclude attributes are combined
+     * with the site-wide lists from the wp_read_tools_content_selectors filter.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link - The jQuery object for the trigger link
+     * @return {{contentId: string, include: Array<string>, exclude: Array<string>}} Selectors
+     */
+    function getContentSelectors(link) {
+        const site = readAloudSettings.contentSelectors || {};
+        const split = function(value) {
+            return String(value || '').split(',').map(function(selector) {
+                return selector.trim();
+            }).filter(Boolean);
+        };
+
+        return {
+            contentId: String(link.data('content-id') || ''),
+            include: split(link.data('include')).concat(split((site.include || []).join(','))),
+            exclude: split(link.data('exclude')).concat(split((site.exclude || []).join(',')))
+        };
+    }
+
+    /**
+     * Finds the elements holding the rendered post content.
+     *
+     * Tries the shortcode's content_id and include selectors first, then
+     * scores the page's text blocks to find the most text-dense region. The
+     * same region is used both for frontend content extraction and for
+     * highlighting the text being read.
+     *
+     * @since 1.2.0
+     *
+     * @param {Object} selectors - Selectors from getContentSelectors()
+     * @return {Array<Element>} Content elements, the page body if none was found
+     */
+    function findContentElements(selectors) {
+        // Strategy 1: content_id shortcode attribute
+        if (selectors.contentId) {
+            const customElement = queryContentSelector(selectors.contentId);
+            if (customElement) {
+                return [customElement];
+            }
+        }
+
+        // Strategy 2: include selectors from the shortcode or the filter
+        const included = [];
+        selectors.include.forEach(function(selector) {
+            try {
+                Array.prototype.push.apply(included, document.querySelectorAll(selector));
+            } catch (e) {
+                // Invalid selector
+            }
+        });
+        const roots = included.filter(function(element, i) {
+            // Nested or repeated matches would be read twice
+            return included.indexOf(element) === i && !included.some(function(other) {
+                return other !== element && other.contains(element);
+            });
+        }).sort(function(a, b) {
+            return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+        });
+        if (roots.length > 0) {
+            return roots;
+        }
+
+        // Strategy 3: the most text-dense region of the page
+        const scored = findScoredContent(selectors.exclude);
+
+        // Strategy 4: the readable parts of the page body
+        return scored.length > 0 ? scored : [document.body];
+    }
+
+    /**
+     * Returns the content elements of a read-aloud link.
+     *
+     * Finding them can score the whole page, so they are kept on the link
+     * until the page replaces one of them.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link - The jQuery object for the trigger link
+     * @return {Array<Element>} Content elements, see findContentElements()
+     */
+    function getContentRoots(link) {
+        let roots = link.data('content-roots');
+        if (!roots || !roots.every(function(root) { return root.isConnected; })) {
+            roots = findContentElements(getContentSelectors(link));
+            link.data('content-roots', roots);
+        }
+        return roots;
+    }
+
+    /**
+     * Finds the main content region by scoring text blocks.
+     *
+     * Works like Readability: every paragraph-like block outside skipped
+     * regions adds points for its length and commas to its parent and, at a
+     * lower rate, to its grandparent and great-grandparent. Container class
+     * names, link density and landmark regions adjust the scores. When other
+     * blocks score close to the best container, their common ancestor is
+     * used instead, and sibling blocks that scored well are added too, as
+     * page builders often split an article across several modules.
+     *
+     * @since 1.2.0
+     *
+     * @param {Array<string>} exclude - Selectors of elements to leave out
+     * @return {Array<Element>} Content elements, empty if nothing scored
+     */
+    function findScoredContent(exclude) {
+        const scores = new Map();
+        const skipCache = new Map();
+
+        Array.prototype.forEach.call(document.body.querySelectorAll(PARAGRAPH_SELECTOR), function(paragraph) {
+            // Only divs without block children hold paragraph text themselves
+            if (paragraph.tagName === 'DIV' && paragraph.querySelector('p, div, pre, blockquote, ul, ol, table, h1, h2, h3, h4, h5, h6')) {
+                return;
+            }
+
+            const text = (paragraph.textContent || '').replace(/\s+/g, ' ').trim();
+            if (text.length < 25 || isSkippedElement(paragraph, document.body, exclude, skipCache)) {
+                return;
+            }
+
+            const commas = (text.match(/[,，、،]/g) || []).length;
+            const points = (1 + commas + Math.min(Math.floor(text.length / 100), 3)) * (1 - getLinkDensity(paragraph));
+
+            let ancestor = paragraph.parentElement;
+            for (let level = 0; level < 3 && ancestor && ancestor !== document.body; level++) {
+                if (!scores.has(ancestor)) {
+                    scores.set(ancestor, getContainerWeight(ancestor));
+                }
+                scores.set(ancestor, scores.get(ancestor) + points / (level + 1));
+                ancestor = ancestor.parentElement;
+            }
+        });
+
+        let top = null;
+        let topScore = 0;
+        scores.forEach(function(score, element) {
+            const adjusted = score * (1 - getLinkDensity(element));
+            scores.set(element, adjusted);
+            if (adjusted > topScore) {
+                top = element;
+                topScore = adjusted;
+            }
+        });
+
+        if (!top) {
+            return [];
+        }
+
+        // Blocks scoring close to the best one are usually parts of the same article
+        const alternatives = [];
+        scores.forEach(function(score, element) {
+            if (score >= topScore * 0.75 && !element.contains(top) && !top.contains(element)) {
+                alternatives.push(element);
+            }
+        });
+        for (let ancestor = top.parentElement; alternatives.length > 0 && ancestor && ancestor !== document.body; ancestor = ancestor.parentElement) {
+            const contained = alternatives.filter(function(element) {
+                return ancestor.contains(element);
+            }).length;
+            if (contained >= Math.min(3, alternatives.length)) {
+                top = ancestor;
+                topScore = Math.max(topScore, scores.get(ancestor) || 0);
+                break;
+            }
+        }
+
+        const threshold = Math.max(10, topScore * 0.2);
+        return Array.prototype.filter.call(top.parentElement.children, function(sibling) {
+            return sibling === top || (scores.get(sibling) || 0) >= threshold;
+        });
+    }
+
+    /**
+     * Returns the starting score of a candidate container.
+     *
+     * @since 1.2.0
+     *
+     * @param {Element} element - Candidate container
+     * @return {number} Score from the element's tag, role, class and ID
+     */
+    function getContainerWeight(element) {
+        const names = getElementNames(element);
+        let weight = 0;
+
+        if (element.matches('article, main, [role="main"]')) {
+            weight += 10;
+        }
+        if (CONTENT_HINT_PATTERN.test(names)) {
+            weight += 25;
+        }
+        if (NOISE_PATTERN.test(names)) {
+            weight -= 25;
+        }
+
+        return weight;
+    }
+
+    /**
+     * Returns the share of an element's text that sits inside links.
+     *
+     * @since 1.2.0
+     *
+     * @param {Element} element - Element to measure
+     * @return {number} Ratio between 0 and 1
+     */
+    function getLinkDensity(element) {
+        const length = (element.textContent || '').trim().length;
+        if (!length) {
+            return 0;
+        }
+
+        let linkLength = 0;
+        Array.prototype.forEach.call(element.querySelectorAll('a'), function(anchor) {
+            linkLength += (anchor.textContent || '').trim().length;
+        });
+
+        return Math.min(1, linkLength / length);
+    }
+
+    /**
+     * Returns an element's ID and class names as one string.
+     *
+     * @since 1.2.0
+     *
+     * @param {Element} element - Element to describe
+     * @return {string} ID and class attribute values
+     */
+    function getElementNames(element) {
+        return (element.id || '') + ' ' + (element.getAttribute('class') || '');
+    }
+
+    /**
+     * Checks whether an element lies in a region that should not be read.
+     *
+     * Walks up to the content root looking for landmark regions, hidden
+     * markup, excluded selectors and comment or share widgets.
+     *
+     * @since 1.2.0
+     *
+     * @param {Element}              element - Element to check
+     * @param {Element}              root    - Content root; it is not checked itself
+     * @param {Array<string>}        exclude - Selectors of elements to leave out
+     * @param {Map<Element,boolean>} [cache] - Results per element, shared between calls
+     * @return {boolean} True when the element should be left out
+     */
+    function isSkippedElement(element, root, exclude, cache) {
+        if (!element || element === root) {
+            return false;
+        }
+        if (cache && cache.has(element)) {
+            return cache.get(element);
+        }
+
+        const names = getElementNames(element);
+        const skipped = element.matches(SKIPPED_REGIONS)
+            || (NOISE_PATTERN.test(names) && !CONTENT_HINT_PATTERN.test(names))
+            || exclude.some(function(selector) {
+                try {
+                    return element.matches(selector);
+                } catch (e) {
+                    return false; // Invalid selector
+                }
+            })
+            || isSkippedElement(element.parentElement, root, exclude, cache);
+
+        if (cache) {
+            cache.set(element, skipped);
+        }
+        return skipped;
+    }
+
+    /**
+     * Resolves a content_id value to an element.
+     *
+     * Plain values are treated as element IDs; anything else is tried as a
+     * CSS selector.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} selector - Element ID or CSS selector
+     * @return {Element|null} Matching element or null
+     */
+    function queryContentSelector(selector) {
+        const byId = document.getElementById(String(selector).replace(/^#/, ''));
+        if (byId) {
+            return byId;
+        }
+
+        try {
+            return document.querySelector(selector);
+        } catch (e) {
+            return null; // Invalid selector
+        }
+    }
+
+    /**
+     * Extracts content from the frontend DOM for page builders.
+     *
+     * This function attempts to extract readable content directly from the
+     * page when backend content detection fails (common with page builders).
+     * It reads the region found by findContentElements(), leaving out
+     * navigation, landmark regions, comment and share widgets and excluded
+     * elements. The reading time shown next to the link, which the server
+     * could only estimate from the stored post content, is recomputed from
+     * the extracted text.
+     *
+     * @since 1.0.1
+     *
+     * @param {number} postId - The post ID for context
+     * @param {jQuery} link   - The jQuery object for the trigger link
+     * @return {string} Extracted content or empty string
+     */
+    function extractFrontendContent(postId, link) {
+        const selectors = getContentSelectors(link);
+        const roots = getContentRoots(link);
+        const parts = [];
+        const cache = new Map();
+        roots.forEach(function(root) {
+            collectReadableText(root, root, selectors.exclude, cache, parts);
+            parts.push('\n');
+        });
+
+        // Collapse whitespace, keeping line breaks as paragraph boundaries
+        const content = parts.join('').replace(/[^\S\n]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+
+        if (content) {
+            updateReadingTime(link, content, getContentMedia(roots, selectors.exclude, cache));
+        }
+        return content;
+    }
+
+    /**
+     * Marks the chunks of page headings as heading chunks.
+     *
+     * Text extracted from the page has no segments, so the h1-h6 elements of
+     * the region read by extractFrontendContent() are matched, in order, to
+     * the paragraphs of the chunk queue by their comparison keys. Matched
+     * chunks get the heading type and level of server segments.
+     *
+     * @since 1.2.0
+     *
+     * @param {Array<Object>} chunks - Chunks from splitIntoChunks()
+     * @param {jQuery}        link   - The jQuery object for the trigger link
+     * @return {void}
+     */
+    function markHeadings(chunks, link) {
+        const exclude = getContentSelectors(link).exclude;
+        const cache = new Map();
+        const paragraphs = [];
+
+        chunks.forEach(function(chunk, index) {
+            const last = paragraphs[paragraphs.length - 1];
+            if (last && last.paragraph === chunk.paragraph) {
+                last.key += toKey(chunk.text);
+                last.end = index;
+            } else {
+                paragraphs.push({ paragraph: chunk.paragraph, key: toKey(chunk.text), start: index, end: index });
+            }
+        });
+
+        let cursor = 0;
+        getContentRoots(link).forEach(function(root) {
+            $(root).find('h1, h2, h3, h4, h5, h6').each(function() {
+                const key = toKey(this.textContent || '');
+                if (!key || isSkippedElement(this, root, exclude, cache)) {
+                    return;
+                }
+
+                for (let i = cursor; i < paragraphs.length; i++) {
+                    if (paragraphs[i].key === key) {
+                        for (let j = paragraphs[i].start; j <= paragraphs[i].end; j++) {
+                            chunks[j].type = 'heading';
+                            chunks[j].level = parseInt(this.tagName.charAt(1), 10);
+                        }
+                        cursor = i + 1;
+                        break;
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Counts the words of a text, whatever its script.
+     *
+     * Mirrors WP_Read_Tools_Shortcode::count_words(): Chinese and Japanese
+     * are counted by character, other text by Intl.Segmenter words (which
+     * also segments Thai, Lao, Khmer and Burmese) or letter and number runs.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} text - Plain text
+     * @return {{words: number, characters: number}} Word and Chinese/Japanese character counts
+     */
+    function countWords(text) {
+        const characters = (text.match(CJK_PATTERN) || []).length;
+        const rest = characters > 0 ? text.replace(CJK_PATTERN, ' ') : text;
+
+        if (window.Intl && typeof Intl.Segmenter === 'function') {
+            try {
+                const segmenter = new Intl.Segmenter(document.documentElement.lang || undefined, { granularity: 'word' });
+                let words = 0;
+                for (const segment of segmenter.segment(rest)) {
+                    if (segment.isWordLike) {
+                        words++;
+                    }
+                }
+                return { words: words, characters: characters };
+            } catch (e) {
+                // Invalid page language tag; fall through to the pattern
+            }
+        }
+
+        return { words: (rest.match(WORD_PATTERN) || []).length, characters: characters };
+    }
+
+    /**
+     * Counts the images and code words of the extracted content.
+     *
+     * @since 1.2.0
+     *
+     * @param {Array<Element>}       roots   - Content roots
+     * @param {Array<string>}        exclude - Selectors of elements to leave out
+     * @param {Map<Element,boolean>} cache   - Skip results shared with isSkippedElement()
+     * @return {{images: number, codeWords: number}} Image count and words inside code blocks
+     */
+    function getContentMedia(roots, exclude, cache) {
+        const media = { images: 0, codeWords: 0 };
+        roots.forEach(function(root) {
+            $(root).find('img').each(function() {
+                if (!isSkippedElement(this, root, exclude, cache)) {
+                    media.images++;
+                }
+            });
+            $(root).find('pre').each(function() {
+                if (!isSkippedElement(this, root, exclude, cache)) {
+                    media.codeWords += countWords(this.textContent).words;
+                }
+            });
+        });
+        return media;
+    }
+
+    /**
+     * Replaces the reading time shown next to a link.
+     *
+     * Uses the model of WP_Read_Tools_Shortcode::get_reading_time(), with the
+     * reading speed and time format the shortcode rendered on the line.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link    - The jQuery object for the trigger link
+     * @param {string} content - Text the minutes are computed from
+     * @param {{images: number, codeWords: number}} media - Images and code words in the content
+     * @return {void}
+     */
+    function updateReadingTime(link, content, media) {
+        const line = link.closest('.read-aloud-line').siblings('.read-time-line');
+        const format = line.attr('data-time-format');
+        if (!line.length || !format) {
+            return;
+        }
+
+        const factors = readAloudSettings.readingTime || {};
+        const wpm = parseInt(line.attr('data-wpm'), 10) || (readAloudSettings.defaults || {}).wpm || 180;
+        const codeFactor = parseFloat(factors.code_factor) || 1;
+        const counts = countWords(content);
+
+        let minutes = (counts.words + media.codeWords * (codeFactor - 1)) / wpm;
+        if (factors.cpm > 0) {
+            minutes += counts.characters / factors.cpm;
+        }
+        for (let i = 0; i < media.images; i++) {
+            minutes += Math.max(factors.min_image_seconds || 0, (factors.image_seconds || 0) - i) / 60;
+        }
+        minutes = Math.round(minutes * 100) / 100;
+
+        // Round up to the nearest 0.5 for display, like the server
+        const rounded = Math.ceil(minutes * 2) / 2;
+        const icon = line.children('i').first().detach();
+
+        line.text(' ' + format.replace('%s', formatNumber(rounded, 1))).prepend(icon);
+        line.attr('title', (readAloudSettings.readTimeTooltipText || 'Estimated reading time: %s minutes').replace('%s', formatNumber(minutes, 2)));
+    }
+
+    /**
+     * Formats a number with the site's separators (see WP_Read_Tools_Shortcode::get_number_format()).
+     *
+     * @since 1.2.0
+     *
+     * @param {number} number   - Number to format
+     * @param {number} decimals - Decimal places
+     * @return {string} Formatted number
+     */
+    function formatNumber(number, decimals) {
+        const separators = readAloudSettings.numberFormat || {};
+        const parts = number.toFixed(decimals).split('.');
+        parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, separators.thousands === undefined ? ',' : separators.thousands);
+        return parts.join(separators.decimal || '.');
+    }
+
+    /**
+     * Appends the readable text below a node, with line breaks around blocks.
+     *
+     * @since 1.2.0
+     *
+     * @param {Node}                 node    - Node to read
+     * @param {Element}              root    - Content root
+     * @param {Array<string>}        exclude - Selectors of elements to leave out
+     * @param {Map<Element,boolean>} cache   - Skip results shared with isSkippedElement()
+     * @param {Array<string>}        parts   - Collected text, modified in place
+     * @return {void}
+     */
+    function collectReadableText(node, root, exclude, cache, parts) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            parts.push(node.data);
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || isSkippedElement(node, root, exclude, cache)) {
+            return;
+        }
+
+        const isBlock = BLOCK_TAG_PATTERN.test(node.tagName);
+        if (isBlock) {
+            parts.push('\n');
+        }
+        Array.prototype.forEach.call(node.childNodes, function(child) {
+            collectReadableText(child, root, exclude, cache, parts);
+        });
+        if (isBlock) {
+            parts.push('\n');
+        }
+    }
+
+    /**
+     * Prepares highlighting of the text being read inside the post content.
+     *
+     * Indexes the text nodes of the content region and locates every chunk of
+     * the queue in it. Chunks that cannot be found (text that is not rendered
+     * on the page) are simply not highlighted. A selected passage is looked
+     * for from the start of its range, so repeated text is highlighted where
+     * it was selected.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} link    - The jQuery object for the trigger link
+     * @param {Range}  [range] - Range of the text being read, when it is a selection
+     * @return {void}
+     */
+    function prepareHighlighting(link, range) {
+        const defaultEnabled = String(link.data('highlight') || 'yes') !== 'no';
+        const selectors = getContentSelectors(link);
+        const map = buildTextMap(getContentRoots(link), selectors.exclude);
+
+        window.speechState.highlight = {
+            enabled: readPreference('highlight', defaultEnabled),
+            map: map,
+            spans: locateChunks(window.speechState.chunks, map, range ? getRangeCursor(map, range) : 0),
+            ranges: { sentence: null, word: null }
+        };
+    }
+
+    /**
+     * Builds a searchable index of the letters and digits inside content elements.
+     *
+     * Only letters and digits are indexed so server-processed text still
+     * matches the rendered page after texturized quotes, dashes and entity
+     * decoding. Each indexed character keeps a reference to its text node
+     * and offset so DOM ranges can be created from search results.
+     *
+     * @since 1.2.0
+     *
+     * @param {Array<Element>} roots   - Content elements to index
+     * @param {Array<string>}  exclude - Selectors of elements to leave out
+     * @return {{key: string, nodes: Array<Text>, offsets: Array<number>}} Text index
+     */
+    function buildTextMap(roots, exclude) {
+        const chars = [];
+        const nodes = [];
+        const offsets = [];
+        const cache = new Map();
+
+        roots.forEach(function(root) {
+            const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+                acceptNode: function(node) {
+                    const parent = node.parentElement;
+                    return !parent || isSkippedElement(parent, root, exclude, cache)
+                        ? NodeFilter.FILTER_REJECT
+                        : NodeFilter.FILTER_ACCEPT;
+                }
+            });
+
+            let node;
+            while ((node = walker.nextNode())) {
+                const data = node.data;
+                for (let i = 0; i < data.length; i++) {
+                    if (KEY_CHAR_PATTERN.test(data[i])) {
+                        chars.push(toKeyChar(data[i]));
+                        nodes.push(node);
+                        offsets.push(i);
+                    }
+                }
+            }
+        });
+
+        return { key: chars.join(''), nodes: nodes, offsets: offsets };
+    }
+
+    /**
+     * Reduces text to the characters indexed by buildTextMap().
+     *
+     * @since 1.2.0
+     *
+     * @param {string} text - Text to convert
+     * @return {string} Lower-cased letters and digits of the text
+     */
+    function toKey(text) {
+        let key = '';
+        for (let i = 0; i < text.length; i++) {
+            if (KEY_CHAR_PATTERN.test(text[i])) {
+                key += toKeyChar(text[i]);
+            }
+        }
+        return key;
+    }
+
+    /**
+     * Lower-cases a single character without changing its length.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} char - Character to convert
+     * @return {string} Lower-cased character
+     */
+    function toKeyChar(char) {
+        const lower = char.toLowerCase();
+        return lower.length === 1 ? lower : char;
+    }
+
+    /**
+     * Locates each chunk of the queue in the text index, in reading order.
+     *
+     * @since 1.2.0
+     *
+     * @param {Array<Object>} chunks   - Narration chunks
+     * @param {Object}        map      - Text index from buildTextMap()
+     * @param {number}        [cursor] - Index position to start searching from
+     * @return {Array<{start: number, end: number}|null>} Index span per chunk
+     */
+    function locateChunks(chunks, map, cursor) {
+        cursor = cursor || 0;
+
+        return chunks.map(function(chunk) {
+            const key = chunk.announcement ? '' : toKey(chunk.text);
+            if (!key) {
+                return null;
+            }
+
+            const start = map.key.indexOf(key, cursor);
+            if (start === -1 || start - cursor > HIGHLIGHT_SEARCH_WINDOW) {
+                return null; // Not on the page, or too far ahead to be the same passage
+            }
+
+            cursor = start + key.length;
+            return { start: start, end: cursor };
+        });
+    }
+
+    /**
+     * Returns the first index position inside a DOM range.
+     *
+     * @since 1.2.0
+     *
+     * @param {Object} map   - Text index from buildTextMap()
+     * @param {Range}  range - Range to look for
+     * @return {number} Index position, 0 if the range holds no indexed text
+     */
+    function getRangeCursor(map, range) {
+        for (let i = 0; i < map.nodes.length; i++) {
+            try {
+                if (range.comparePoint(map.nodes[i], map.offsets[i]) >= 0) {
+                    return i;
+                }
+            } catch (e) {
+                return 0; // The range is no longer in the document
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Returns the first chunk of the queue read from a content element.
+     *
+     * Uses the chunks located by prepareHighlighting(), falling back to
+     * comparing the element text with the chunk text when none of them is
+     * inside the element. Announcements opening the block ("List with 3
+     * items", "Quote") are included.
+     *
+     * @since 1.2.0
+     *
+     * @param {Element} element - Paragraph, heading or other content element
+     * @return {number} Chunk index, 0 if the element text is not in the queue
+     */
+    function findChunkForElement(element) {
+        const chunks = window.speechState.chunks;
+        const highlight = window.speechState.highlight;
+        let index = -1;
+
+        if (highlight) {
+            const first = highlight.map.nodes.findIndex(function(node) {
+                return element.contains(node);
+            });
+            index = first === -1 ? -1 : highlight.spans.findIndex(function(span) {
+                return span && span.end > first;
+            });
+        }
+
+        const key = index === -1 ? toKey(element.textContent || '') : '';
+        if (key) {
+            index = chunks.findIndex(function(chunk) {
+                const chunkKey = chunk.announcement ? '' : toKey(chunk.text);
+                return chunkKey !== '' && (key.indexOf(chunkKey) === 0 || chunkKey.indexOf(key) === 0);
+            });
+        }
+
+        if (index === -1) {
+            return 0;
+        }
+        while (index > 0 && chunks[index - 1].announcement && chunks[index - 1].paragraph === chunks[index].paragraph) {
+            index--;
+        }
+        return index;
+    }
+
+    /**
+     * Creates a DOM range covering part of the text index.
+     *
+     * @since 1.2.0
+     *
+     * @param {Object} map   - Text index from buildTextMap()
+     * @param {number} start - First index position (inclusive)
+     * @param {number} end   - Last index position (exclusive)
+     * @return {Range|null} Range, or null if the content changed since indexing
+     */
+    function createTextRange(map, start, end) {
+        try {
+            const range = document.createRange();
+            range.setStart(map.nodes[start], map.offsets[start]);
+            range.setEnd(map.nodes[end - 1], map.offsets[end - 1] + 1);
+            return range;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Highlights the sentence a chunk belongs to and scrolls it into view.
+     *
+     * @since 1.2.0
+     *
+     * @param {number} index - Index of the chunk being spoken
+     * @return {void}
+     */
+    function highlightSentence(index) {
+        const state = window.speechState;
+        const highlight = state.highlight;
+        if (!highlight || !highlight.enabled || !state.chunks[index]) {
+            return;
+        }
+
+        // Long sentences span several chunks; highlight all of them
+        const sentence = state.chunks[index].sentence;
+        let start = -1;
+        let end = -1;
+        state.chunks.forEach(function(chunk, i) {
+            const span = highlight.spans[i];
+            if (chunk.sentence === sentence && span) {
+                start = start === -1 ? span.start : Math.min(start, span.start);
+                end = Math.max(end, span.end);
+            }
+        });
+
+        const range = start === -1 ? null : createTextRange(highlight.map, start, end);
+        paintHighlight('sentence', range);
+        paintHighlight('word', null);
+
+        if (range) {
+            scrollRangeIntoView(range);
+        }
+    }
+
+    /**
+     * Highlights the word reported by an utterance boundary event.
+     *
+     * @since 1.2.0
+     *
+     * @param {number} index      - Index of the chunk being spoken
+     * @param {number} charIndex  - Offset of the word in the chunk text
+     * @param {number} charLength - Length of the word, if reported by the browser
+     * @return {void}
+     */
+    function highlightWord(index, charIndex, charLength) {
+        const state = window.speechState;
+        const highlight = state.highlight;
+        const span = highlight && highlight.spans[index];
+        if (!span || !highlight.enabled) {
+            return;
+        }
+
+        const text = state.chunks[index].text;
+        const word = charLength ? text.substr(charIndex, charLength) : (text.slice(charIndex).match(/^\S+/) || [''])[0];
+        const wordLength = toKey(word).length;
+        if (!wordLength) {
+            return;
+        }
+
+        const start = span.start + toKey(text.slice(0, charIndex)).length;
+        const end = Math.min(start + wordLength, span.end);
+        if (start >= end) {
+            return;
+        }
+
+        paintHighlight('word', createTextRange(highlight.map, start, end));
+    }
+
+    /**
+     * Paints (or clears) the sentence or word highlight.
+     *
+     * Uses the CSS Custom Highlight API where available so the page markup is
+     * never modified; other browsers get absolutely positioned boxes drawn
+     * over the text in a separate layer.
+     *
+     * @since 1.2.0
+     *
+     * @param {string}     kind  - Either 'sentence' or 'word'
+     * @param {Range|null} range - Range to highlight, or null to clear
+     * @return {void}
+     */
+    function paintHighlight(kind, range) {
+        const highlight = window.speechState.highlight;
+        if (highlight) {
+            highlight.ranges[kind] = range;
+        }
+
+        if (SUPPORTS_HIGHLIGHT_API) {
+            if (range) {
+                CSS.highlights.set(HIGHLIGHT_NAMES[kind], new Highlight(range));
+            } else {
+                CSS.highlights.delete(HIGHLIGHT_NAMES[kind]);
+            }
+            return;
+        }
+
+        let layer = $('.read-aloud-highlight-layer');
+        if (!layer.length) {
+            layer = $('<div class="read-aloud-highlight-layer" aria-hidden="true"></div>').appendTo(document.body);
+        }
+
+        layer.children('.is-' + kind).remove();
+        if (!range) {
+            return;
+        }
+
+        Array.prototype.forEach.call(range.getClientRects(), function(rect) {
+            $('<div class="read-aloud-highlight-box"></div>')
+                .addClass('is-' + kind)
+                .css({
+                    top: rect.top + window.pageYOffset,
+                    left: rect.left + window.pageXOffset,
+                    width: rect.width,
+                    height: rect.height
+                })
+                .appendTo(layer);
+        });
+    }
+
+    /**
+     * Removes all highlights from the page.
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function clearHighlight() {
+        paintHighlight('sentence', null);
+        paintHighlight('word', null);
+        $('.read-aloud-highlight-layer').remove();
+    }
+
+    /**
+     * Scrolls the page so a highlighted range is visible.
+     *
+     * Only scrolls when the range has left the viewport, so readers who
+     * scroll away on purpose are not pulled back on every word.
+     *
+     * @since 1.2.0
+     *
+     * @param {Range} range - Range to keep in view
+     * @return {void}
+     */
+    function scrollRangeIntoView(range) {
+        const rect = range.getBoundingClientRect();
+        if (!rect.height || (rect.top >= 0 && rect.bottom <= window.innerHeight)) {
+            return;
+        }
+
+        const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        window.scrollTo({
+            top: window.pageYOffset + rect.top - window.innerHeight / 3,
+            behavior: reduceMotion ? 'auto' : 'smooth'
+        });
+    }
+
+    /**
+     * Turns highlighting on or off for the active narration and remembers the choice.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} button - The highlight toggle button
+     * @return {void}
+     */
+    function toggleHighlight(button) {
+        const highlight = window.speechState.highlight;
+        if (!highlight) {
+            return;
+        }
+
+        highlight.enabled = !highlight.enabled;
+        savePreference('highlight', highlight.enabled);
+        button.attr('aria-pressed', highlight.enabled ? 'true' : 'false');
+
+        if (highlight.enabled) {
+            highlightSentence(window.speechState.index);
+        } else {
+            clearHighlight();
+        }
+    }
+
+    /**
+     * Turns skim mode on or off for the active narration.
+     *
+     * Skimming reads only the headings and the first sentence of each
+     * section (see getSkimmedChunks()), from the chunk after the current one.
+     *
+     * @since 1.2.0
+     *
+     * @param {jQuery} button - The skim toggle button
+     * @return {void}
+     */
+    function toggleSkim(button) {
+        const state = window.speechState;
+        if (state.chapters.length === 0) {
+            return;
+        }
+
+        state.skim = !state.skim;
+        button.attr('aria-pressed', state.skim ? 'true' : 'false');
+    }
+
+    /**
+     * Reads a listener preference from localStorage.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} name     - Preference name
+     * @param {*}      fallback - Value returned when nothing is stored
+     * @return {*} Stored value or fallback
+     */
+    function readPreference(name, fallback) {
+        try {
+            const stored = window.localStorage.getItem('wpReadTools.' + name);
+            return stored === null ? fallback : JSON.parse(stored);
+        } catch (e) {
+            return fallback; // Storage disabled or value corrupted
+        }
+    }
 
     /**
-     * Main click event handler for read-aloud trigger links.
-     *
-     * Handles all text-to-speech functionality including:
-     * - Pause/resume controls for active speech
-     * - Stopping current speech when switching between posts
-     * - AJAX requests to fetch post content
-     * - Speech synthesis with voice selection
-     * - UI state management and visual feedback
+     * Stores a listener preference in localStorage.
      *
-     * @since 1.0.0
+     * @since 1.2.0
      *
-     * @param {Event} e - The click event object
+     * @param {string} name  - Preference name
+     * @param {*}      value - JSON-serializable value
+     * @return {void}
      */
-    $('.read-aloud-trigger').on('click', function(e) {
-        e.preventDefault();
-        const link = $(this);
-        const postId = link.data('post-id');
-        const icon = link.find('.fas');
-        const originalLinkText = link.contents().filter(function() { return this.nodeType === 3; }).text().trim(); // More robust way to get text node
-        let utterance = null; // Store the utterance object
-        let currentLink = link; // Keep track of the link being processed
-
-        // Handle pause/resume if already speaking
-        if (speechSynthesis.speaking) {
-            if (!window.speechState.isPaused) {
-                // Pause the narration
-                speechSynthesis.pause();
-                window.speechState.isPaused = true;
-                icon.removeClass('fa-pause').addClass('fa-play');
-                updateLinkText(link, readAloudSettings.resumeText);
-                return;
-            } else {
-                // Resume the narration
-                speechSynthesis.resume();
-                window.speechState.isPaused = false;
-                icon.removeClass('fa-play').addClass('fa-pause');
-                updateLinkText(link, readAloudSettings.pauseText);
-                return;
-            }
+    function savePreference(name, value) {
+        try {
+            window.localStorage.setItem('wpReadTools.' + name, JSON.stringify(value));
+        } catch (e) {
+            // Storage disabled or full; the choice only lasts for this page view
         }
+    }
 
-        // Stop any currently playing speech before starting new or stopping
-        if (speechSynthesis.speaking || speechSynthesis.pending) {
-            const wasSpeakingThisLink = window.activeReadAloudLink && currentLink.is(window.activeReadAloudLink); // Check if the click is on the currently active link
-            speechSynthesis.cancel(); // Stop speech synthesis
-
-            // Reset the icon and text of the link that was playing/loading
-            if (window.activeReadAloudLink && window.activeReadAloudIcon && window.originalReadAloudText) {
-                 window.activeReadAloudIcon.removeClass('fa-pause fa-play fa-spinner fa-spin').addClass(' fa-headphones');
-                 updateLinkText(window.activeReadAloudLink, window.originalReadAloudText);
-                 window.activeReadAloudLink.removeClass('read-aloud-loading');
-            }
-
-             // Clear global state
-             window.activeReadAloudLink = null;
-             window.activeReadAloudIcon = null;
-             window.originalReadAloudText = null;
-             utterance = null;
+    /**
+     * Removes a listener preference from localStorage.
+     *
+     * @since 1.2.0
+     *
+     * @param {string} name - Preference name
+     * @return {void}
+     */
+    function removePreference(name) {
+        try {
+            window.localStorage.removeItem('wpReadTools.' + name);
+        } catch (e) {
+            // Storage disabled; nothing was saved
+        }
+    }
 
+    /**
+     * Redraws fallback highlight boxes after the layout changes.
+     *
+     * @since 1.2.0
+     *
+     * @listens window:resize
+     */
+    $(window).on('resize', function() {
+        const highlight = window.speechState.highlight;
+        if (SUPPORTS_HIGHLIGHT_API || !highlight || !highlight.enabled) {
+            return;
+        }
+        paintHighlight('sentence', highlight.ranges.sentence);
+        paintHighlight('word', highlight.ranges.word);
+    });
 
-            // If the click was on the link that was already playing, just stop and return
-            if (wasSpeakingThisLink) {
-                return;
-            }
+    /**
+     * Checks the text selection once the mouse, key or touch that changed it
+     * is released.
+     *
+     * @since 1.2.0
+     *
+     * @param {Event} e - The mouseup, keyup or touchend event object
+     */
+    $(document).on('mouseup keyup touchend', function(e) {
+        if (!readAloudSettings.selection || $(e.target).closest('.read-aloud-selection').length) {
+            return;
         }
+        // Clicking inside a selection only collapses it after mouseup
+        setTimeout(updateSelectionButton, 0);
+    });
 
-        // Reset state if starting new narration
-        window.speechState = {
-            isPaused: false,
-            currentUtterance: null,
-            resumePoint: 0
-        };
+    /**
+     * Keeps the text selection when a partial reading button is pressed.
+     *
+     * @since 1.2.0
+     *
+     * @param {Event} e - The mousedown event object
+     */
+    $(document).on('mousedown', '.read-aloud-selection, .read-aloud-from-here', function(e) {
+        e.preventDefault();
+    });
 
-        if ('speechSynthesis' in window) {
-            // Store current link state globally to reset if another link is clicked
-            window.activeReadAloudLink = link;
-            window.activeReadAloudIcon = icon;
-            window.originalReadAloudText = originalLinkText;
-
-
-            link.addClass('read-aloud-loading');
-            icon.removeClass('fa-headphones').addClass('fa-spinner fa-spin');
-            updateLinkText(link, readAloudSettings.readingText);
-
-            $.ajax({
-                url: readAloudSettings.ajax_url,
-                type: 'POST',
-                data: {
-                    action: readAloudSettings.ajaxAction, // Use localized action name
-                    post_id: postId,
-                    nonce: readAloudSettings.nonce
-                },
-                success: function(response) {
-                    // Check if the current link is still the one being processed
-                     if (!window.activeReadAloudLink || !link.is(window.activeReadAloudLink)) {
-                         return; // Another link was clicked, abort this one
-                     }
-
-                    if (response.success) {
-                        let content = response.data.content;
-                        if (!content) {
-                             alert(readAloudSettings.errorText || 'Error: Empty content received.');
-                             resetLinkState(link, icon, originalLinkText);
-                             return;
-                        }
+    /**
+     * Click handler for "Listen": narrates the selected text.
+     *
+     * @since 1.2.0
+     *
+     * @param {Event} e - The click event object
+     */
+    $(document).on('click', '.read-aloud-selection', function(e) {
+        e.preventDefault();
+        const button = $(this);
+        const link = button.data('link');
+        const options = { selection: button.data('text'), range: button.data('range') };
+        button.remove();
 
-                        // Check if frontend content extraction is needed
-                        if (content.includes('<!-- WP_READ_TOOLS_FRONTEND_EXTRACTION_NEEDED -->')) {
-                            content = extractFrontendContent(postId);
-                            if (!content) {
-                                alert(readAloudSettings.errorText || 'No readable content found on this page.');
-                                resetLinkState(link, icon, originalLinkText);
-                                return;
-                            }
-                        }
+        startNarration(link, options);
 
-                        utterance = new SpeechSynthesisUtterance(content);
-                        window.speechState.currentUtterance = utterance;
-
-                        // Add pause/resume handling
-                        utterance.onstart = function() {
-                            icon.removeClass('fa-spinner fa-spin fa-play').addClass('fa-pause');
-                            updateLinkText(link, readAloudSettings.pauseText);
-                            link.removeClass('read-aloud-loading');
-                        };
-
-                        utterance.onend = function() {
-                            if (link.is(window.activeReadAloudLink)) {
-                                resetLinkState(link, icon, originalLinkText);
-                                window.speechState = {
-                                    isPaused: false,
-                                    currentUtterance: null,
-                                    resumePoint: 0
-                                };
-                            }
-                        };
-
-                        // --- Voice Selection Logic ---
-                        const pageLang = document.documentElement.lang || navigator.language || 'en-US';
-                        const langCode = pageLang.substring(0, 2);
-                        let selectedVoice = null;
-
-                        // Wait for voices to be loaded (important for some browsers)
-                        const voices = window.speechSynthesis.getVoices();
-                        if (voices.length === 0) {
-                            window.speechSynthesis.onvoiceschanged = function() {
-                                findAndSetVoice(utterance, langCode);
-                                // Check again if the link is still active before speaking
-                                if (window.activeReadAloudLink && link.is(window.activeReadAloudLink)) {
-                                    speakUtterance(utterance, link, icon, originalLinkText);
-                                }
-                            };
-                        } else {
-                            findAndSetVoice(utterance, langCode);
-                             // Check if the link is still active before speaking
-                             if (window.activeReadAloudLink && link.is(window.activeReadAloudLink)) {
-                                 speakUtterance(utterance, link, icon, originalLinkText);
-                             }
-                        }
-                        // --- End Voice Selection Logic ---
+        // The selection color would hide the highlighting
+        window.getSelection().removeAllRanges();
+    });
 
-                    } else {
-                        alert(response.data.message || readAloudSettings.errorText); // Use localized error text
-                        resetLinkState(link, icon, originalLinkText);
-                    }
-                },
-                error: function(xhr, status, error) {
-                     // Check if the current link is still the one being processed
-                     if (!window.activeReadAloudLink || !link.is(window.activeReadAloudLink)) {
-                         return; // Another link was clicked, abort this one
-                     }
-
-                    console.error("WP Read Tools AJAX error:", {
-                        status: status,
-                        error: error,
-                        responseText: xhr.responseText,
-                        statusCode: xhr.status,
-                        postId: postId,
-                        ajaxUrl: readAloudSettings.ajax_url
-                    });
+    /**
+     * Offers "Read from here" on the paragraph, list item, quote or heading
+     * under the mouse.
+     *
+     * @since 1.2.0
+     *
+     * @param {Event} e - The mouseover event object
+     */
+    $(document).on('mouseover', function(e) {
+        if (!readAloudSettings.selection || $(e.target).closest('.read-aloud-from-here').length) {
+            return;
+        }
 
-                    let errorMessage = readAloudSettings.errorText || 'Error communicating with the server.';
+        const block = $(e.target).closest(FROM_HERE_SELECTOR);
+        let button = $('.read-aloud-from-here');
+        if (block.length && block.is(button.data('block'))) {
+            return;
+        }
 
-                    // Try to get more specific error from response
-                    try {
-                        const response = JSON.parse(xhr.responseText);
-                        if (response && response.data && response.data.message) {
-                            errorMessage = response.data.message;
-                        }
-                    } catch (e) {
-                        // Ignore JSON parse errors, use default message
-                    }
+        const link = block.length && toKey(block.text()) ? getTriggerForNode(block[0]) : $();
+        if (!link.length) {
+            button.remove();
+            return;
+        }
 
-                    alert(errorMessage);
-                    resetLinkState(link, icon, originalLinkText);
-                }
-            });
-        } else {
-            alert('Your browser does not support text-to-speech.');
-             resetLinkState(link, icon, originalLinkText); // Reset state if TTS not supported
+        if (!button.length) {
+            const label = readAloudSettings.readFromHereText || 'Read from here';
+            button = $('<button type="button" class="read-aloud-from-here"><i class="fas fa-play" aria-hidden="true"></i></button>')
+                .attr({ 'aria-label': label, title: label })
+                .appendTo(document.body);
         }
+
+        // In the margin next to the block, touching it so the mouse can reach the button
+        const rect = block[0].getBoundingClientRect();
+        button.data({ link: link, block: block[0] }).css({
+            top: rect.top + window.pageYOffset,
+            left: Math.max(window.pageXOffset, rect.left + window.pageXOffset - button.outerWidth())
+        });
     });
 
     /**
-     * Finds and sets the optimal voice for speech synthesis.
-     *
-     * Attempts to select the best available voice for the given language code
-     * with preference for female voices, then any voice matching the language,
-     * then default voice, and finally the first available voice.
+     * Click handler for "Read from here": narrates the post from the block
+     * to its end, or moves the narration of the post there when it is
+     * already being read.
      *
-     * @since 1.0.0
-     *
-     * @param {SpeechSynthesisUtterance} utterance - The speech utterance object to configure
-     * @param {string} langCode - Two-letter language code (e.g., 'en', 'es', 'fr')
+     * @since 1.2.0
      *
-     * @return {void}
+     * @param {Event} e - The click event object
      */
-    function findAndSetVoice(utterance, langCode) {
-        const voices = window.speechSynthesis.getVoices();
-        const langMatch = v => v.lang === 'es-US' || v.lang.replace('_', '-') === 'es-US';
-        const latamCodes = ['es-US', 'es-MX', 'es-CO', 'es-CR', 'es-GT', 'es-HN', 'es-NI', 'es-PA', 'es-SV', 'es-DO', 'es-AR', 'es-CL', 'es-PE', 'es-419'];
-        const isLatam = v => latamCodes.some(c => v.lang === c || v.lang.replace('_', '-') === c);
-
-        let selectedVoice = null;
+    $(document).on('click', '.read-aloud-from-here', function(e) {
+        e.preventDefault();
+        const button = $(this);
+        const link = button.data('link');
+        const block = button.data('block');
+        const state = window.speechState;
+        button.remove();
 
-        if (langCode === 'es') {
-            // 1st: es-US Neural/Natural — bilingual, handles English terms in Spanish docs
-            selectedVoice = voices.find(v => langMatch(v) && /online|natural/i.test(v.name));
+        if (window.activeReadAloudLink && link.is(window.activeReadAloudLink) && state.chunks.length > 0 && !state.selection) {
+            jumpToChunk(findChunkForElement(block));
+            if (state.isPaused) {
+                resumeNarration();
+            }
+            return;
+        }
 
-            // 2nd: Any es-US voice
-            if (!selectedVoice) selectedVoice = voices.find(v => langMatch(v));
+        startNarration(link, { from: block });
+    });
 
-            // 3rd: Neural + Latin American Spanish (es-MX, es-CR, etc.)
-            if (!selectedVoice) selectedVoice = voices.find(v => isLatam(v) && /online|natural/i.test(v.name));
+    /**
+     * Shows the "Listen" button under the text selection, or removes it when
+     * nothing in the post content is selected.
+     *
+     * @since 1.2.0
+     *
+     * @return {void}
+     */
+    function updateSelectionButton() {
+        const selection = window.getSelection();
+        const text = selection.rangeCount > 0 && !selection.isCollapsed ? selection.toString().trim() : '';
+        const range = text ? selection.getRangeAt(0) : null;
+        const link = range ? getTriggerForNode(range.commonAncestorContainer) : $();
 
-            // 4th: Any Latin American Spanish voice
-            if (!selectedVoice) selectedVoice = voices.find(v => isLatam(v));
+        let button = $('.read-aloud-selection');
+        if (!link.length) {
+            button.remove();
+            return;
+        }
 
-            // 5th: Any es-* voice (including es-ES) as fallback
-            if (!selectedVoice) selectedVoice = voices.find(v => /^es[-_]/i.test(v.lang) || v.lang === 'es');
-        } else {
-            // For non-Spanish languages, prefer Neural/Natural voices
-            selectedVoice = voices.find(v => v.lang.startsWith(langCode) && /online|natural/i.test(v.name));
-            if (!selectedVoice) selectedVoice = voices.find(v => v.lang.startsWith(langCode));
+        if (!button.length) {
+            button = $('<button type="button" class="read-aloud-selection"><i class="fas fa-headphones" aria-hidden="true"></i> </button>')
+                .append($('<span></span>').text(readAloudSettings.listenSelectionText || 'Listen'))
+                .appendTo(document.body);
         }
 
-        // Final fallback: default voice or first available
-        utterance.voice = selectedVoice || voices.find(v => v.default) || voices[0];
-        utterance.rate = 1.0;
-        utterance.pitch = 1.0;
+        const rect = range.getBoundingClientRect();
+        button.data({ link: link, text: text, range: range.cloneRange() }).css({
+            top: rect.bottom + window.pageYOffset + 6,
+            left: Math.max(window.pageXOffset, rect.left + window.pageXOffset)
+        });
     }
 
     /**
-     * Initiates speech synthesis and sets up event listeners.
-     *
-     * This function handles the actual speech synthesis process including:
-     * - Starting the speech with the configured utterance
-     * - Setting up UI state changes (loading to pause button)
-     * - Configuring event handlers for speech end and error states
-     * - Managing visual feedback during speech playback
+     * Returns the read-aloud link whose post content holds a node.
      *
-     * @since 1.0.0
+     * Prefers the link inside the same post (article, .hentry or #post-N
+     * element), then the only post with a link on the page. The node must be
+     * inside the link's content elements and not in a skipped region.
      *
-     * @param {SpeechSynthesisUtterance} utterance - The configured speech utterance
-     * @param {jQuery} link - The jQuery object for the trigger link
-     * @param {jQuery} icon - The jQuery object for the icon element
-     * @param {string} originalLinkText - Original text of the link for reset purposes
+     * @since 1.2.0
      *
-     * @return {void}
+     * @param {Node} node - Node of the page
+     * @return {jQuery} Trigger link, empty if the node is not post content
      */
-    function speakUtterance(utterance, link, icon, originalLinkText) {
-         icon.removeClass('fa-spinner fa-spin').addClass('fa-pause');
-         updateLinkText(link, readAloudSettings.pauseText);
-         link.removeClass('read-aloud-loading');
-         speechSynthesis.speak(utterance);
-
-         utterance.onend = function() {
-             if (link.is(window.activeReadAloudLink)) { // Only reset if this is the active link
-                 resetLinkState(link, icon, originalLinkText);
-             }
-         };
-
-         utterance.onerror = function(event) {
-             console.error('Speech synthesis error:', event.error);
-              if (link.is(window.activeReadAloudLink)) { // Only reset if this is the active link
-                 alert('An error occurred during speech synthesis.');
-                 resetLinkState(link, icon, originalLinkText);
-             }
-         };
+    function getTriggerForNode(node) {
+        const element = node && node.nodeType === Node.ELEMENT_NODE ? node : (node && node.parentElement);
+        if (!element || $(element).closest('.read-aloud-line, .read-aloud-controls, .read-aloud-player').length) {
+            return $();
+        }
 
-         // Note: onpause and onresume are less reliable across browsers for user actions
-         // It's often better to handle pause/resume via the main click handler logic
-     }
+        // Links of posts nested in this one (related posts cards) belong to those posts
+        const postSelector = 'article, .hentry, [id^="post-"]';
+        const post = $(element).closest(postSelector);
+        let links = post.find('.read-aloud-trigger').filter(function() {
+            return $(this).closest(postSelector).is(post);
+        });
+        if (!links.length) {
+            links = $('.read-aloud-trigger');
+        }
+        const link = links.first();
+        const otherPosts = links.filter(function() {
+            return String($(this).data('post-id')) !== String(link.data('post-id'));
+        });
+        if (!link.length || otherPosts.length) {
+            return $();
+        }
 
+        const root = getContentRoots(link).find(function(candidate) {
+            return candidate.contains(element);
+        });
+        return root && !isSkippedElement(element, root, getContentSelectors(link).exclude) ? link : $();
+    }
 
     /**
-     * Updates the text content of a link while preserving icon elements.
-     *
-     * This function specifically targets text nodes within the link element,
-     * leaving icon elements intact. It's used to change button text between
-     * states like "Listen", "Pause", "Resume", etc.
+     * Prepares read-aloud links that have not been set up yet.
      *
-     * @since 1.0.0
+     * Remembers each link's original text, advertises the play/pause
+     * shortcut, offers saved listening positions and watches
+     * delivery="prefetch" links for prefetching.
      *
-     * @param {jQuery} link - The jQuery object for the link element
-     * @param {string} newText - New text content to display
+     * @since 1.2.0
      *
-     * @return {void}
+     * @param {Element|Document} context - Element to search for links
+     * @return {number} Number of links set up
      */
-    function updateLinkText(link, newText) {
-        link.contents().filter(function() {
-            return this.nodeType === 3; // Node.TEXT_NODE
-        }).replaceWith(' ' + newText); // Add space for separation from icon
+    function initTriggers(context) {
+        let count = 0;
+        $(context).find('.read-aloud-trigger').addBack('.read-aloud-trigger').each(function() {
+            const link = $(this);
+            if (link.data('wp-read-tools-ready')) {
+                return;
+            }
+            count++;
+            link.data('wp-read-tools-ready', true);
+            link.data('original-text', getLinkText(link));
+            if (readAloudSettings.shortcuts && readAloudSettings.shortcuts.toggle) {
+                link.attr('aria-keyshortcuts', readAloudSettings.shortcuts.toggle);
+            }
+            if (prefetchObserver && link.data('delivery') === 'prefetch') {
+                prefetchObserver.observe(this);
+            }
+            showResumeOffer(link);
+        });
+        return count;
     }
 
     /**
-     * Resets the visual and functional state of a read-aloud link.
+     * Returns the read-aloud link of a post, or a detached one if the post
+     * has no link on the page. Detached links get the site defaults of
+     * Settings → Read Tools, which the options override.
      *
-     * This function performs complete cleanup of a read-aloud link including:
-     * - Restoring original icon (headphones)
-     * - Resetting link text to original state
-     * - Clearing CSS classes for loading states
-     * - Cleaning up global state variables
-     * - Resetting speech synthesis state
+     * @since 1.2.0
      *
-     * @since 1.0.0
+     * @param {number|string} postId  - Post ID
+     * @param {Object}        options - Data attributes for a detached link, e.g. { title: 'Post title' }
+     * @return {jQuery} Trigger link
+     */
+    function getTriggerForPost(postId, options) {
+        const existing = $('.read-aloud-trigger').filter(function() {
+            return String($(this).data('post-id')) === String(postId);
+        }).first();
+        if (existing.length) {
+            return existing;
+        }
+
+        const defaults = readAloudSettings.defaults || {};
+        const link = $('<a href="#" class="read-aloud-trigger"><i aria-hidden="true"></i> </a>')
+            .attr('data-post-id', postId);
+        link.find('i').addClass(defaults.iconClass || 'fas fa-headphones');
+        $.each({ highlight: defaults.highlight, player: defaults.player, rate: defaults.rate, voice: defaults.voice }, function(key, value) {
+            if (value !== undefined && value !== '') {
+                link.attr('data-' + key, value);
+            }
+        });
+        $.each(options || {}, function(key, value) {
+            link.attr('data-' + key, value);
+        });
+        return link;
+    }
+
+    initTriggers(document);
+    initPlayAll();
+
+    // Set up links added later (infinite scroll, AJAX-loaded cards)
+    if (window.MutationObserver) {
+        new MutationObserver(function(mutations) {
+            let added = 0;
+            mutations.forEach(function(mutation) {
+                Array.prototype.forEach.call(mutation.addedNodes, function(node) {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        added += initTriggers(node);
+                    }
+                });
+            });
+            if (added > 0 && !$('.read-aloud-play-all').length) {
+                initPlayAll();
+            }
+        }).observe(document.body, { childList: true, subtree: true });
+    }
+
+    /**
+     * Public API for themes and other plugins.
      *
-     * @param {jQuery} link - The jQuery object for the link element
-     * @param {jQuery} icon - The jQuery object for the icon element
-     * @param {string} originalText - Original link text to restore
+     * Narration can be controlled for any post ID; posts without a
+     * read-aloud link on the page are narrated through a detached link.
+     * State changes are also reported as wpreadtools:start, :boundary,
+     * :pause, :resume, :end and :error events dispatched on the link.
      *
-     * @return {void}
+     * @since 1.2.0
+     * @namespace WPReadTools
      */
-    function resetLinkState(link, icon, originalText) {
-         // Remove all possible states and add headphones icon with proper spacing
-         icon.removeClass('fa-pause fa-play fa-spinner fa-spin')
-             .removeClass('fas') // Remove the base class
-             .addClass('fas fa-headphones'); // Re-add with proper spacing
-         updateLinkText(link, originalText);
-         link.removeClass('read-aloud-loading');
-         // Clear global state tracking
-         window.activeReadAloudLink = null;
-         window.activeReadAloudIcon = null;
-         window.originalReadAloudText = null;
-         window.speechState = {
-             isPaused: false,
-             currentUtterance: null,
-             resumePoint: 0
-         };
-         utterance = null;
-     }
+    window.WPReadTools = {
+        /**
+         * Starts narrating a post, or resumes it if it is the paused narration.
+         *
+         * @param {number|string} postId    - Post ID
+         * @param {Object}        [options] - Data attributes for posts without a link on the page (title, player, rate, voice...)
+         * @return {void}
+         */
+        start: function(postId, options) {
+            const link = getTriggerForPost(postId, options);
+            if (window.activeReadAloudLink && link.is(window.activeReadAloudLink)) {
+                this.resume();
+                return;
+            }
+            startNarration(link);
+        },
+
+        /**
+         * Pauses the active narration.
+         *
+         * @return {void}
+         */
+        pause: function() {
+            if (window.activeReadAloudLink && window.speechState.chunks.length > 0 && !window.speechState.isPaused) {
+                pauseNarration();
+            }
+        },
+
+        /**
+         * Resumes the paused narration.
+         *
+         * @return {void}
+         */
+        resume: function() {
+            if (window.activeReadAloudLink && window.speechState.chunks.length > 0 && window.speechState.isPaused) {
+                resumeNarration();
+            }
+        },
 
+        /**
+         * Stops the active narration.
+         *
+         * @return {void}
+         */
+        stop: function() {
+            if (window.activeReadAloudLink) {
+                stopNarration();
+            }
+        },
+
+        /**
+         * Moves the active narration to the sentence at an estimated position.
+         *
+         * @param {number} seconds - Position from the start of the post
+         * @return {void}
+         */
+        seek: function(seconds) {
+            if (window.activeReadAloudLink && window.speechState.chunks.length > 0) {
+                seekToOffset(Math.max(0, seconds) * SPOKEN_CHARS_PER_MINUTE * window.speechState.rate / 60);
+            }
+        },
+
+        /**
+         * Skips sentences, paragraphs or sections in the active narration.
+         *
+         * @param {string} unit  - 'sentence', 'paragraph' or 'section'
+         * @param {number} delta - Units to move; negative values skip back
+         * @return {void}
+         */
+        skip: function(unit, delta) {
+            if (window.activeReadAloudLink && window.speechState.chunks.length > 0 && ['sentence', 'paragraph', 'section'].indexOf(unit) !== -1) {
+                skipBy(unit, delta);
+            }
+        },
+
+        /**
+         * Returns a snapshot of the narration state.
+         *
+         * @return {{status: string, postId: (number|null), index: number, total: number, position: number, duration: number, rate: number, voice: string, engine: string, lang: string}}
+         *         Status is 'idle', 'loading', 'playing' or 'paused'; position and duration are estimates in seconds
+         */
+        getState: function() {
+            const state = window.speechState;
+            const link = window.activeReadAloudLink;
+            let status = 'idle';
+            if (link) {
+                status = state.chunks.length === 0 ? 'loading' : (state.isPaused ? 'paused' : 'playing');
+            }
+
+            return {
+                status: status,
+                postId: link ? link.data('post-id') : null,
+                index: state.index,
+                total: state.chunks.length,
+                position: getStatePosition(),
+                duration: getTotalChars() / (SPOKEN_CHARS_PER_MINUTE * state.rate / 60),
+                rate: state.rate,
+                voice: state.voice,
+                engine: state.engine,
+                lang: state.lang
+            };
+        }
+    };
 
     /**
-     * Extracts content from the frontend DOM for page builders.
+     * Reports listening events to the site's analytics when enabled.
      *
-     * This function attempts to extract readable content directly from the
-     * page when backend content detection fails (common with page builders).
-     * It tries multiple strategies including custom selectors and common
-     * content containers.
+     * Follows the wpreadtools:* events of each narration ("listen") and sends
+     * its start, 25/50/75/100% progress, pauses, abandonment and errors with
+     * the chosen voice and speed. Events are batched per listen and sent when
+     * narration pauses, ends or fails, or with sendBeacon() when the page is
+     * left. A listen is identified by a random ID only; nothing identifies the
+     * listener, and nothing is sent when Do Not Track or Global Privacy
+     * Control is on.
      *
-     * @since 1.0.1
+     * @since 1.2.0
      *
-     * @param {number} postId - The post ID for context
-     * @return {string} Extracted content or empty string
+     * @return {void}
      */
-    function extractFrontendContent(postId) {
-        let content = '';
+    function initAnalytics() {
+        if (!readAloudSettings.analytics || isTrackingDisabled()) {
+            return;
+        }
 
-        // Strategy 1: Check for custom content selector in localized settings
-        if (readAloudSettings.contentSelector) {
-            const customElement = document.querySelector(readAloudSettings.contentSelector);
-            if (customElement) {
-                content = customElement.innerText || customElement.textContent || '';
-            }
-        }
-
-        // Strategy 2: Common content selectors for various themes and page builders
-        if (!content) {
-            const contentSelectors = [
-                // User's specific Avada structure - most specific first
-                '#contenido .fusion-text-5',
-                '#contenido .fusion-text-4',
-                '#contenido .fusion-text-3',
-                '#contenido .fusion-text-2',
-                '#contenido .fusion-text-1',
-                '#contenido .fusion-text',
-                '#contenido .fusion-builder-column',
-                '#contenido .fusion-column-wrapper',
-
-                // Deep Avada nested selectors - numbered fusion-text classes
-                '.fusion-text-5',
-                '.fusion-text-4',
-                '.fusion-text-3',
-                '.fusion-text-2',
-                '.fusion-text-1',
-                '.fusion-content-tb .fusion-text',
-                '.fusion-builder-row .fusion-text',
-                '.fusion-layout-column .fusion-text',
-                '.fusion-column-wrapper .fusion-text',
-                '.fusion-builder-column .fusion-text',
-
-                // Broader Avada selectors
-                '.fusion-text',
-                '.fusion-builder-column',
-                '.fusion-content-container',
-                '.fusion-column-wrapper',
-                '#main .post-content',
-                '.fusion-body .post-content',
-
-                // Elementor selectors
-                '.elementor-widget-text-editor',
-                '.elementor-text-editor',
-                '.elementor-element',
-
-                // Generic WordPress selectors
-                '.entry-content',
-                '.post-content',
-                '.page-content',
-                '#content .content',
-                'article .content',
-                '.single-post .content',
-                'main article',
-
-                // Custom ID selectors
-                '#contenido',
-
-                // Fallback selectors
-                '#main',
-                '#content',
-                'main'
-            ];
-
-            for (let selector of contentSelectors) {
-                const elements = document.querySelectorAll(selector);
-                if (elements.length > 0) {
-                    let extractedText = '';
-                    elements.forEach(element => {
-                        const text = element.innerText || element.textContent || '';
-                        // For Avada, be less restrictive - accept text with 20+ characters
-                        if (text.trim().length > 20) {
-                            extractedText += text.trim() + ' ';
-                        }
-                    });
+        let listen = null;
 
-                    // Accept any substantial content found
-                    if (extractedText.trim().length > content.length && extractedText.trim().length > 100) {
-                        content = extractedText.trim();
-                        break;
-                    }
+        document.addEventListener('wpreadtools:start', function(e) {
+            if (e.defaultPrevented) {
+                return;
+            }
+            // Starting another post (or starting over) abandons the current listen
+            if (listen) {
+                if (listen.started) {
+                    recordListenEvent(listen, 'abandon');
                 }
+                sendListenEvents(listen);
             }
-        }
+            listen = { postId: e.detail.postId, id: createListenId(), started: false, milestones: {}, queue: [] };
+        });
+
+        document.addEventListener('wpreadtools:boundary', function(e) {
+            if (!listen || listen.postId !== e.detail.postId) {
+                return;
+            }
+
+            const duration = window.WPReadTools.getState().duration;
+            const progress = duration > 0 ? e.detail.position / duration * 100 : 0;
+
+            if (!listen.started) {
+                listen.started = true;
+                recordListenEvent(listen, 'start', { progress: Math.floor(progress) });
+                // Milestones passed before a resumed position weren't listened to in this visit
+                PROGRESS_MILESTONES.forEach(function(milestone) {
+                    listen.milestones[milestone] = progress >= milestone;
+                });
+                return;
+            }
+
+            PROGRESS_MILESTONES.forEach(function(milestone) {
+                if (progress >= milestone && !listen.milestones[milestone]) {
+                    listen.milestones[milestone] = true;
+                    recordListenEvent(listen, 'progress', { progress: milestone });
+                }
+            });
+        });
+
+        document.addEventListener('wpreadtools:pause', function(e) {
+            // Forced pauses are followed by the error that caused them
+            if (listen && listen.started && listen.postId === e.detail.postId && !e.detail.forced && !e.defaultPrevented) {
+                recordListenEvent(listen, 'pause');
+                sendListenEvents(listen);
+            }
+        });
+
+        document.addEventListener('wpreadtools:end', function(e) {
+            if (!listen || !listen.started || listen.postId !== e.detail.postId) {
+                return;
+            }
+            if (e.detail.reason === 'finished') {
+                // The last sentences may start before a milestone and end after it
+                PROGRESS_MILESTONES.concat(100).forEach(function(milestone) {
+                    if (!listen.milestones[milestone]) {
+                        recordListenEvent(listen, 'progress', { progress: milestone });
+                    }
+                });
+            } else {
+                recordListenEvent(listen, 'abandon');
+            }
+            sendListenEvents(listen);
+            listen = null;
+        });
+
+        document.addEventListener('wpreadtools:error', function(e) {
+            if (listen && listen.postId === e.detail.postId) {
+                recordListenEvent(listen, 'error', { error: e.detail.type });
+                sendListenEvents(listen);
+            }
+        });
+
+        // Leaving the page mid-narration abandons it; regular requests may not finish by then
+        $(window).on('pagehide', function() {
+            if (listen && listen.started) {
+                recordListenEvent(listen, 'abandon');
+                sendListenEvents(listen, true);
+                listen = null;
+            }
+        });
+    }
 
-        // Strategy 3: Extract from the main content area
-        if (!content) {
-            const bodyText = document.body.innerText || document.body.textContent || '';
-            // Remove common header/footer elements
-            const cleanedText = bodyText
-                .replace(/Skip to content|Skip to main content/gi, '')
-                .replace(/Copyright.*$/gi, '')
-                .replace(/All rights reserved.*$/gi, '')
-                .trim();
+    /**
+     * Checks the browser's Do Not Track and Global Privacy Control signals.
+     *
+     * @since 1.2.0
+     *
+     * @return {boolean} True when the listener asked not to be tracked
+     */
+    function isTrackingDisabled() {
+        const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+        return dnt === '1' || dnt === 'yes' || navigator.globalPrivacyControl === true;
+    }
 
-            if (cleanedText.length > 100) {
-                content = cleanedText;
+    /**
+     * Returns a random ID grouping the events of one listen.
+     *
+     * @since 1.2.0
+     *
+     * @return {string} 32 hexadecimal characters
+     */
+    function createListenId() {
+        const bytes = new Uint8Array(16);
+        if (window.crypto && window.crypto.getRandomValues) {
+            window.crypto.getRandomValues(bytes);
+        } else {
+            for (let i = 0; i < bytes.length; i++) {
+                bytes[i] = Math.floor(Math.random() * 256);
             }
         }
+        return Array.prototype.map.call(bytes, function(byte) {
+            return ('0' + byte.toString(16)).slice(-2);
+        }).join('');
+    }
 
-        // Clean up the extracted content
-        if (content) {
-            // Remove extra whitespace
-            content = content.replace(/\s+/g, ' ').trim();
+    /**
+     * Queues an analytics event of a listen, with the current position, voice and speed.
+     *
+     * @since 1.2.0
+     *
+     * @param {Object} listen  - The listen being reported
+     * @param {string} event   - 'start', 'progress', 'pause', 'abandon' or 'error'
+     * @param {Object} [extra] - Event fields: progress (percent) or error (type)
+     * @return {void}
+     */
+    function recordListenEvent(listen, event, extra) {
+        const state = window.WPReadTools.getState();
+        listen.queue.push($.extend({
+            event: event,
+            listen_id: listen.id,
+            position: Math.round(state.position) || 0,
+            voice: state.voice || '',
+            rate: state.rate,
+            engine: state.engine || ''
+        }, extra));
+    }
+
+    /**
+     * Sends the queued analytics events of a listen.
+     *
+     * @since 1.2.0
+     *
+     * @param {Object}  listen    - The listen being reported
+     * @param {boolean} [beacon]  - Send with navigator.sendBeacon(), for pages being left
+     * @return {void}
+     */
+    function sendListenEvents(listen, beacon) {
+        if (listen.queue.length === 0) {
+            return;
+        }
+
+        const data = {
+            action: readAloudSettings.analyticsAction || 'wp_read_tools_track',
+            post_id: listen.postId,
+            events: JSON.stringify(listen.queue)
+        };
+        listen.queue = [];
 
-            // Remove navigation and menu text
-            content = content.replace(/Home|About|Contact|Menu|Search|Login|Register/gi, '');
+        if (beacon && navigator.sendBeacon) {
+            const body = new FormData();
+            $.each($.extend(data, { nonce: readAloudSettings.nonce }), function(key, value) {
+                body.append(key, value);
+            });
+            navigator.sendBeacon(readAloudSettings.ajax_url, body);
+            return;
         }
 
-        return content;
+        // Analytics failures are never shown to the listener, and rate-limited events are dropped
+        requestAjax(data, {
+            success: function() {},
+            error: function() {}
+        }, { rateLimited: MAX_RATE_LIMIT_RETRIES, nonceRefreshed: false });
     }
 
+    initAnalytics();
+
     /**
      * Cleanup handler for page navigation.
      *
@@ -532,8 +5272,6 @@ jQuery(document).ready(function($) {
      * @listens window:beforeunload
      */
     $(window).on('beforeunload', function() {
-        if (speechSynthesis.speaking || speechSynthesis.pending) {
-            speechSynthesis.cancel();
-        }
+        getEngine().cancel();
     });
 });
\ No newline at end of file
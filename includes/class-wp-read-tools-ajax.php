@@ -48,23 +48,30 @@ class WP_Read_Tools_Ajax {
 		add_action( 'wp_ajax_wp_read_tools_get_content', array( __CLASS__, 'handle_get_content_request' ) );
 		// Hook for non-logged-in users.
 		add_action( 'wp_ajax_nopriv_wp_read_tools_get_content', array( __CLASS__, 'handle_get_content_request' ) );
+
+		// Server-generated narration audio (see WP_Read_Tools_Audio).
+		add_action( 'wp_ajax_wp_read_tools_get_audio', array( __CLASS__, 'handle_get_audio_request' ) );
+		add_action( 'wp_ajax_nopriv_wp_read_tools_get_audio', array( __CLASS__, 'handle_get_audio_request' ) );
+
+		// Fresh nonces for pages served from a full-page cache.
+		add_action( 'wp_ajax_wp_read_tools_refresh_nonce', array( __CLASS__, 'handle_refresh_nonce_request' ) );
+		add_action( 'wp_ajax_nopriv_wp_read_tools_refresh_nonce', array( __CLASS__, 'handle_refresh_nonce_request' ) );
+
+		// Processed content outlives requests, so drop it when the post changes.
+		add_action( 'save_post', array( __CLASS__, 'clear_cached_content' ) );
+		add_action( 'deleted_post', array( __CLASS__, 'clear_cached_content' ) );
 	}
 
 	/**
 	 * Handles AJAX requests to fetch cleaned post content for text-to-speech.
 	 *
 	 * This method performs the following operations:
-	 * 1. Verifies security nonce to prevent CSRF attacks
+	 * 1. Verifies security nonce to prevent CSRF attacks (see verify_request())
 	 * 2. Validates and sanitizes the post ID parameter
 	 * 3. Checks post existence and publication status
 	 * 4. Retrieves and cleans post content (removes HTML, shortcodes)
-	 * 5. Returns cleaned content as JSON response
-	 *
-	 * Security measures implemented:
-	 * - Nonce verification for CSRF protection
-	 * - Input validation and sanitization
-	 * - Post status verification (only published posts)
-	 * - Error handling with appropriate HTTP status codes
+	 * 5. Returns cleaned content as JSON response, both as a plain string
+	 *    and as an ordered list of typed segments
 	 *
 	 * @since  1.0.0
 	 * @access public
@@ -77,20 +84,126 @@ class WP_Read_Tools_Ajax {
 	public static function handle_get_content_request() {
 		wp_read_tools_log( 'AJAX request received for content retrieval' );
 
-		// Check rate limiting first (but be more lenient for debugging)
-		if ( ! self::check_rate_limit() ) {
-			wp_read_tools_log( 'AJAX request blocked due to rate limiting', 'warning' );
-			// Send a more specific error for debugging
+		$post_id = self::verify_request();
+		$payload = self::get_speech_payload( $post_id );
+
+		if ( is_wp_error( $payload ) ) {
+			self::send_error( $payload );
+		}
+
+		// Send successful response with cleaned content.
+		wp_send_json_success( $payload );
+
+		// wp_die() is called automatically by wp_send_json_success / wp_send_json_error.
+	}
+
+	/**
+	 * Handles AJAX requests for server-generated narration audio.
+	 *
+	 * Renders the processed speech text of a post with the configured TTS
+	 * backend (see WP_Read_Tools_Audio) and returns the URL of the cached
+	 * audio file. Applies the same security checks as the content request.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void Outputs JSON response and terminates execution.
+	 */
+	public static function handle_get_audio_request() {
+		wp_read_tools_log( 'AJAX request received for narration audio' );
+
+		$post_id = self::verify_request();
+
+		if ( ! WP_Read_Tools_Audio::is_enabled() ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Server audio is not available.', 'wp-read-tools' ),
+					'debug' => 'audio_disabled'
+				),
+				501 // Not Implemented
+			);
+			wp_die();
+		}
+
+		// Content that only exists on the rendered page cannot be rendered here
+		if ( self::needs_frontend_extraction( $post_id ) ) {
 			wp_send_json_error(
 				array(
-					'message' => __( 'Too many requests. Please try again later.', 'wp-read-tools' ),
-					'debug' => 'rate_limit_exceeded'
+					'message' => __( 'Server audio is not available.', 'wp-read-tools' ),
+					'debug' => 'frontend_extraction_needed'
 				),
-				429 // Too Many Requests
+				422 // Unprocessable Entity
 			);
 			wp_die();
 		}
 
+		$payload = self::get_speech_payload( $post_id );
+		if ( is_wp_error( $payload ) ) {
+			self::send_error( $payload );
+		}
+
+		$lang  = ! empty( $payload['lang'] ) ? $payload['lang'] : str_replace( '_', '-', get_locale() );
+		$audio = WP_Read_Tools_Audio::get_audio( $post_id, $payload['content'], $lang );
+
+		if ( is_wp_error( $audio ) ) {
+			self::send_error( $audio );
+		}
+
+		wp_send_json_success( $audio );
+	}
+
+	/**
+	 * Handles AJAX requests for a fresh security nonce.
+	 *
+	 * Pages served from a full-page cache carry the nonce localized when the
+	 * page was generated, which expires after a day or two. The script asks
+	 * for a new one when a request fails nonce verification and repeats the
+	 * request. Only rate limiting applies, as the nonce itself is what the
+	 * caller is missing.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void Outputs JSON response and terminates execution.
+	 */
+	public static function handle_refresh_nonce_request() {
+		if ( ! self::check_rate_limit() ) {
+			self::send_rate_limit_error();
+		}
+
+		// The response must never be cached, or it would go stale like the page
+		nocache_headers();
+
+		wp_send_json_success( array( 'nonce' => wp_create_nonce( 'read_aloud_nonce' ) ) );
+	}
+
+	/**
+	 * Runs the checks shared by all AJAX requests and returns the requested post ID.
+	 *
+	 * Security measures implemented:
+	 * - Rate limiting per client IP
+	 * - Nonce verification for CSRF protection
+	 * - Input validation and sanitization
+	 * - Read permission: published posts, or posts the user may read, and not
+	 *   password-protected (as WP_Read_Tools_Rest::check_read_permission())
+	 *
+	 * Sends a JSON error response and terminates execution when a check fails.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  string $bucket Rate limit counter the request is counted in, see check_rate_limit().
+	 * @return int Validated post ID.
+	 */
+	public static function verify_request( $bucket = 'content' ) {
+		// Check rate limiting first (but be more lenient for debugging)
+		if ( ! self::check_rate_limit( $bucket ) ) {
+			self::send_rate_limit_error( $bucket );
+		}
+
 		// Verify the security nonce.
 		// The nonce name 'read_aloud_nonce' should match the one created in WP_Read_Tools_Enqueue.
 		// The key 'nonce' should match the key sent in the AJAX data from read-aloud.js.
@@ -127,25 +240,109 @@ class WP_Read_Tools_Ajax {
 			wp_die();
 		}
 
-		// Check cache first
-		$cached_content = self::get_cached_content( $post_id );
-		if ( $cached_content !== false ) {
-			wp_read_tools_log( "Serving cached content for post ID: {$post_id}" );
-			wp_send_json_success( array( 'content' => $cached_content ) );
+		// Same rules as the REST route, see WP_Read_Tools_Rest::check_read_permission()
+		$post = get_post( $post_id );
+		if ( ! $post || ! is_post_type_viewable( $post->post_type ) || ( 'publish' !== $post->post_status && ! current_user_can( 'read_post', $post_id ) ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Error: Post not found or not accessible.', 'wp-read-tools' ) ),
+				404 // Not Found
+			);
 			wp_die();
 		}
 
-		// Check if the post exists and is published (or user has permission to read).
-		$post_status = get_post_status( $post_id );
-		if ( ! $post_status || 'publish' !== $post_status ) {
-			// Add more sophisticated checks if needed (e.g., for private posts and user capabilities).
+		if ( post_password_required( $post ) ) {
 			wp_send_json_error(
-				array( 'message' => __( 'Error: Post not found or not accessible.', 'wp-read-tools' ) ),
-				404 // Not Found
+				array(
+					'message' => __( 'This post is password protected.', 'wp-read-tools' ),
+					'debug' => 'post_password_required'
+				),
+				403 // Forbidden
 			);
 			wp_die();
 		}
 
+		return $post_id;
+	}
+
+	/**
+	 * Sends the "too many requests" JSON error response.
+	 *
+	 * Includes the seconds until the client's rate limit window resets, both
+	 * as a Retry-After header and in the response data, so the script can
+	 * back off and retry on its own.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  string $bucket Rate limit counter that was exceeded.
+	 * @return void Outputs JSON response and terminates execution.
+	 */
+	private static function send_rate_limit_error( $bucket = 'content' ) {
+		wp_read_tools_log( 'AJAX request blocked due to rate limiting', 'warning' );
+
+		$retry_after = self::get_rate_limit_retry_after( $bucket );
+		header( 'Retry-After: ' . $retry_after );
+
+		// Send a more specific error for debugging
+		wp_send_json_error(
+			array(
+				'message' => __( 'Too many requests. Please try again later.', 'wp-read-tools' ),
+				'debug' => 'rate_limit_exceeded',
+				'retry_after' => $retry_after
+			),
+			429 // Too Many Requests
+		);
+		wp_die();
+	}
+
+	/**
+	 * Sends a WP_Error as a JSON error response.
+	 *
+	 * The HTTP status comes from the error data ('status'), 500 by default.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param WP_Error $error Error to send.
+	 * @return void Outputs JSON response and terminates execution.
+	 */
+	private static function send_error( $error ) {
+		$data = $error->get_error_data();
+
+		wp_send_json_error(
+			array(
+				'message' => $error->get_error_message(),
+				'debug' => $error->get_error_code()
+			),
+			isset( $data['status'] ) ? (int) $data['status'] : 500
+		);
+		wp_die();
+	}
+
+	/**
+	 * Returns the speech payload of a post, from cache when possible.
+	 *
+	 * The plain string stays in 'content' for older consumers; 'segments'
+	 * describes the same text block by block (headings, list items, quotes...)
+	 * and 'lang' is the post language when a multilingual plugin sets one.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  int $post_id Post ID.
+	 * @return array|WP_Error Payload with 'content', 'segments' and 'lang', or an error.
+	 */
+	public static function get_speech_payload( $post_id ) {
+		// Check cache first
+		$cached_content = self::get_cached_content( $post_id );
+		if ( $cached_content !== false ) {
+			wp_read_tools_log( "Serving cached content for post ID: {$post_id}" );
+			return $cached_content;
+		}
+
 		// Get the post content - use standard post_content field which contains
 		// the actual article text (including page builder shortcodes with content)
 		$content = get_post_field( 'post_content', $post_id );
@@ -154,48 +351,38 @@ class WP_Read_Tools_Ajax {
 
 		if ( is_wp_error( $content ) ) {
 			wp_read_tools_log( 'Error retrieving post content: ' . $content->get_error_message(), 'error' );
-			wp_send_json_error(
-				array(
-					'message' => __( 'Error retrieving post content.', 'wp-read-tools' ),
-					'debug' => 'content_retrieval_failed'
-				),
-				500 // Internal Server Error
-			);
-			wp_die();
+			return new WP_Error( 'content_retrieval_failed', __( 'Error retrieving post content.', 'wp-read-tools' ), array( 'status' => 500 ) );
 		}
 
 		if ( empty( $content ) ) {
 			wp_read_tools_log( "Empty content retrieved for post {$post_id}", 'warning' );
-			wp_send_json_error(
-				array(
-					'message' => __( 'Post content is empty.', 'wp-read-tools' ),
-					'debug' => 'empty_content'
-				),
-				400 // Bad Request
-			);
-			wp_die();
+			return new WP_Error( 'empty_content', __( 'Post content is empty.', 'wp-read-tools' ), array( 'status' => 400 ) );
 		}
 
 		// Clean up the content for reading: remove shortcodes and HTML tags.
-		$stripped_content = self::process_content_for_speech( $content, $post_id );
+		$payload = array(
+			'content'  => self::process_content_for_speech( $content, $post_id ),
+			'segments' => self::build_speech_segments( $content, $post_id ),
+			'lang'     => self::get_post_language( $post_id ),
+			// Applied by the script to the segments and to text extracted from the page
+			'lexicon'  => WP_Read_Tools_Pronunciation::get_rules( $post_id ),
+		);
 
 		// Cache the processed content
-		self::cache_content( $post_id, $stripped_content );
+		self::cache_content( $post_id, $payload );
 
 		wp_read_tools_log( "Successfully processed and cached content for post ID: {$post_id}" );
 
-		// Send successful response with cleaned content.
-		wp_send_json_success( array( 'content' => $stripped_content ) );
-
-		// wp_die() is called automatically by wp_send_json_success / wp_send_json_error.
+		return $payload;
 	}
 
 	/**
 	 * Processes post content for text-to-speech functionality.
 	 *
 	 * Cleans post content by removing HTML tags, shortcodes, and normalizing
-	 * whitespace to create speech-friendly text. Applies filters to allow
-	 * customization of the content processing.
+	 * whitespace to create speech-friendly text. Paragraph boundaries are kept
+	 * as blank lines so the frontend can queue and skip narration by paragraph.
+	 * Applies filters to allow customization of the content processing.
 	 *
 	 * @since  1.0.0
 	 * @access private
@@ -210,13 +397,17 @@ class WP_Read_Tools_Ajax {
 		// like Avada/Fusion Builder whose registered shortcodes would be removed entirely
 		// by strip_shortcodes(), including the text content within them).
 		$stripped_content = preg_replace( '/\[\/?\w[^\]]*\]/', '', $content );
+
+		// Break lines after block-level elements so paragraphs survive tag stripping
+		// even when the markup has no line breaks of its own (common with page builders).
+		$stripped_content = preg_replace( '/<\/(?:p|div|h[1-6]|li|blockquote|pre|figcaption|td|th)>/i', "$0\n\n", $stripped_content );
 		$stripped_content = wp_strip_all_tags( $stripped_content );
 
 		// Fix drop-cap artifact: when a drop-cap shortcode wraps a single letter,
 		// stripping tags leaves a space between the letter and the rest of the word
 		// (e.g. [fusion_dropcap]O[/fusion_dropcap] rando → "O rando" instead of "Orando").
 		$stripped_content = trim( $stripped_content );
-		$stripped_content = preg_replace( '/^(\pL)\s+(\pL)/u', '$1$2', $stripped_content );
+		$stripped_content = preg_replace( '/^(\pL)[^\S\n]+(\pL)/u', '$1$2', $stripped_content );
 
 		// Decode HTML entities that might remain after stripping tags
 		$stripped_content = html_entity_decode( $stripped_content );
@@ -224,58 +415,437 @@ class WP_Read_Tools_Ajax {
 		// Allow filtering of content before speech synthesis
 		$stripped_content = apply_filters( 'wp_read_tools_speech_content', $stripped_content, $post_id );
 
-		// Normalize whitespace
-		$stripped_content = preg_replace( '/\s+/', ' ', $stripped_content );
+		// Normalize whitespace: blank lines separate paragraphs, single line breaks
+		// (manual <br>-style breaks in the classic editor) become spaces.
+		$stripped_content = preg_replace( '/[^\S\n]+/u', ' ', $stripped_content );
+		$stripped_content = preg_replace( '/ ?\n ?(?:\n ?)+/', "\n\n", $stripped_content );
+		$stripped_content = preg_replace( '/ ?\n ?/', ' ', $stripped_content );
 		$stripped_content = trim( $stripped_content );
 
 		return $stripped_content;
 	}
 
+	/**
+	 * Builds an ordered list of typed speech segments from post content.
+	 *
+	 * Unlike process_content_for_speech(), which flattens everything into one
+	 * string, this keeps the block structure so the frontend can pause between
+	 * blocks, voice headings differently and announce lists and quotes.
+	 *
+	 * Segment types:
+	 * - heading   (with 'level' 1-6)
+	 * - paragraph
+	 * - list_item (with 'list' ID and 'ordered' flag; nested lists get their own ID)
+	 * - quote
+	 * - caption
+	 * - image     (alt text)
+	 * - code      (no text; code blocks are skipped)
+	 *
+	 * Segments inside an element with a lang attribute carry it as 'lang'.
+	 * Language changes inside a block (an inline span) are not split out.
+	 * Segments whose text the wp_read_tools_speech_content filter changes
+	 * carry the filtered text as 'speech'.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  string $content Raw post content.
+	 * @param  int    $post_id Post ID for context.
+	 * @return array           List of segments, each with at least 'type' and 'text'.
+	 *                         Empty if the content cannot be parsed.
+	 */
+	private static function build_speech_segments( $content, $post_id ) {
+		if ( ! class_exists( 'DOMDocument' ) ) {
+			return array();
+		}
+
+		// Same shortcode handling as process_content_for_speech().
+		$html = preg_replace( '/\[\/?\w[^\]]*\]/', '', $content );
+
+		// Classic editor content has no paragraph tags until it is rendered.
+		if ( ! has_blocks( $html ) ) {
+			$html = wpautop( $html );
+		}
+
+		$document        = new DOMDocument();
+		$previous_errors = libxml_use_internal_errors( true );
+		$loaded          = $document->loadHTML(
+			'<?xml encoding="utf-8"?><div>' . $html . '</div>',
+			LIBXML_HTML_NOIMPLIED | LIBXML_HTML_NODEFDTD
+		);
+		libxml_clear_errors();
+		libxml_use_internal_errors( $previous_errors );
+
+		if ( ! $loaded || ! $document->documentElement ) {
+			wp_read_tools_log( "Could not parse content into speech segments for post {$post_id}", 'warning' );
+			return array();
+		}
+
+		$segments = array();
+		$buffer   = '';
+		$list_id  = 0;
+		self::collect_speech_segments( $document->documentElement, $segments, $buffer, $list_id, '' );
+		self::add_speech_segment( $segments, array( 'type' => 'paragraph', 'text' => $buffer ) );
+
+		// Same speech filtering as the plain-text content; 'text' stays as displayed for highlighting
+		foreach ( $segments as $index => $segment ) {
+			if ( '' === $segment['text'] ) {
+				continue;
+			}
+
+			$lang   = isset( $segment['lang'] ) ? $segment['lang'] : '';
+			$speech = apply_filters( 'wp_read_tools_speech_content', $segment['text'], $post_id, $lang );
+			$speech = trim( preg_replace( '/[\s\x{00A0}]+/u', ' ', (string) $speech ) );
+			if ( $speech !== $segment['text'] ) {
+				$segments[ $index ]['speech'] = $speech;
+			}
+		}
+
+		// Allow filtering of the segments before speech synthesis
+		return apply_filters( 'wp_read_tools_speech_segments', $segments, $post_id );
+	}
+
+	/**
+	 * Walks a DOM node and appends speech segments for its children.
+	 *
+	 * Text outside block elements is gathered in a buffer and emitted as a
+	 * paragraph at the next block boundary.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param DOMNode $node     Node whose children are walked.
+	 * @param array   $segments Segments collected so far (by reference).
+	 * @param string  $buffer   Pending inline text (by reference).
+	 * @param int     $list_id  Last list ID handed out (by reference).
+	 * @param string  $lang     Language inherited from the ancestors of the node, if any.
+	 * @return void
+	 */
+	private static function collect_speech_segments( $node, &$segments, &$buffer, &$list_id, $lang ) {
+		$inline_tags = array( 'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'i', 'ins', 'kbd', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var' );
+		$text_blocks = array( 'p', 'dt', 'dd', 'td', 'th', 'address', 'summary' );
+
+		foreach ( $node->childNodes as $child ) {
+			if ( XML_TEXT_NODE === $child->nodeType || XML_CDATA_SECTION_NODE === $child->nodeType ) {
+				$buffer .= $child->nodeValue;
+				continue;
+			}
+
+			if ( XML_ELEMENT_NODE !== $child->nodeType ) {
+				continue;
+			}
+
+			$tag = strtolower( $child->nodeName );
+
+			if ( in_array( $tag, array( 'script', 'style', 'noscript', 'template' ), true ) ) {
+				continue;
+			}
+
+			if ( 'br' === $tag ) {
+				$buffer .= ' ';
+				continue;
+			}
+
+			if ( in_array( $tag, $inline_tags, true ) ) {
+				$buffer .= $child->textContent;
+				continue;
+			}
+
+			// Everything else starts a new block.
+			self::add_speech_segment( $segments, array( 'type' => 'paragraph', 'text' => $buffer, 'lang' => $lang ) );
+			$buffer     = '';
+			$block_lang = self::get_element_language( $child, $lang );
+
+			if ( preg_match( '/^h([1-6])$/', $tag, $matches ) ) {
+				self::add_speech_segment( $segments, array( 'type' => 'heading', 'level' => (int) $matches[1], 'text' => $child->textContent, 'lang' => $block_lang ) );
+			} elseif ( in_array( $tag, $text_blocks, true ) ) {
+				self::add_speech_segment( $segments, array( 'type' => 'paragraph', 'text' => $child->textContent, 'lang' => $block_lang ) );
+				self::add_image_segments( $child, $segments, $block_lang );
+			} elseif ( 'ul' === $tag || 'ol' === $tag ) {
+				self::collect_list_segments( $child, $segments, $list_id, $block_lang );
+			} elseif ( 'blockquote' === $tag ) {
+				self::add_speech_segment( $segments, array( 'type' => 'quote', 'text' => $child->textContent, 'lang' => $block_lang ) );
+			} elseif ( 'figcaption' === $tag ) {
+				self::add_speech_segment( $segments, array( 'type' => 'caption', 'text' => $child->textContent, 'lang' => $block_lang ) );
+			} elseif ( 'pre' === $tag ) {
+				$segments[] = array( 'type' => 'code', 'text' => '' );
+			} elseif ( 'img' === $tag ) {
+				self::add_image_segments( $child, $segments, $block_lang );
+			} else {
+				// Containers (div, section, figure, table...): walk their children.
+				self::collect_speech_segments( $child, $segments, $buffer, $list_id, $block_lang );
+				self::add_speech_segment( $segments, array( 'type' => 'paragraph', 'text' => $buffer, 'lang' => $block_lang ) );
+				$buffer = '';
+			}
+		}
+	}
+
+	/**
+	 * Appends one list_item segment per item of a list, then its nested lists.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param DOMElement $list     The ul or ol element.
+	 * @param array      $segments Segments collected so far (by reference).
+	 * @param int        $list_id  Last list ID handed out (by reference).
+	 * @param string     $lang     Language of the list, if any.
+	 * @return void
+	 */
+	private static function collect_list_segments( $list, &$segments, &$list_id, $lang ) {
+		$list_id++;
+		$current_list = $list_id;
+		$ordered      = 'ol' === strtolower( $list->nodeName );
+
+		foreach ( $list->childNodes as $item ) {
+			if ( XML_ELEMENT_NODE !== $item->nodeType || 'li' !== strtolower( $item->nodeName ) ) {
+				continue;
+			}
+
+			$text         = '';
+			$nested_lists = array();
+			$item_lang    = self::get_element_language( $item, $lang );
+			foreach ( $item->childNodes as $part ) {
+				if ( XML_ELEMENT_NODE === $part->nodeType && in_array( strtolower( $part->nodeName ), array( 'ul', 'ol' ), true ) ) {
+					$nested_lists[] = $part;
+				} else {
+					$text .= ' ' . $part->textContent;
+				}
+			}
+
+			self::add_speech_segment(
+				$segments,
+				array(
+					'type'    => 'list_item',
+					'text'    => $text,
+					'list'    => $current_list,
+					'ordered' => $ordered,
+					'lang'    => $item_lang,
+				)
+			);
+
+			foreach ( $nested_lists as $nested_list ) {
+				self::collect_list_segments( $nested_list, $segments, $list_id, self::get_element_language( $nested_list, $item_lang ) );
+			}
+		}
+	}
+
+	/**
+	 * Appends image segments for the alt text of an image or the images inside an element.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param DOMElement $element  Image, or element containing images.
+	 * @param array      $segments Segments collected so far (by reference).
+	 * @param string     $lang     Language of the element, if any.
+	 * @return void
+	 */
+	private static function add_image_segments( $element, &$segments, $lang ) {
+		$images = 'img' === strtolower( $element->nodeName ) ? array( $element ) : $element->getElementsByTagName( 'img' );
+
+		foreach ( $images as $image ) {
+			self::add_speech_segment( $segments, array( 'type' => 'image', 'text' => $image->getAttribute( 'alt' ), 'lang' => self::get_element_language( $image, $lang ) ) );
+		}
+	}
+
+	/**
+	 * Returns the language of an element: its own lang attribute or the inherited one.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  DOMElement $element   Element to check.
+	 * @param  string     $inherited Language of the element's ancestors, if any.
+	 * @return string                BCP 47 language tag, or empty if unknown.
+	 */
+	private static function get_element_language( $element, $inherited ) {
+		if ( ! $element->hasAttribute( 'lang' ) ) {
+			return $inherited;
+		}
+
+		return preg_replace( '/[^A-Za-z0-9-]/', '', str_replace( '_', '-', $element->getAttribute( 'lang' ) ) );
+	}
+
+	/**
+	 * Returns the language a post is written in, as set by Polylang or WPML.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  int $post_id Post ID.
+	 * @return string       BCP 47 language tag (e.g. "es-MX"), or empty if unknown
+	 *                      so the page language is used.
+	 */
+	public static function get_post_language( $post_id ) {
+		$language = '';
+
+		if ( function_exists( 'pll_get_post_language' ) ) {
+			$language = pll_get_post_language( $post_id, 'locale' );
+		} else {
+			$details = apply_filters( 'wpml_post_language_details', null, $post_id );
+			if ( is_array( $details ) && ! empty( $details['locale'] ) ) {
+				$language = $details['locale'];
+			}
+		}
+
+		// Allow other multilingual plugins to provide the post language
+		$language = apply_filters( 'wp_read_tools_post_language', (string) $language, $post_id );
+
+		return preg_replace( '/[^A-Za-z0-9-]/', '', str_replace( '_', '-', (string) $language ) );
+	}
+
+	/**
+	 * Normalizes a segment's text and appends it unless the text is empty.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param array $segments Segments collected so far (by reference).
+	 * @param array $segment  Segment with 'type', raw 'text' and optional 'lang'.
+	 * @return void
+	 */
+	private static function add_speech_segment( &$segments, $segment ) {
+		$segment['text'] = trim( preg_replace( '/[\s\x{00A0}]+/u', ' ', $segment['text'] ) );
+
+		// Only passages with their own language carry one
+		if ( empty( $segment['lang'] ) ) {
+			unset( $segment['lang'] );
+		}
+
+		if ( '' !== $segment['text'] ) {
+			$segments[] = $segment;
+		}
+	}
+
+	/**
+	 * Checks whether the text of a post only exists on the rendered page.
+	 *
+	 * Page builders such as Avada and Elementor may keep little or nothing
+	 * in the post content; WP_Read_Tools_Shortcode flags those posts with
+	 * post meta, and extracted content may carry the frontend extraction
+	 * marker. Checked on the raw post, as the speech payload strips both.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  int $post_id Post ID.
+	 * @return bool True if the stored content is not what the page shows.
+	 */
+	private static function needs_frontend_extraction( $post_id ) {
+		if ( 'yes' === get_post_meta( $post_id, '_wp_read_tools_needs_frontend_extraction', true ) ) {
+			return true;
+		}
+
+		return false !== strpos( (string) get_post_field( 'post_content', $post_id ), '<!-- WP_READ_TOOLS_FRONTEND_EXTRACTION_NEEDED -->' );
+	}
+
 	/**
 	 * Retrieves cached content for a specific post.
 	 *
-	 * Attempts to retrieve processed content from WordPress cache to avoid
-	 * repeated processing of the same content. Cache keys are based on
-	 * post ID and last modified time to ensure freshness.
+	 * Processed content is kept in a transient per post, which lives in the
+	 * persistent object cache when the site has one and in the database
+	 * otherwise, so it survives between requests on every host. The entry
+	 * also stores the cache key it was built for, and is ignored once the
+	 * post's modified time or the pronunciation settings no longer match.
 	 *
 	 * @since  1.0.0
 	 * @access private
 	 * @static
 	 *
 	 * @param  int $post_id Post ID to retrieve cached content for.
-	 * @return string|false Cached content on success, false on failure.
+	 * @return array|false Cached payload on success, false on failure.
 	 */
 	private static function get_cached_content( $post_id ) {
-		$cache_key = self::get_cache_key( $post_id );
-		return wp_cache_get( $cache_key, 'wp_read_tools' );
+		$cached = get_transient( self::get_cache_name( $post_id ) );
+
+		if ( ! is_array( $cached ) || ! isset( $cached['key'], $cached['payload'] ) || self::get_cache_key( $post_id ) !== $cached['key'] ) {
+			return false;
+		}
+
+		return $cached['payload'];
 	}
 
 	/**
 	 * Caches processed content for a specific post.
 	 *
-	 * Stores processed content in WordPress cache with a reasonable expiration
-	 * time to balance performance and memory usage.
+	 * Stores processed content in a transient for the cache duration
+	 * (wp_read_tools_cache_duration filter); a duration of 0 turns the
+	 * cache off, as a transient without expiration would be autoloaded on
+	 * every request.
 	 *
 	 * @since  1.0.0
 	 * @access private
 	 * @static
 	 *
-	 * @param int    $post_id Post ID to cache content for.
-	 * @param string $content Processed content to cache.
-	 * @return bool           True on success, false on failure.
+	 * @param int   $post_id Post ID to cache content for.
+	 * @param array $content Processed payload to cache.
+	 * @return bool          True on success, false on failure.
 	 */
 	private static function cache_content( $post_id, $content ) {
-		$cache_key = self::get_cache_key( $post_id );
 		// Cache for 1 hour by default, allow filtering
-		$cache_duration = apply_filters( 'wp_read_tools_cache_duration', HOUR_IN_SECONDS );
-		return wp_cache_set( $cache_key, $content, 'wp_read_tools', $cache_duration );
+		$cache_duration = (int) apply_filters( 'wp_read_tools_cache_duration', (int) WP_Read_Tools_Settings::get( 'cache_duration' ) );
+		if ( $cache_duration <= 0 ) {
+			return false;
+		}
+
+		return set_transient(
+			self::get_cache_name( $post_id ),
+			array(
+				'key'     => self::get_cache_key( $post_id ),
+				'payload' => $content,
+			),
+			$cache_duration
+		);
+	}
+
+	/**
+	 * Deletes the cached content of a post.
+	 *
+	 * Hooked to save_post and deleted_post. Saving also changes the modified
+	 * time that is part of the cache key, but deleting the entry frees the
+	 * space at once and covers changes that keep the modified time, such as
+	 * the post's pronunciation rules.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  int $post_id Post ID.
+	 * @return void
+	 */
+	public static function clear_cached_content( $post_id ) {
+		delete_transient( self::get_cache_name( $post_id ) );
+	}
+
+	/**
+	 * Returns the transient name holding a post's cached content.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  int $post_id Post ID.
+	 * @return string Transient name.
+	 */
+	private static function get_cache_name( $post_id ) {
+		return 'wp_read_tools_content_' . (int) $post_id;
 	}
 
 	/**
 	 * Generates cache key for post content.
 	 *
-	 * Creates a unique cache key based on post ID and last modified time
-	 * to ensure cache invalidation when content is updated.
+	 * Creates a unique cache key based on post ID, last modified time,
+	 * plugin version and pronunciation settings to ensure cache invalidation
+	 * when content, text processing or the lexicon is updated.
 	 *
 	 * @since  1.0.0
 	 * @access private
@@ -286,7 +856,8 @@ class WP_Read_Tools_Ajax {
 	 */
 	private static function get_cache_key( $post_id ) {
 		$post_modified = get_post_modified_time( 'U', true, $post_id );
-		return "content_{$post_id}_{$post_modified}";
+		$lexicon       = WP_Read_Tools_Pronunciation::get_version();
+		return "content_{$post_id}_{$post_modified}_" . WP_READ_TOOLS_VERSION . "_{$lexicon}";
 	}
 
 	/**
@@ -294,17 +865,24 @@ class WP_Read_Tools_Ajax {
 	 *
 	 * Prevents abuse by limiting the number of requests per IP address
 	 * within a specified time window. Uses WordPress transients for
-	 * temporary storage of request counts.
+	 * temporary storage of request counts and the time the window resets.
+	 *
+	 * Requests are counted per bucket: 'content' for the speech content and
+	 * audio, 'analytics' for listening events, so tracking can't use up the
+	 * budget of "Listen" clicks. Each bucket allows the same number of
+	 * requests unless the wp_read_tools_rate_limit_max_requests filter, which
+	 * receives the bucket, says otherwise.
 	 *
 	 * @since  1.0.0
-	 * @access private
+	 * @access public
 	 * @static
 	 *
+	 * @param  string $bucket Counter to check and increment. Default 'content'.
 	 * @return bool True if request is allowed, false if rate limit exceeded.
 	 */
-	private static function check_rate_limit() {
+	public static function check_rate_limit( $bucket = 'content' ) {
 		// Allow disabling rate limiting via filter
-		if ( ! apply_filters( 'wp_read_tools_enable_rate_limiting', true ) ) {
+		if ( ! apply_filters( 'wp_read_tools_enable_rate_limiting', (bool) WP_Read_Tools_Settings::get( 'rate_limiting' ) ) ) {
 			return true;
 		}
 
@@ -314,31 +892,86 @@ class WP_Read_Tools_Ajax {
 			return true; // Allow if we can't determine IP
 		}
 
-		// Create rate limit key
-		$rate_limit_key = 'wp_read_tools_rate_limit_' . md5( $client_ip );
-
-		// Get current request count
-		$request_count = get_transient( $rate_limit_key );
-		if ( $request_count === false ) {
-			$request_count = 0;
-		}
-
 		// Rate limit settings (filterable) - more lenient defaults
-		$max_requests = apply_filters( 'wp_read_tools_rate_limit_max_requests', 60 ); // 60 requests (doubled)
-		$time_window = apply_filters( 'wp_read_tools_rate_limit_time_window', 300 ); // 5 minutes
+		$max_requests = apply_filters( 'wp_read_tools_rate_limit_max_requests', (int) WP_Read_Tools_Settings::get( 'rate_limit_max_requests' ), $bucket );
+
+		$window = self::get_rate_limit_window( $client_ip, $bucket );
 
 		// Check if limit exceeded
-		if ( $request_count >= $max_requests ) {
+		if ( $window['count'] >= $max_requests ) {
 			return false;
 		}
 
-		// Increment request count
-		$request_count++;
-		set_transient( $rate_limit_key, $request_count, $time_window );
+		// Increment request count; the window keeps its original reset time
+		$window['count']++;
+		set_transient( self::get_rate_limit_key( $client_ip, $bucket ), $window, max( 1, $window['reset'] - time() ) );
 
 		return true;
 	}
 
+	/**
+	 * Returns the seconds until the current client's rate limit window resets.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  string $bucket Rate limit counter, see check_rate_limit(). Default 'content'.
+	 * @return int Seconds to wait, at least 1.
+	 */
+	public static function get_rate_limit_retry_after( $bucket = 'content' ) {
+		$window = self::get_rate_limit_window( self::get_client_ip(), $bucket );
+		return max( 1, $window['reset'] - time() );
+	}
+
+	/**
+	 * Returns the request count and reset time of a client's rate limit window.
+	 *
+	 * Counts stored by earlier versions (a plain number) are kept and given a
+	 * full window.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  string $client_ip Client IP address.
+	 * @param  string $bucket    Rate limit counter, see check_rate_limit().
+	 * @return array {
+	 *     @type int $count Requests made in the window.
+	 *     @type int $reset Unix time the window resets.
+	 * }
+	 */
+	private static function get_rate_limit_window( $client_ip, $bucket ) {
+		$time_window = apply_filters( 'wp_read_tools_rate_limit_time_window', (int) WP_Read_Tools_Settings::get( 'rate_limit_time_window' ) );
+		$window      = get_transient( self::get_rate_limit_key( $client_ip, $bucket ) );
+
+		if ( is_array( $window ) && isset( $window['count'], $window['reset'] ) && $window['reset'] > time() ) {
+			return $window;
+		}
+
+		return array(
+			'count' => is_numeric( $window ) ? (int) $window : 0,
+			'reset' => time() + $time_window,
+		);
+	}
+
+	/**
+	 * Returns the transient key holding a client's rate limit window.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  string $client_ip Client IP address.
+	 * @param  string $bucket    Rate limit counter, see check_rate_limit().
+	 * @return string Transient key.
+	 */
+	private static function get_rate_limit_key( $client_ip, $bucket ) {
+		// The content counter keeps the key of earlier versions
+		$prefix = 'content' === $bucket ? 'wp_read_tools_rate_limit_' : 'wp_read_tools_rate_limit_' . sanitize_key( $bucket ) . '_';
+		return $prefix . md5( $client_ip );
+	}
+
 	/**
 	 * Enhanced content retrieval for page builders and custom content areas.
 	 *
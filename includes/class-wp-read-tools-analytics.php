@@ -0,0 +1,731 @@
+<?php
+/**
+ * Listening analytics for the WP Read Tools plugin.
+ *
+ * This file contains the WP_Read_Tools_Analytics class which stores the
+ * listening events sent by the read-aloud script and shows them in a
+ * wp-admin report with a CSV export.
+ *
+ * @package    WP_Read_Tools
+ * @subpackage WP_Read_Tools/includes
+ * @since      1.2.0
+ * @author     Adalberto H. Vega <contacto@inteldevign.com>
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Analytics class for WP Read Tools plugin.
+ *
+ * Collection is off unless enabled with the wp_read_tools_enable_analytics
+ * filter. Events carry no personal data: a random ID groups the events of
+ * one listen, and no IP address, user ID or cookie is stored. Requests sent
+ * with Do Not Track or Global Privacy Control are discarded.
+ *
+ * @since      1.2.0
+ * @package    WP_Read_Tools
+ * @subpackage WP_Read_Tools/includes
+ * @author     Adalberto H. Vega <contacto@inteldevign.com>
+ */
+class WP_Read_Tools_Analytics {
+
+	/**
+	 * Version of the events table schema.
+	 *
+	 * @since 1.2.0
+	 * @var   string
+	 */
+	const DB_VERSION = '1';
+
+	/**
+	 * Events a listen can report.
+	 *
+	 * @since 1.2.0
+	 * @var   array
+	 */
+	const EVENTS = array( 'start', 'progress', 'pause', 'abandon', 'error' );
+
+	/**
+	 * Maximum number of events stored per request.
+	 *
+	 * @since 1.2.0
+	 * @var   int
+	 */
+	const MAX_EVENTS_PER_REQUEST = 20;
+
+	/**
+	 * Report periods in days, 0 for all time.
+	 *
+	 * @since 1.2.0
+	 * @var   array
+	 */
+	const PERIODS = array( 7, 30, 90, 365, 0 );
+
+	/**
+	 * Initialize analytics hooks.
+	 *
+	 * The report stays available when collection is turned off, so past
+	 * data can still be read and exported.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void
+	 */
+	public static function init() {
+		add_action( 'wp_ajax_wp_read_tools_track', array( __CLASS__, 'handle_track_request' ) );
+		add_action( 'wp_ajax_nopriv_wp_read_tools_track', array( __CLASS__, 'handle_track_request' ) );
+
+		add_action( 'admin_menu', array( __CLASS__, 'add_report_page' ) );
+		add_action( 'admin_post_wp_read_tools_export_analytics', array( __CLASS__, 'handle_export_request' ) );
+
+		if ( self::is_enabled() ) {
+			self::maybe_create_table();
+		}
+	}
+
+	/**
+	 * Checks whether listening events are collected.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return bool True if collection is enabled.
+	 */
+	public static function is_enabled() {
+		return (bool) apply_filters( 'wp_read_tools_enable_analytics', (bool) WP_Read_Tools_Settings::get( 'analytics' ) );
+	}
+
+	/**
+	 * Returns the name of the events table.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @global wpdb $wpdb WordPress database abstraction object.
+	 *
+	 * @return string Table name with the site prefix.
+	 */
+	private static function get_table_name() {
+		global $wpdb;
+		return $wpdb->prefix . 'read_tools_events';
+	}
+
+	/**
+	 * Creates or updates the events table when its schema version changed.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @global wpdb $wpdb WordPress database abstraction object.
+	 *
+	 * @return void
+	 */
+	private static function maybe_create_table() {
+		global $wpdb;
+
+		if ( get_option( 'wp_read_tools_analytics_db_version' ) === self::DB_VERSION ) {
+			return;
+		}
+
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+		$table           = self::get_table_name();
+		$charset_collate = $wpdb->get_charset_collate();
+
+		// dbDelta() needs two spaces after PRIMARY KEY and one field per line
+		dbDelta(
+			"CREATE TABLE {$table} (
+				id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+				post_id bigint(20) unsigned NOT NULL,
+				listen_id char(32) NOT NULL,
+				event varchar(20) NOT NULL,
+				progress tinyint(3) unsigned NOT NULL DEFAULT 0,
+				position int(10) unsigned NOT NULL DEFAULT 0,
+				engine varchar(20) NOT NULL DEFAULT '',
+				voice varchar(100) NOT NULL DEFAULT '',
+				rate decimal(3,2) NOT NULL DEFAULT 1.00,
+				error varchar(50) NOT NULL DEFAULT '',
+				created_at datetime NOT NULL,
+				PRIMARY KEY  (id),
+				KEY post_created (post_id,created_at),
+				KEY created_at (created_at)
+			) {$charset_collate};"
+		);
+
+		update_option( 'wp_read_tools_analytics_db_version', self::DB_VERSION );
+		wp_read_tools_log( 'Analytics table created or updated' );
+	}
+
+	/**
+	 * Handles AJAX requests with listening events.
+	 *
+	 * Expects the post ID and a JSON list of events in 'events'; each event
+	 * has 'event', 'listen_id' and optionally 'progress' (percent), 'position'
+	 * (seconds), 'engine', 'voice', 'rate' and 'error'. Uses the same rate
+	 * limiting, nonce and post checks as the content request.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @global wpdb $wpdb WordPress database abstraction object.
+	 *
+	 * @return void Outputs JSON response and terminates execution.
+	 */
+	public static function handle_track_request() {
+		global $wpdb;
+
+		if ( ! self::is_enabled() ) {
+			wp_send_json_error(
+				array(
+					'message' => __( 'Analytics are disabled.', 'wp-read-tools' ),
+					'debug' => 'analytics_disabled'
+				),
+				404 // Not Found
+			);
+			wp_die();
+		}
+
+		// The script doesn't send events then, but requests may come from elsewhere
+		if ( self::is_tracking_refused() ) {
+			wp_send_json_success( array( 'stored' => 0 ) );
+		}
+
+		// Counted apart from content requests, so tracking never blocks listening
+		$post_id = WP_Read_Tools_Ajax::verify_request( 'analytics' );
+
+		$events = isset( $_POST['events'] ) ? json_decode( wp_unslash( $_POST['events'] ), true ) : null;
+		if ( ! is_array( $events ) || empty( $events ) ) {
+			wp_send_json_error(
+				array( 'message' => __( 'Error: Invalid analytics events.', 'wp-read-tools' ) ),
+				400 // Bad Request
+			);
+			wp_die();
+		}
+
+		$stored = 0;
+		foreach ( array_slice( $events, 0, self::MAX_EVENTS_PER_REQUEST ) as $event ) {
+			$row = self::sanitize_event( $event );
+			if ( ! $row ) {
+				continue;
+			}
+
+			$row['post_id']    = $post_id;
+			$row['created_at'] = current_time( 'mysql', true );
+
+			if ( $wpdb->insert( self::get_table_name(), $row, array( '%s', '%s', '%d', '%d', '%s', '%s', '%f', '%s', '%d', '%s' ) ) ) {
+				$stored++;
+			}
+		}
+
+		if ( $stored < count( $events ) ) {
+			wp_read_tools_log( sprintf( 'Analytics: stored %d of %d events for post %d', $stored, count( $events ), $post_id ), 'warning' );
+		}
+
+		wp_send_json_success( array( 'stored' => $stored ) );
+	}
+
+	/**
+	 * Checks the request's Do Not Track and Global Privacy Control headers.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @return bool True when the visitor asked not to be tracked.
+	 */
+	private static function is_tracking_refused() {
+		return ( isset( $_SERVER['HTTP_DNT'] ) && '1' === $_SERVER['HTTP_DNT'] )
+			|| ( isset( $_SERVER['HTTP_SEC_GPC'] ) && '1' === $_SERVER['HTTP_SEC_GPC'] );
+	}
+
+	/**
+	 * Validates one event sent by the script.
+	 *
+	 * The keys of the returned row are in the order of the formats used by
+	 * handle_track_request().
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  mixed $event Decoded event.
+	 * @return array|false Table row without post ID and date, false if invalid.
+	 */
+	private static function sanitize_event( $event ) {
+		if ( ! is_array( $event ) || ! isset( $event['event'], $event['listen_id'] ) ) {
+			return false;
+		}
+
+		$type      = sanitize_key( $event['event'] );
+		$listen_id = strtolower( (string) $event['listen_id'] );
+		if ( ! in_array( $type, self::EVENTS, true ) || ! preg_match( '/^[0-9a-f]{32}$/', $listen_id ) ) {
+			return false;
+		}
+
+		return array(
+			'listen_id' => $listen_id,
+			'event'     => $type,
+			'progress'  => min( 100, absint( isset( $event['progress'] ) ? $event['progress'] : 0 ) ),
+			// Longer than a day is not a real position
+			'position'  => min( DAY_IN_SECONDS, absint( isset( $event['position'] ) ? $event['position'] : 0 ) ),
+			'engine'    => substr( sanitize_key( isset( $event['engine'] ) ? $event['engine'] : '' ), 0, 20 ),
+			'voice'     => substr( sanitize_text_field( isset( $event['voice'] ) ? $event['voice'] : '' ), 0, 100 ),
+			'rate'      => min( 2, max( 0.5, (float) ( isset( $event['rate'] ) ? $event['rate'] : 1 ) ) ),
+			'error'     => substr( sanitize_key( isset( $event['error'] ) ? $event['error'] : '' ), 0, 50 ),
+		);
+	}
+
+	/**
+	 * Returns the listening statistics of each post.
+	 *
+	 * A listen counts when it started playing; it is complete when it
+	 * reported 100% progress. The listen time of a listen is the furthest
+	 * position it reported.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @global wpdb $wpdb WordPress database abstraction object.
+	 *
+	 * @param  int $days Report period in days, 0 for all time.
+	 * @return array List of rows with post_id, listens, completions, avg_seconds and errors.
+	 */
+	private static function get_post_stats( $days ) {
+		global $wpdb;
+
+		$table = self::get_table_name();
+
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT post_id,
+					SUM(started) AS listens,
+					SUM(started AND completed) AS completions,
+					AVG(CASE WHEN started THEN listened END) AS avg_seconds,
+					SUM(errors) AS errors
+				FROM (
+					SELECT post_id, listen_id,
+						MAX(event = 'start') AS started,
+						MAX(event = 'progress' AND progress = 100) AS completed,
+						MAX(position) AS listened,
+						SUM(event = 'error') AS errors
+					FROM {$table}
+					WHERE created_at >= %s
+					GROUP BY post_id, listen_id
+				) AS per_listen
+				GROUP BY post_id
+				ORDER BY listens DESC, errors DESC",
+				self::get_period_start( $days )
+			),
+			ARRAY_A
+		);
+
+		return is_array( $rows ) ? $rows : array();
+	}
+
+	/**
+	 * Returns how often each error type and voice occurred.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @global wpdb $wpdb WordPress database abstraction object.
+	 *
+	 * @param  int $days Report period in days, 0 for all time.
+	 * @return array {
+	 *     @type array $errors Rows with error and count.
+	 *     @type array $voices Rows with voice, listens and avg_rate, from start events.
+	 * }
+	 */
+	private static function get_breakdowns( $days ) {
+		global $wpdb;
+
+		$table = self::get_table_name();
+		$since = self::get_period_start( $days );
+
+		$errors = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT error, COUNT(*) AS count FROM {$table}
+				WHERE event = 'error' AND created_at >= %s
+				GROUP BY error ORDER BY count DESC LIMIT 20",
+				$since
+			),
+			ARRAY_A
+		);
+
+		$voices = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT voice, COUNT(*) AS listens, AVG(rate) AS avg_rate FROM {$table}
+				WHERE event = 'start' AND created_at >= %s
+				GROUP BY voice ORDER BY listens DESC LIMIT 20",
+				$since
+			),
+			ARRAY_A
+		);
+
+		return array(
+			'errors' => is_array( $errors ) ? $errors : array(),
+			'voices' => is_array( $voices ) ? $voices : array(),
+		);
+	}
+
+	/**
+	 * Returns the start of a report period as a GMT MySQL date.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  int $days Report period in days, 0 for all time.
+	 * @return string Date in 'Y-m-d H:i:s' format.
+	 */
+	private static function get_period_start( $days ) {
+		return $days > 0 ? gmdate( 'Y-m-d H:i:s', time() - $days * DAY_IN_SECONDS ) : '1970-01-01 00:00:00';
+	}
+
+	/**
+	 * Returns the report period requested in the query string.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @return int Days, one of self::PERIODS; 30 by default.
+	 */
+	private static function get_requested_period() {
+		$days = isset( $_GET['period'] ) ? absint( $_GET['period'] ) : 30;
+		return in_array( $days, self::PERIODS, true ) ? $days : 30;
+	}
+
+	/**
+	 * Returns the capability needed to view and export the report.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @return string Capability.
+	 */
+	private static function get_capability() {
+		return apply_filters( 'wp_read_tools_analytics_capability', 'manage_options' );
+	}
+
+	/**
+	 * Adds the Tools → Listening Report page.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void
+	 */
+	public static function add_report_page() {
+		add_management_page(
+			__( 'Listening Report', 'wp-read-tools' ),
+			__( 'Listening Report', 'wp-read-tools' ),
+			self::get_capability(),
+			'wp-read-tools-analytics',
+			array( __CLASS__, 'render_report_page' )
+		);
+	}
+
+	/**
+	 * Renders the listening report page.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void
+	 */
+	public static function render_report_page() {
+		if ( ! current_user_can( self::get_capability() ) ) {
+			wp_die( esc_html__( 'Sorry, you are not allowed to access this page.', 'wp-read-tools' ) );
+		}
+
+		$days       = self::get_requested_period();
+		$has_table  = get_option( 'wp_read_tools_analytics_db_version' ) !== false;
+		$stats      = $has_table ? self::get_post_stats( $days ) : array();
+		$breakdowns = $has_table ? self::get_breakdowns( $days ) : array( 'errors' => array(), 'voices' => array() );
+		$totals     = self::get_totals( $stats );
+
+		$export_url = wp_nonce_url(
+			add_query_arg(
+				array(
+					'action' => 'wp_read_tools_export_analytics',
+					'period' => $days,
+				),
+				admin_url( 'admin-post.php' )
+			),
+			'wp_read_tools_export_analytics'
+		);
+		?>
+		<div class="wrap">
+			<h1 class="wp-heading-inline"><?php esc_html_e( 'Listening Report', 'wp-read-tools' ); ?></h1>
+			<?php if ( ! empty( $stats ) ) : ?>
+				<a href="<?php echo esc_url( $export_url ); ?>" class="page-title-action"><?php esc_html_e( 'Export CSV', 'wp-read-tools' ); ?></a>
+			<?php endif; ?>
+			<hr class="wp-header-end">
+
+			<?php if ( ! self::is_enabled() ) : ?>
+				<div class="notice notice-info inline">
+					<p><?php esc_html_e( 'Listening analytics are turned off, so no new events are collected.', 'wp-read-tools' ); ?></p>
+				</div>
+			<?php endif; ?>
+
+			<form method="get">
+				<input type="hidden" name="page" value="wp-read-tools-analytics">
+				<label for="wp-read-tools-period"><?php esc_html_e( 'Period:', 'wp-read-tools' ); ?></label>
+				<select name="period" id="wp-read-tools-period">
+					<?php foreach ( self::PERIODS as $period ) : ?>
+						<option value="<?php echo esc_attr( $period ); ?>" <?php selected( $days, $period ); ?>><?php echo esc_html( self::get_period_label( $period ) ); ?></option>
+					<?php endforeach; ?>
+				</select>
+				<?php submit_button( __( 'Filter', 'wp-read-tools' ), 'secondary', '', false ); ?>
+			</form>
+
+			<p>
+				<?php
+				printf(
+					/* translators: 1: Number of listens, 2: Completion rate, 3: Average listen time (m:ss). */
+					esc_html__( '%1$s listens, %2$s completed, %3$s average listen time.', 'wp-read-tools' ),
+					'<strong>' . esc_html( number_format_i18n( $totals['listens'] ) ) . '</strong>',
+					'<strong>' . esc_html( self::format_rate( $totals['completions'], $totals['listens'] ) ) . '</strong>',
+					'<strong>' . esc_html( self::format_duration( $totals['avg_seconds'] ) ) . '</strong>'
+				);
+				?>
+			</p>
+
+			<table class="widefat striped">
+				<thead>
+					<tr>
+						<th scope="col"><?php esc_html_e( 'Post', 'wp-read-tools' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Listens', 'wp-read-tools' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Completion rate', 'wp-read-tools' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Average listen time', 'wp-read-tools' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Errors', 'wp-read-tools' ); ?></th>
+					</tr>
+				</thead>
+				<tbody>
+					<?php if ( empty( $stats ) ) : ?>
+						<tr><td colspan="5"><?php esc_html_e( 'No listens in this period.', 'wp-read-tools' ); ?></td></tr>
+					<?php endif; ?>
+					<?php foreach ( $stats as $row ) : ?>
+						<tr>
+							<td>
+								<?php
+								$title     = get_the_title( $row['post_id'] );
+								$edit_link = get_edit_post_link( $row['post_id'] );
+								$title     = '' !== $title ? $title : '#' . $row['post_id'];
+								if ( $edit_link ) {
+									echo '<a href="' . esc_url( $edit_link ) . '">' . esc_html( $title ) . '</a>';
+								} else {
+									echo esc_html( $title );
+								}
+								?>
+							</td>
+							<td><?php echo esc_html( number_format_i18n( $row['listens'] ) ); ?></td>
+							<td><?php echo esc_html( self::format_rate( $row['completions'], $row['listens'] ) ); ?></td>
+							<td><?php echo esc_html( self::format_duration( $row['avg_seconds'] ) ); ?></td>
+							<td><?php echo esc_html( number_format_i18n( $row['errors'] ) ); ?></td>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+
+			<?php if ( ! empty( $breakdowns['voices'] ) ) : ?>
+				<h2><?php esc_html_e( 'Voices and speeds', 'wp-read-tools' ); ?></h2>
+				<table class="widefat striped">
+					<thead>
+						<tr>
+							<th scope="col"><?php esc_html_e( 'Voice', 'wp-read-tools' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Listens', 'wp-read-tools' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Average speed', 'wp-read-tools' ); ?></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $breakdowns['voices'] as $row ) : ?>
+							<tr>
+								<td><?php echo esc_html( '' !== $row['voice'] ? $row['voice'] : __( 'Automatic', 'wp-read-tools' ) ); ?></td>
+								<td><?php echo esc_html( number_format_i18n( $row['listens'] ) ); ?></td>
+								<td><?php echo esc_html( number_format_i18n( $row['avg_rate'], 2 ) . '×' ); ?></td>
+							</tr>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+			<?php endif; ?>
+
+			<?php if ( ! empty( $breakdowns['errors'] ) ) : ?>
+				<h2><?php esc_html_e( 'Errors', 'wp-read-tools' ); ?></h2>
+				<table class="widefat striped">
+					<thead>
+						<tr>
+							<th scope="col"><?php esc_html_e( 'Type', 'wp-read-tools' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Count', 'wp-read-tools' ); ?></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php foreach ( $breakdowns['errors'] as $row ) : ?>
+							<tr>
+								<td><code><?php echo esc_html( '' !== $row['error'] ? $row['error'] : 'unknown' ); ?></code></td>
+								<td><?php echo esc_html( number_format_i18n( $row['count'] ) ); ?></td>
+							</tr>
+						<?php endforeach; ?>
+					</tbody>
+				</table>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Sends the per-post statistics of the requested period as a CSV file.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void Outputs the CSV file and terminates execution.
+	 */
+	public static function handle_export_request() {
+		if ( ! current_user_can( self::get_capability() ) ) {
+			wp_die( esc_html__( 'Sorry, you are not allowed to access this page.', 'wp-read-tools' ), 403 );
+		}
+		check_admin_referer( 'wp_read_tools_export_analytics' );
+
+		$days  = self::get_requested_period();
+		$stats = get_option( 'wp_read_tools_analytics_db_version' ) !== false ? self::get_post_stats( $days ) : array();
+
+		nocache_headers();
+		header( 'Content-Type: text/csv; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename="listening-report-' . gmdate( 'Y-m-d' ) . '.csv"' );
+
+		$output = fopen( 'php://output', 'w' );
+		fputcsv( $output, array( 'post_id', 'title', 'url', 'listens', 'completions', 'completion_rate', 'avg_listen_seconds', 'errors' ) );
+
+		foreach ( $stats as $row ) {
+			fputcsv(
+				$output,
+				array(
+					$row['post_id'],
+					self::escape_csv_value( wp_strip_all_tags( get_the_title( $row['post_id'] ) ) ),
+					get_permalink( $row['post_id'] ),
+					(int) $row['listens'],
+					(int) $row['completions'],
+					$row['listens'] > 0 ? round( $row['completions'] / $row['listens'], 4 ) : 0,
+					(int) round( $row['avg_seconds'] ),
+					(int) $row['errors'],
+				)
+			);
+		}
+
+		fclose( $output );
+		exit;
+	}
+
+	/**
+	 * Adds up per-post statistics.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  array $stats Rows from get_post_stats().
+	 * @return array Total listens and completions and the overall average listen time.
+	 */
+	private static function get_totals( $stats ) {
+		$totals  = array(
+			'listens'     => 0,
+			'completions' => 0,
+			'avg_seconds' => 0,
+		);
+		$seconds = 0;
+
+		foreach ( $stats as $row ) {
+			$totals['listens']     += (int) $row['listens'];
+			$totals['completions'] += (int) $row['completions'];
+			$seconds               += (float) $row['avg_seconds'] * (int) $row['listens'];
+		}
+
+		if ( $totals['listens'] > 0 ) {
+			$totals['avg_seconds'] = $seconds / $totals['listens'];
+		}
+
+		return $totals;
+	}
+
+	/**
+	 * Formats a completion rate as a percentage.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  int $completions Completed listens.
+	 * @param  int $listens     Listens.
+	 * @return string Percentage, or a dash without listens.
+	 */
+	private static function format_rate( $completions, $listens ) {
+		if ( $listens <= 0 ) {
+			return '—';
+		}
+		return number_format_i18n( 100 * $completions / $listens, 1 ) . '%';
+	}
+
+	/**
+	 * Formats seconds as m:ss.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  float $seconds Seconds.
+	 * @return string Formatted duration.
+	 */
+	private static function format_duration( $seconds ) {
+		$seconds = (int) round( $seconds );
+		return sprintf( '%d:%02d', floor( $seconds / 60 ), $seconds % 60 );
+	}
+
+	/**
+	 * Returns the label of a report period.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  int $days Days, 0 for all time.
+	 * @return string Label.
+	 */
+	private static function get_period_label( $days ) {
+		if ( 0 === $days ) {
+			return __( 'All time', 'wp-read-tools' );
+		}
+		/* translators: %d: Number of days. */
+		return sprintf( _n( 'Last %d day', 'Last %d days', $days, 'wp-read-tools' ), $days );
+	}
+
+	/**
+	 * Keeps spreadsheet applications from running a CSV value as a formula.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  string $value Cell value.
+	 * @return string Safe value.
+	 */
+	private static function escape_csv_value( $value ) {
+		return preg_match( '/^[=+\-@\t\r]/', $value ) ? "'" . $value : $value;
+	}
+}
@@ -0,0 +1,503 @@
+<?php
+/**
+ * Server-side text-to-speech for the WP Read Tools plugin.
+ *
+ * This file contains the WP_Read_Tools_Audio class which renders the processed
+ * speech text of a post to an audio file with a configurable TTS backend, for
+ * browsers without usable speech synthesis voices.
+ *
+ * @package    WP_Read_Tools
+ * @subpackage WP_Read_Tools/includes
+ * @since      1.2.0
+ * @author     Adalberto H. Vega <contacto@inteldevign.com>
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Server-side audio renderer class for WP Read Tools plugin.
+ *
+ * Two backends are supported, both configured through filters:
+ * - A local command (e.g. Piper or eSpeak) that reads the text on stdin and
+ *   writes an audio file: `wp_read_tools_tts_command`.
+ * - An HTTP TTS service that receives the text in a POST request and answers
+ *   with audio: `wp_read_tools_tts_http_endpoint`.
+ *
+ * Generated files are stored in the uploads directory and keyed by post ID,
+ * post modified time and a hash of the text and backend, so they are reused
+ * until the post (or the configuration) changes.
+ *
+ * @since      1.2.0
+ * @package    WP_Read_Tools
+ * @subpackage WP_Read_Tools/includes
+ * @author     Adalberto H. Vega <contacto@inteldevign.com>
+ */
+class WP_Read_Tools_Audio {
+
+	/**
+	 * Name of the uploads subdirectory holding generated audio files.
+	 *
+	 * @since 1.2.0
+	 * @var   string
+	 */
+	const UPLOADS_DIR = 'wp-read-tools-audio';
+
+	/**
+	 * File extensions by audio MIME type.
+	 *
+	 * @since 1.2.0
+	 * @var   array
+	 */
+	const FORMATS = array(
+		'wav'  => 'audio/wav',
+		'mp3'  => 'audio/mpeg',
+		'ogg'  => 'audio/ogg',
+		'webm' => 'audio/webm',
+	);
+
+	/**
+	 * Checks whether a server-side TTS backend is configured.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return bool True if a command or HTTP endpoint is set.
+	 */
+	public static function is_enabled() {
+		return '' !== self::get_command() || '' !== self::get_http_endpoint();
+	}
+
+	/**
+	 * Returns the preferred speech engine for the frontend.
+	 *
+	 * 'audio' plays server-generated audio and falls back to the browser's
+	 * speech synthesis; 'webspeech' uses the browser first and only falls back
+	 * to server audio when the browser has no speech synthesis.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return string Either 'audio' or 'webspeech'.
+	 */
+	public static function get_engine() {
+		// Allow sites to keep browser voices first even when a backend is configured
+		$engine = apply_filters( 'wp_read_tools_tts_engine', self::is_enabled() ? 'audio' : 'webspeech' );
+
+		return 'audio' === $engine && self::is_enabled() ? 'audio' : 'webspeech';
+	}
+
+	/**
+	 * Returns the narration audio of a post, rendering it if needed.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  int    $post_id Post ID.
+	 * @param  string $text    Processed speech text of the post.
+	 * @param  string $lang    Language tag of the text (e.g. "es-MX").
+	 * @return array|WP_Error  Array with 'url' and 'type' of the audio file, or an error.
+	 */
+	public static function get_audio( $post_id, $text, $lang ) {
+		$uploads = wp_upload_dir();
+		if ( ! empty( $uploads['error'] ) ) {
+			return new WP_Error( 'audio_storage_unavailable', __( 'Server audio is not available.', 'wp-read-tools' ), array( 'status' => 500 ) );
+		}
+
+		$dir = trailingslashit( $uploads['basedir'] ) . self::UPLOADS_DIR;
+		$url = trailingslashit( $uploads['baseurl'] ) . self::UPLOADS_DIR;
+
+		// The hash covers the backend too, so changing it renders the post again
+		$signature = md5( $text . '|' . $lang . '|' . self::get_command() . '|' . self::get_http_endpoint() );
+		$name      = sprintf( '%d-%d-%s', $post_id, get_post_modified_time( 'U', true, $post_id ), substr( $signature, 0, 12 ) );
+
+		$existing = self::find_audio_file( $dir, $name );
+		if ( $existing ) {
+			wp_read_tools_log( "Serving cached audio for post ID: {$post_id}" );
+			return self::describe_audio_file( $existing, $url );
+		}
+
+		if ( ! wp_mkdir_p( $dir ) ) {
+			return new WP_Error( 'audio_storage_unavailable', __( 'Server audio is not available.', 'wp-read-tools' ), array( 'status' => 500 ) );
+		}
+
+		// Rendering a long post takes a while; don't start it twice in parallel
+		if ( ! self::acquire_render_lock( $post_id ) ) {
+			return new WP_Error( 'audio_generating', __( 'The audio for this post is being generated. Please try again shortly.', 'wp-read-tools' ), array( 'status' => 503 ) );
+		}
+
+		$base_path = trailingslashit( $dir ) . $name;
+		$file      = '' !== self::get_command()
+			? self::render_with_command( $text, $lang, $base_path )
+			: self::render_with_http( $text, $lang, $base_path, $post_id );
+
+		self::release_render_lock( $post_id );
+
+		if ( is_wp_error( $file ) ) {
+			wp_read_tools_log( "Audio rendering failed for post {$post_id}: " . $file->get_error_message(), 'error' );
+			return $file;
+		}
+
+		self::delete_stale_files( $dir, $post_id, basename( $file ) );
+		wp_read_tools_log( "Rendered and cached audio for post ID: {$post_id}" );
+
+		return self::describe_audio_file( $file, $url );
+	}
+
+	/**
+	 * Takes the lock that keeps a post from being rendered twice at once.
+	 *
+	 * The lock is added atomically: wp_cache_add() with a persistent object
+	 * cache, otherwise an INSERT IGNORE of an option (add_option() updates an
+	 * existing row instead of failing, so two requests could both get it). A
+	 * lock left behind by a worker that died while rendering expires after
+	 * the command timeout plus a minute, and never sooner than five minutes.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @global wpdb $wpdb WordPress database abstraction object.
+	 *
+	 * @param  int $post_id Post ID.
+	 * @return bool True if the lock was taken.
+	 */
+	private static function acquire_render_lock( $post_id ) {
+		global $wpdb;
+
+		$name    = 'wp_read_tools_audio_lock_' . $post_id;
+		$timeout = max( 5 * MINUTE_IN_SECONDS, self::get_command_timeout() + MINUTE_IN_SECONDS );
+
+		if ( wp_using_ext_object_cache() ) {
+			return wp_cache_add( $name, time(), 'wp_read_tools', $timeout );
+		}
+
+		// Remove an expired lock in the same statement that checks its age
+		$wpdb->query( $wpdb->prepare( "DELETE FROM {$wpdb->options} WHERE option_name = %s AND option_value < %d", $name, time() - $timeout ) );
+
+		return 1 === (int) $wpdb->query( $wpdb->prepare( "INSERT IGNORE INTO {$wpdb->options} (option_name, option_value, autoload) VALUES (%s, %s, 'no')", $name, (string) time() ) );
+	}
+
+	/**
+	 * Releases the render lock of a post.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @global wpdb $wpdb WordPress database abstraction object.
+	 *
+	 * @param  int $post_id Post ID.
+	 * @return void
+	 */
+	private static function release_render_lock( $post_id ) {
+		global $wpdb;
+
+		$name = 'wp_read_tools_audio_lock_' . $post_id;
+		if ( wp_using_ext_object_cache() ) {
+			wp_cache_delete( $name, 'wp_read_tools' );
+			return;
+		}
+
+		$wpdb->delete( $wpdb->options, array( 'option_name' => $name ) );
+	}
+
+	/**
+	 * Returns the configured TTS command template.
+	 *
+	 * The command receives the text on stdin. `{output}` is replaced with the
+	 * (shell-escaped) path of the file to write and `{lang}` with the language
+	 * tag, e.g. `piper --model /opt/piper/es_ES-davefx-medium.onnx --output_file {output}`.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @return string Command template, empty if not configured.
+	 */
+	private static function get_command() {
+		return trim( (string) apply_filters( 'wp_read_tools_tts_command', '' ) );
+	}
+
+	/**
+	 * Returns the seconds the TTS command may run before it is stopped.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @return int Timeout in seconds, 120 by default like the HTTP backend.
+	 */
+	private static function get_command_timeout() {
+		return max( 1, (int) apply_filters( 'wp_read_tools_tts_command_timeout', 120 ) );
+	}
+
+	/**
+	 * Returns the configured HTTP TTS endpoint.
+	 *
+	 * `{lang}` in the URL is replaced with the language tag.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @return string Endpoint URL, empty if not configured.
+	 */
+	private static function get_http_endpoint() {
+		return trim( (string) apply_filters( 'wp_read_tools_tts_http_endpoint', '' ) );
+	}
+
+	/**
+	 * Renders text to an audio file with the configured local command.
+	 *
+	 * The text is written to stdin while stdout and stderr are drained,
+	 * through non-blocking pipes, so a command that writes a lot of output
+	 * before reading all its input can't fill a pipe and block both sides.
+	 * A command still running after get_command_timeout() is killed.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  string $text      Text to render.
+	 * @param  string $lang      Language tag of the text.
+	 * @param  string $base_path Path of the file to write, without extension.
+	 * @return string|WP_Error   Path of the written file, or an error.
+	 */
+	private static function render_with_command( $text, $lang, $base_path ) {
+		if ( ! function_exists( 'proc_open' ) ) {
+			return new WP_Error( 'audio_command_unavailable', __( 'Server audio is not available.', 'wp-read-tools' ), array( 'status' => 500 ) );
+		}
+
+		// Extension of the files the command writes
+		$format = sanitize_key( apply_filters( 'wp_read_tools_tts_command_format', 'wav' ) );
+		if ( ! isset( self::FORMATS[ $format ] ) ) {
+			$format = 'wav';
+		}
+
+		$file    = $base_path . '.' . $format;
+		$command = str_replace(
+			array( '{output}', '{lang}' ),
+			array( escapeshellarg( $file ), escapeshellarg( $lang ) ),
+			self::get_command()
+		);
+
+		$process = proc_open(
+			$command,
+			array(
+				0 => array( 'pipe', 'r' ),
+				1 => array( 'pipe', 'w' ),
+				2 => array( 'pipe', 'w' ),
+			),
+			$pipes
+		);
+
+		if ( ! is_resource( $process ) ) {
+			return new WP_Error( 'audio_command_failed', __( 'Could not generate audio for this post.', 'wp-read-tools' ), array( 'status' => 500 ) );
+		}
+
+		foreach ( $pipes as $pipe ) {
+			stream_set_blocking( $pipe, false );
+		}
+
+		$deadline = microtime( true ) + self::get_command_timeout();
+		$input    = $pipes[0];
+		$outputs  = array( $pipes[1], $pipes[2] );
+		$written  = 0;
+		$errors   = '';
+
+		while ( $input || $outputs ) {
+			$remaining = $deadline - microtime( true );
+			if ( $remaining <= 0 ) {
+				break;
+			}
+
+			$read   = $outputs;
+			$write  = $input ? array( $input ) : array();
+			$except = null;
+			// False when a signal interrupts the wait; the deadline still ends the loop
+			if ( false === stream_select( $read, $write, $except, (int) $remaining, (int) ( fmod( $remaining, 1 ) * 1000000 ) ) ) {
+				continue;
+			}
+
+			if ( $write ) {
+				$bytes = fwrite( $input, substr( $text, $written, 8192 ) );
+				$written += (int) $bytes;
+				// Done, or the command closed its stdin
+				if ( ! $bytes || $written >= strlen( $text ) ) {
+					fclose( $input );
+					$input = null;
+				}
+			}
+
+			foreach ( $read as $stream ) {
+				$output = (string) fread( $stream, 8192 );
+				if ( $stream === $pipes[2] ) {
+					$errors = substr( $errors . $output, -4096 ); // The end of stderr explains a failure
+				}
+				if ( feof( $stream ) ) {
+					fclose( $stream );
+					$outputs = array_filter(
+						$outputs,
+						function ( $open ) use ( $stream ) {
+							return $open !== $stream;
+						}
+					);
+				}
+			}
+		}
+
+		foreach ( array_merge( array_filter( array( $input ) ), $outputs ) as $stream ) {
+			fclose( $stream );
+		}
+
+		// Wait for the exit within the deadline too; proc_close() would wait forever
+		$status = proc_get_status( $process );
+		while ( $status['running'] && microtime( true ) < $deadline ) {
+			usleep( 50000 );
+			$status = proc_get_status( $process );
+		}
+
+		$exit_code = $status['exitcode'];
+		if ( $status['running'] ) {
+			proc_terminate( $process, 9 );
+			$exit_code = -1;
+			$errors   .= sprintf( ' (stopped after %d seconds)', self::get_command_timeout() );
+		}
+		proc_close( $process );
+
+		if ( 0 !== $exit_code || ! file_exists( $file ) || 0 === filesize( $file ) ) {
+			wp_read_tools_log( "TTS command exited with code {$exit_code}: " . trim( $errors ), 'error' );
+			if ( file_exists( $file ) ) {
+				wp_delete_file( $file );
+			}
+			return new WP_Error( 'audio_command_failed', __( 'Could not generate audio for this post.', 'wp-read-tools' ), array( 'status' => 500 ) );
+		}
+
+		return $file;
+	}
+
+	/**
+	 * Renders text to an audio file with the configured HTTP TTS service.
+	 *
+	 * The text is sent as the plain-text body of a POST request, which is
+	 * what Piper's HTTP server expects; other services can change the request
+	 * with the `wp_read_tools_tts_http_args` filter. The file extension is
+	 * taken from the Content-Type of the response.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  string $text      Text to render.
+	 * @param  string $lang      Language tag of the text.
+	 * @param  string $base_path Path of the file to write, without extension.
+	 * @param  int    $post_id   Post ID for context.
+	 * @return string|WP_Error   Path of the written file, or an error.
+	 */
+	private static function render_with_http( $text, $lang, $base_path, $post_id ) {
+		$endpoint = str_replace( '{lang}', rawurlencode( $lang ), self::get_http_endpoint() );
+
+		$args = apply_filters(
+			'wp_read_tools_tts_http_args',
+			array(
+				'timeout' => 120,
+				'headers' => array( 'Content-Type' => 'text/plain; charset=utf-8' ),
+				'body'    => $text,
+			),
+			$text,
+			$lang,
+			$post_id
+		);
+
+		$response = wp_remote_post( $endpoint, $args );
+
+		if ( is_wp_error( $response ) || 200 !== (int) wp_remote_retrieve_response_code( $response ) ) {
+			wp_read_tools_log(
+				'TTS service request failed: ' . ( is_wp_error( $response ) ? $response->get_error_message() : wp_remote_retrieve_response_code( $response ) ),
+				'error'
+			);
+			return new WP_Error( 'audio_service_failed', __( 'Could not generate audio for this post.', 'wp-read-tools' ), array( 'status' => 502 ) );
+		}
+
+		$body      = wp_remote_retrieve_body( $response );
+		$mime_type = strtolower( trim( strtok( (string) wp_remote_retrieve_header( $response, 'content-type' ), ';' ) ) );
+		$format    = array_search( 'audio/x-wav' === $mime_type ? 'audio/wav' : $mime_type, self::FORMATS, true );
+		$file      = $base_path . '.' . ( $format ? $format : 'wav' );
+
+		if ( '' === $body || false === file_put_contents( $file, $body ) ) {
+			return new WP_Error( 'audio_service_failed', __( 'Could not generate audio for this post.', 'wp-read-tools' ), array( 'status' => 502 ) );
+		}
+
+		return $file;
+	}
+
+	/**
+	 * Finds a generated audio file by name, whatever its extension.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  string $dir  Audio directory.
+	 * @param  string $name File name without extension.
+	 * @return string|false Path of the file, or false if none exists.
+	 */
+	private static function find_audio_file( $dir, $name ) {
+		foreach ( array_keys( self::FORMATS ) as $format ) {
+			$file = trailingslashit( $dir ) . $name . '.' . $format;
+			if ( file_exists( $file ) && filesize( $file ) > 0 ) {
+				return $file;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Deletes audio files rendered for earlier revisions of a post.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  string $dir     Audio directory.
+	 * @param  int    $post_id Post ID.
+	 * @param  string $keep    File name of the current audio file.
+	 * @return void
+	 */
+	private static function delete_stale_files( $dir, $post_id, $keep ) {
+		$files = glob( trailingslashit( $dir ) . absint( $post_id ) . '-*' );
+
+		foreach ( (array) $files as $file ) {
+			if ( basename( $file ) !== $keep ) {
+				wp_delete_file( $file );
+			}
+		}
+	}
+
+	/**
+	 * Describes an audio file for the frontend.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  string $file Path of the audio file.
+	 * @param  string $url  URL of the audio directory.
+	 * @return array        Array with 'url' and 'type' of the file.
+	 */
+	private static function describe_audio_file( $file, $url ) {
+		$format = pathinfo( $file, PATHINFO_EXTENSION );
+
+		return array(
+			'url'  => trailingslashit( $url ) . basename( $file ),
+			'type' => isset( self::FORMATS[ $format ] ) ? self::FORMATS[ $format ] : 'audio/wav',
+		);
+	}
+}
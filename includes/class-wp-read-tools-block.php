@@ -0,0 +1,297 @@
+<?php
+/**
+ * Block editor integration for the WP Read Tools plugin.
+ *
+ * This file contains the WP_Read_Tools_Block class which registers the
+ * "Reading Time" block, a server-side rendered equivalent of the [readtime]
+ * shortcode with sidebar controls for its attributes.
+ *
+ * @package    WP_Read_Tools
+ * @subpackage WP_Read_Tools/includes
+ * @since      1.2.0
+ * @author     Adalberto H. Vega <contacto@inteldevign.com>
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Block class for WP Read Tools plugin.
+ *
+ * The block stores no markup: it is rendered on every request by
+ * WP_Read_Tools_Shortcode::render_shortcode(), so its output is identical to
+ * the shortcode's. The editor preview (ServerSideRender) shows the same
+ * markup, with the reading time recomputed from the content being edited.
+ *
+ * @since      1.2.0
+ * @package    WP_Read_Tools
+ * @subpackage WP_Read_Tools/includes
+ * @author     Adalberto H. Vega <contacto@inteldevign.com>
+ */
+class WP_Read_Tools_Block {
+
+	/**
+	 * Registered block name.
+	 *
+	 * @since 1.2.0
+	 * @var   string
+	 */
+	const BLOCK_NAME = 'wp-read-tools/readtime';
+
+	/**
+	 * Initialize block registration.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void
+	 */
+	public static function init() {
+		add_action( 'init', array( __CLASS__, 'register_block' ) );
+		add_action( 'enqueue_block_editor_assets', array( __CLASS__, 'localize_editor_script' ) );
+	}
+
+	/**
+	 * Registers the block type and its editor script.
+	 *
+	 * Attributes are declared here only; WordPress passes server-registered
+	 * attributes to the editor, so the script doesn't repeat them.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void
+	 */
+	public static function register_block() {
+		// Block editor unavailable (e.g. disabled by Classic Editor on very old installs)
+		if ( ! function_exists( 'register_block_type' ) ) {
+			return;
+		}
+
+		wp_register_script(
+			'wp-read-tools-block-editor',
+			WP_READ_TOOLS_URL . 'assets/js/block-editor.js',
+			self::get_editor_dependencies(),
+			WP_READ_TOOLS_VERSION,
+			true
+		);
+
+		if ( function_exists( 'wp_set_script_translations' ) ) {
+			wp_set_script_translations( 'wp-read-tools-block-editor', 'wp-read-tools', WP_READ_TOOLS_PATH . 'languages' );
+		}
+
+		// Same stylesheet as the front end, so the editor preview matches it
+		wp_register_style(
+			'wp-read-tools-styles',
+			WP_READ_TOOLS_URL . 'assets/css/read-tools.css',
+			array(),
+			WP_READ_TOOLS_VERSION
+		);
+
+		register_block_type(
+			self::BLOCK_NAME,
+			array(
+				'editor_script'   => 'wp-read-tools-block-editor',
+				'editor_style'    => 'wp-read-tools-styles',
+				'attributes'      => self::get_attributes(),
+				'render_callback' => array( __CLASS__, 'render_block' ),
+			)
+		);
+	}
+
+	/**
+	 * Passes the reading time model and the setting limits to the editor script.
+	 *
+	 * The preview counts the content being edited in the browser, which the
+	 * server has not seen yet; see WP_Read_Tools_Shortcode::get_reading_time().
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void
+	 */
+	public static function localize_editor_script() {
+		if ( ! wp_script_is( 'wp-read-tools-block-editor', 'registered' ) ) {
+			return;
+		}
+
+		wp_localize_script(
+			'wp-read-tools-block-editor',
+			'readToolsBlockSettings',
+			array(
+				'readingTime'         => WP_Read_Tools_Shortcode::get_reading_time_factors(),
+				'numberFormat'        => WP_Read_Tools_Shortcode::get_number_format(),
+				/* translators: %s: Estimated reading time in minutes (potentially with decimals). */
+				'readTimeTooltipText' => __( 'Estimated reading time: %s minutes', 'wp-read-tools' ),
+				// Same ranges as Settings → Read Tools
+				'limits'              => array(
+					'wpm'  => WP_Read_Tools_Settings::get_limits( 'wpm' ),
+					'rate' => WP_Read_Tools_Settings::get_limits( 'rate' ),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Returns the block attributes.
+	 *
+	 * Each attribute mirrors a [readtime] shortcode parameter; see
+	 * self::get_shortcode_map() for the correspondence. Defaults follow
+	 * Settings → Read Tools, like the shortcode's.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @return array Attribute definitions keyed by name.
+	 */
+	private static function get_attributes() {
+		return array(
+			'readAloud'      => array(
+				'type'    => 'boolean',
+				'default' => (bool) WP_Read_Tools_Settings::get( 'read_aloud' ),
+			),
+			'wpm'            => array(
+				'type'    => 'number',
+				'default' => (int) WP_Read_Tools_Settings::get( 'wpm' ),
+			),
+			'containerClass' => array(
+				'type'    => 'string',
+				'default' => 'readtime',
+			),
+			// Empty keeps the shortcode's translated "Listen"
+			'linkText'       => array(
+				'type'    => 'string',
+				'default' => '',
+			),
+			'iconClass'      => array(
+				'type'    => 'string',
+				'default' => WP_Read_Tools_Settings::get( 'icon_class' ),
+			),
+			'contentId'      => array(
+				'type'    => 'string',
+				'default' => '',
+			),
+			'highlight'      => array(
+				'type'    => 'boolean',
+				'default' => (bool) WP_Read_Tools_Settings::get( 'highlight' ),
+			),
+			'player'         => array(
+				'type'    => 'boolean',
+				'default' => (bool) WP_Read_Tools_Settings::get( 'player' ),
+			),
+			'rate'           => array(
+				'type'    => 'number',
+				'default' => (float) WP_Read_Tools_Settings::get( 'rate' ),
+			),
+			'voice'          => array(
+				'type'    => 'string',
+				'default' => WP_Read_Tools_Settings::get( 'voice' ),
+			),
+			'include'        => array(
+				'type'    => 'string',
+				'default' => '',
+			),
+			'exclude'        => array(
+				'type'    => 'string',
+				'default' => '',
+			),
+			'delivery'       => array(
+				'type'    => 'string',
+				'default' => WP_Read_Tools_Settings::get( 'delivery' ),
+			),
+		);
+	}
+
+	/**
+	 * Returns the shortcode parameter of each block attribute.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @return array Shortcode parameter names keyed by attribute name.
+	 */
+	private static function get_shortcode_map() {
+		return array(
+			'readAloud'      => 'read-aloud',
+			'wpm'            => 'wpm',
+			'containerClass' => 'class',
+			'linkText'       => 'link_text',
+			'iconClass'      => 'icon_class',
+			'contentId'      => 'content_id',
+			'highlight'      => 'highlight',
+			'player'         => 'player',
+			'rate'           => 'rate',
+			'voice'          => 'voice',
+			'include'        => 'include',
+			'exclude'        => 'exclude',
+			'delivery'       => 'delivery',
+		);
+	}
+
+	/**
+	 * Renders the block through the [readtime] shortcode handler.
+	 *
+	 * Boolean attributes become 'yes'/'no' and empty strings are left out,
+	 * so the shortcode defaults (and the shortcode_atts_readtime filter)
+	 * apply exactly as they do for the shortcode.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  array $attributes Block attributes.
+	 * @return string HTML output, empty outside a post context.
+	 */
+	public static function render_block( $attributes ) {
+		$atts = array();
+
+		foreach ( self::get_shortcode_map() as $attribute => $parameter ) {
+			if ( ! isset( $attributes[ $attribute ] ) ) {
+				continue;
+			}
+
+			$value = $attributes[ $attribute ];
+			if ( is_bool( $value ) ) {
+				$value = $value ? 'yes' : 'no';
+			} elseif ( '' === $value ) {
+				continue;
+			}
+
+			$atts[ $parameter ] = $value;
+		}
+
+		return WP_Read_Tools_Shortcode::render_shortcode( $atts );
+	}
+
+	/**
+	 * Returns the script dependencies of the editor script.
+	 *
+	 * The server-side render and block editor packages were split out of
+	 * wp-components and wp-editor in WordPress 5.3 and 5.2; older versions
+	 * provide them under the previous handles.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @return array Script handles.
+	 */
+	private static function get_editor_dependencies() {
+		$dependencies = array( 'wp-blocks', 'wp-element', 'wp-components', 'wp-i18n', 'wp-data' );
+
+		$dependencies[] = wp_script_is( 'wp-block-editor', 'registered' ) ? 'wp-block-editor' : 'wp-editor';
+
+		if ( wp_script_is( 'wp-server-side-render', 'registered' ) ) {
+			$dependencies[] = 'wp-server-side-render';
+		}
+
+		return $dependencies;
+	}
+}
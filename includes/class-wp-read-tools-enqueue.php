@@ -84,6 +84,7 @@ class WP_Read_Tools_Enqueue {
 	 * @uses wp_create_nonce()     Creates security nonces for AJAX calls.
 	 * @uses admin_url()           Gets admin URL for AJAX endpoint.
 	 * @uses has_shortcode()       Checks if shortcode exists in content.
+	 * @uses has_block()           Checks if the Reading Time block exists in content.
 	 */
 	public static function enqueue_scripts() {
 		global $post;
@@ -126,7 +127,90 @@ class WP_Read_Tools_Enqueue {
                 'pauseText'   => __('Pause', 'wp-read-tools'),
                 'resumeText'  => __('Resume', 'wp-read-tools'),
                 'errorText'   => __('Error fetching content.', 'wp-read-tools'), // Added generic error text
+                'speechErrorText'       => __('An error occurred during speech synthesis.', 'wp-read-tools'),
+                'controlsLabel'         => __('Narration controls', 'wp-read-tools'),
+                'previousParagraphText' => __('Previous paragraph', 'wp-read-tools'),
+                'previousSentenceText'  => __('Previous sentence', 'wp-read-tools'),
+                'nextSentenceText'      => __('Next sentence', 'wp-read-tools'),
+                'nextParagraphText'     => __('Next paragraph', 'wp-read-tools'),
+                'highlightText'         => __('Highlight text being read', 'wp-read-tools'),
+                'previousSectionText'   => __('Previous section', 'wp-read-tools'),
+                'nextSectionText'       => __('Next section', 'wp-read-tools'),
+                'skimText'              => __('Skim: headings and first sentences', 'wp-read-tools'),
+                'chaptersText'          => __('Chapters', 'wp-read-tools'),
+                'tableOfContentsText'   => __('Read the table of contents', 'wp-read-tools'),
+                // Spoken before the chapter titles
+                'contentsText'          => __('Contents:', 'wp-read-tools'),
+                'stopText'              => __('Stop', 'wp-read-tools'),
+                /* translators: %d: Estimated minutes of narration left. */
+                'continueText'          => __('Continue listening (≈%d min left)', 'wp-read-tools'),
+                'startOverText'         => __('Start over', 'wp-read-tools'),
+                'playerLabel'           => __('Audio player', 'wp-read-tools'),
+                'seekText'              => __('Seek', 'wp-read-tools'),
+                'speedText'             => __('Speed', 'wp-read-tools'),
+                'voiceText'             => __('Voice', 'wp-read-tools'),
+                'automaticVoiceText'    => __('Automatic', 'wp-read-tools'),
+                'playAllText'           => __('Listen to all', 'wp-read-tools'),
+                'stopPlayAllText'       => __('Stop listening', 'wp-read-tools'),
+                'listenSelectionText'   => __('Listen', 'wp-read-tools'),
+                'readFromHereText'      => __('Read from here', 'wp-read-tools'),
+                /* translators: %d: Number of items in the list being read aloud. */
+                'listStartText'         => __('List with %d items', 'wp-read-tools'),
+                'listEndText'           => __('End of list', 'wp-read-tools'),
+                'quoteStartText'        => __('Quote', 'wp-read-tools'),
+                'quoteEndText'          => __('End of quote', 'wp-read-tools'),
+                'codeSkippedText'       => __('Code block skipped', 'wp-read-tools'),
+                /* translators: %s: Alternative text of an image. */
+                'imageText'             => __('Image: %s', 'wp-read-tools'),
+                // Allow themes to turn off the "Listen to all" control on listing pages
+                'playAll'               => (bool) apply_filters( 'wp_read_tools_enable_play_all', true ),
+                'voicePreferences'      => self::get_voice_preferences(),
+                'contentSelectors'      => self::get_content_selectors(),
+                'unsupportedText'       => __('Your browser does not support text-to-speech.', 'wp-read-tools'),
+                // Screen reader announcements of narration state changes
+                'statusLoadingText'     => __('Loading narration…', 'wp-read-tools'),
+                /* translators: %s: Title of the post being read aloud. */
+                'statusPlayingText'     => __('Reading aloud: %s', 'wp-read-tools'),
+                'statusPausedText'      => __('Narration paused', 'wp-read-tools'),
+                'statusStoppedText'     => __('Narration stopped', 'wp-read-tools'),
+                'statusFinishedText'    => __('Narration finished', 'wp-read-tools'),
+                'shortcuts'             => self::get_keyboard_shortcuts(),
+                'retryText'             => __('Retry', 'wp-read-tools'),
+                'dismissText'           => __('Dismiss', 'wp-read-tools'),
+                /* translators: %d: Seconds until the request is repeated. */
+                'retryingText'          => __('Server busy, retrying in %d s…', 'wp-read-tools'),
+                // Stale nonces on cached pages are replaced through this action
+                'nonceAction'           => 'wp_read_tools_refresh_nonce',
+                // Shown as the artist on lock screens and media notifications
+                'siteName'              => wp_strip_all_tags( get_bloginfo( 'name' ) ),
+                // Server-generated audio (WP_Read_Tools_Audio) for browsers without voices
+                'engine'                => WP_Read_Tools_Audio::get_engine(),
+                'audio'                 => WP_Read_Tools_Audio::is_enabled(),
+                'audioAction'           => 'wp_read_tools_get_audio',
                 'ajaxAction'  => 'wp_read_tools_get_content', // Define AJAX action name
+                // "Listen" for selected text and "Read from here" on paragraphs of the post content
+                'selection'             => (bool) apply_filters( 'wp_read_tools_enable_selection', (bool) WP_Read_Tools_Settings::get( 'selection' ) ),
+                // Listening events (WP_Read_Tools_Analytics); the script also honors Do Not Track
+                'analytics'             => WP_Read_Tools_Analytics::is_enabled(),
+                'analyticsAction'       => 'wp_read_tools_track',
+                // Reading time recomputed from text extracted on the page
+                'readingTime'           => WP_Read_Tools_Shortcode::get_reading_time_factors(),
+                'numberFormat'          => WP_Read_Tools_Shortcode::get_number_format(),
+                // Settings → Read Tools defaults for links created by the JavaScript API
+                'defaults'              => array(
+                    'wpm'       => (int) WP_Read_Tools_Settings::get( 'wpm' ),
+                    'iconClass' => WP_Read_Tools_Settings::get( 'icon_class' ),
+                    'highlight' => WP_Read_Tools_Settings::get( 'highlight' ) ? 'yes' : 'no',
+                    'player'    => WP_Read_Tools_Settings::get( 'player' ) ? 'yes' : 'no',
+                    'rate'      => (float) WP_Read_Tools_Settings::get( 'rate' ),
+                    'voice'     => WP_Read_Tools_Settings::get( 'voice' ),
+                ),
+                /* translators: %s: Estimated reading time in minutes (potentially with decimals). */
+                'readTimeTooltipText'   => __('Estimated reading time: %s minutes', 'wp-read-tools'),
+                // Cacheable REST route, with admin-ajax as the fallback
+                'restUrl'               => esc_url_raw( rest_url( WP_Read_Tools_Rest::NAMESPACE_V1 . '/posts/' ) ),
+                // Only logged-in users need a REST nonce (private posts)
+                'restNonce'             => is_user_logged_in() ? wp_create_nonce( 'wp_rest' ) : '',
             )
 		);
 	}
@@ -134,7 +218,7 @@ class WP_Read_Tools_Enqueue {
 	/**
 	 * Determines whether plugin assets should be loaded.
 	 *
-	 * Checks various conditions to determine if the readtime shortcode is present
+	 * Checks various conditions to determine if the readtime shortcode or block is present
 	 * or likely to be present on the current page, optimizing performance by only
 	 * loading assets when needed.
 	 *
@@ -164,7 +248,7 @@ class WP_Read_Tools_Enqueue {
 		if ( is_singular() ) {
 			// Check current post content if available
 			if ( is_a( $post, 'WP_Post' ) && ! empty( $post->post_content ) ) {
-				if ( has_shortcode( $post->post_content, 'readtime' ) ) {
+				if ( self::has_readtime( $post->post_content ) ) {
 					return true;
 				}
 			}
@@ -172,7 +256,7 @@ class WP_Read_Tools_Enqueue {
 			// Also check the queried object in case $post is not set yet
 			$queried_object = get_queried_object();
 			if ( $queried_object instanceof WP_Post && ! empty( $queried_object->post_content ) ) {
-				if ( has_shortcode( $queried_object->post_content, 'readtime' ) ) {
+				if ( self::has_readtime( $queried_object->post_content ) ) {
 					return true;
 				}
 			}
@@ -186,7 +270,7 @@ class WP_Read_Tools_Enqueue {
 		if ( is_home() || is_archive() || is_search() ) {
 			if ( isset( $wp_query->posts ) && is_array( $wp_query->posts ) ) {
 				foreach ( $wp_query->posts as $queried_post ) {
-					if ( has_shortcode( $queried_post->post_content, 'readtime' ) ) {
+					if ( self::has_readtime( $queried_post->post_content ) ) {
 						return true;
 					}
 				}
@@ -197,6 +281,107 @@ class WP_Read_Tools_Enqueue {
 		return false;
 	}
 
+	/**
+	 * Checks whether content contains the [readtime] shortcode or block.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  string $content Post content.
+	 * @return bool True if the shortcode or the Reading Time block is present.
+	 */
+	private static function has_readtime( $content ) {
+		return has_shortcode( $content, 'readtime' ) || has_block( WP_Read_Tools_Block::BLOCK_NAME, $content );
+	}
+
+	/**
+	 * Returns the voice preference lists per language.
+	 *
+	 * Keys are two-letter language codes. Each value lists groups of language
+	 * tags in order of preference; the script picks a Neural/Natural voice of
+	 * the first group that has one, then any voice of that group, and falls
+	 * back to any voice of the language when no group matches. The defaults
+	 * are edited under Settings → Read Tools.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @return array Preference lists keyed by language code.
+	 */
+	private static function get_voice_preferences() {
+		$preferences = (array) WP_Read_Tools_Settings::get( 'voice_preferences' );
+
+		// Allow sites to add or reorder preferred voices, e.g. array( 'en' => array( array( 'en-GB' ) ) )
+		return apply_filters( 'wp_read_tools_voice_preferences', $preferences );
+	}
+
+	/**
+	 * Returns the keyboard shortcuts for narration.
+	 *
+	 * Keys are the actions of the narration controls; values are key
+	 * combinations with modifiers joined by '+', using KeyboardEvent key
+	 * names (e.g. 'Alt+Shift+ArrowRight'). An empty value disables an action.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @return array Key combinations keyed by action.
+	 */
+	private static function get_keyboard_shortcuts() {
+		$shortcuts = array(
+			'toggle'             => 'Alt+Shift+P',
+			'stop'               => 'Alt+Shift+S',
+			'previous-sentence'  => 'Alt+Shift+ArrowLeft',
+			'next-sentence'      => 'Alt+Shift+ArrowRight',
+			'previous-paragraph' => 'Alt+Shift+ArrowUp',
+			'next-paragraph'     => 'Alt+Shift+ArrowDown',
+			'previous-section'   => 'Alt+Shift+PageUp',
+			'next-section'       => 'Alt+Shift+PageDown',
+			'highlight'          => 'Alt+Shift+H',
+			'skim'               => 'Alt+Shift+K',
+		);
+
+		// Allow sites to change or disable shortcuts, e.g. add_filter( ..., '__return_empty_array' )
+		return array_filter( (array) apply_filters( 'wp_read_tools_keyboard_shortcuts', $shortcuts ) );
+	}
+
+	/**
+	 * Returns the site-wide include and exclude selectors for page extraction.
+	 *
+	 * Used when the content is read from the rendered page instead of the
+	 * post content. Include selectors name the elements to read and bypass
+	 * the automatic detection; exclude selectors name elements to leave out
+	 * of the extracted text and the highlighting. The shortcode's include and
+	 * exclude attributes are applied first. The defaults are edited under
+	 * Settings → Read Tools.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @return array {
+	 *     @type string[] $include CSS selectors of the content to read.
+	 *     @type string[] $exclude CSS selectors of elements never read.
+	 * }
+	 */
+	private static function get_content_selectors() {
+		$selectors = apply_filters(
+			'wp_read_tools_content_selectors',
+			array(
+				'include' => (array) WP_Read_Tools_Settings::get( 'include_selectors' ),
+				'exclude' => (array) WP_Read_Tools_Settings::get( 'exclude_selectors' ),
+			)
+		);
+
+		return array(
+			'include' => array_values( array_filter( array_map( 'trim', (array) ( $selectors['include'] ?? array() ) ) ) ),
+			'exclude' => array_values( array_filter( array_map( 'trim', (array) ( $selectors['exclude'] ?? array() ) ) ) ),
+		);
+	}
+
 	/**
 	 * Enqueues Font Awesome with conflict detection.
 	 *
@@ -215,7 +400,7 @@ class WP_Read_Tools_Enqueue {
 	 */
 	private static function enqueue_font_awesome() {
 		// Allow themes/plugins to disable Font Awesome loading
-		if ( ! apply_filters( 'wp_read_tools_load_fontawesome', true ) ) {
+		if ( ! apply_filters( 'wp_read_tools_load_fontawesome', (bool) WP_Read_Tools_Settings::get( 'load_fontawesome' ) ) ) {
 			return;
 		}
 
@@ -0,0 +1,609 @@
+<?php
+/**
+ * Pronunciation lexicon for the WP Read Tools plugin.
+ *
+ * This file contains the WP_Read_Tools_Pronunciation class which rewrites
+ * acronyms, abbreviations, brand names, URLs, email addresses, dates,
+ * amounts of money and ordinals into the form the narrator should say.
+ *
+ * @package    WP_Read_Tools
+ * @subpackage WP_Read_Tools/includes
+ * @since      1.2.0
+ * @author     Adalberto H. Vega <contacto@inteldevign.com>
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Pronunciation class for WP Read Tools plugin.
+ *
+ * Lexicon rules map a literal pattern to its spoken form. Site-wide rules
+ * are edited under Settings → Read Tools and each post can add or override
+ * rules in its "Pronunciation" meta box. Built-in normalizers then handle
+ * URLs, emails, ISO dates, currency and ordinals for the locales described
+ * by get_locales().
+ *
+ * The server applies everything to the plain-text speech content and to
+ * each structured segment through the wp_read_tools_speech_content filter.
+ * The lexicon rules are also sent with the content so the script can
+ * apply them to text extracted from the page, which the server never
+ * sees; the normalizers only run here.
+ *
+ * @since      1.2.0
+ * @package    WP_Read_Tools
+ * @subpackage WP_Read_Tools/includes
+ * @author     Adalberto H. Vega <contacto@inteldevign.com>
+ */
+class WP_Read_Tools_Pronunciation {
+
+	/**
+	 * Post meta key of the per-post lexicon.
+	 *
+	 * @since 1.2.0
+	 * @var   string
+	 */
+	const META_KEY = '_wp_read_tools_lexicon';
+
+	/**
+	 * Initialize the speech content filter and the post meta box.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void
+	 */
+	public static function init() {
+		add_filter( 'wp_read_tools_speech_content', array( __CLASS__, 'filter_speech_content' ), 10, 3 );
+		add_action( 'add_meta_boxes', array( __CLASS__, 'add_meta_box' ) );
+		add_action( 'save_post', array( __CLASS__, 'save_meta_box' ) );
+	}
+
+	/**
+	 * Applies the pronunciation rules to a post's speech content.
+	 *
+	 * Hooked to wp_read_tools_speech_content; remove it to turn off the
+	 * lexicon and normalizers for the server-side text.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  string $content Speech content.
+	 * @param  int    $post_id Post ID.
+	 * @param  string $lang    Language of a segment with its own, if any.
+	 * @return string Content with spoken forms.
+	 */
+	public static function filter_speech_content( $content, $post_id, $lang = '' ) {
+		if ( ! $lang ) {
+			$lang = WP_Read_Tools_Ajax::get_post_language( $post_id );
+		}
+		return self::pronounce( $content, self::get_rules( $post_id ), $lang ? $lang : get_locale() );
+	}
+
+	/**
+	 * Returns the lexicon rules of a post.
+	 *
+	 * Post rules replace site-wide rules with the same pattern; an empty
+	 * spoken form keeps the pattern as written.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  int $post_id Post ID, 0 for the site-wide rules only.
+	 * @return array List of array( pattern, spoken form ) pairs.
+	 */
+	public static function get_rules( $post_id = 0 ) {
+		$rules = array();
+		foreach ( (array) WP_Read_Tools_Settings::get( 'lexicon' ) as $rule ) {
+			$rules[ $rule[0] ] = $rule[1];
+		}
+
+		$post_rules = $post_id ? get_post_meta( $post_id, self::META_KEY, true ) : array();
+		foreach ( is_array( $post_rules ) ? $post_rules : array() as $rule ) {
+			$rules[ $rule[0] ] = $rule[1];
+		}
+
+		$pairs = array();
+		foreach ( $rules as $pattern => $spoken ) {
+			$pairs[] = array( (string) $pattern, $spoken );
+		}
+
+		// Allow adding rules in code, e.g. array( 'WooCommerce', 'Woo Commerce' )
+		return array_values( (array) apply_filters( 'wp_read_tools_pronunciation_rules', $pairs, $post_id ) );
+	}
+
+	/**
+	 * Returns the locale data of the built-in normalizers.
+	 *
+	 * Keys are language codes, or full language tags in lower case for
+	 * regional variants (e.g. 'es-mx'), which are tried first. Text in
+	 * languages without data only gets the lexicon.
+	 *
+	 * - dot, at:     Spoken "." and "@" of domains and email addresses
+	 * - months:      Month names for ISO dates (YYYY-MM-DD)
+	 * - date:        Spoken date, with {day}, {month} and {year}
+	 * - currencies:  Singular and plural name per currency symbol
+	 * - ordinal:     Regular expression of an ordinal; group 1 is the number
+	 *                (1-99) and group 2 the suffix
+	 * - ordinals:    Words for units, teens, tens in compounds and exact tens,
+	 *                and the joiner of compounds
+	 * - forms:       Suffixes changing the word endings: array( from, to,
+	 *                whether every word changes or only the last one )
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return array Locale data keyed by language.
+	 */
+	public static function get_locales() {
+		$locales = array(
+			'en' => array(
+				'dot'        => 'dot',
+				'at'         => 'at',
+				'months'     => array( 'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December' ),
+				'date'       => '{month} {day}, {year}',
+				'currencies' => array(
+					'$' => array( 'dollar', 'dollars' ),
+					'€' => array( 'euro', 'euros' ),
+					'£' => array( 'pound', 'pounds' ),
+					'¥' => array( 'yen', 'yen' ),
+				),
+				'ordinal'    => '(\d{1,2})(st|nd|rd|th)',
+				'ordinals'   => array(
+					'units'  => array( 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth' ),
+					'teens'  => array( 'tenth', 'eleventh', 'twelfth', 'thirteenth', 'fourteenth', 'fifteenth', 'sixteenth', 'seventeenth', 'eighteenth', 'nineteenth' ),
+					'tens'   => array( 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety' ),
+					'exact'  => array( 'twentieth', 'thirtieth', 'fortieth', 'fiftieth', 'sixtieth', 'seventieth', 'eightieth', 'ninetieth' ),
+					'joiner' => '-',
+				),
+				'forms'      => array(),
+			),
+			'es' => array(
+				'dot'        => 'punto',
+				'at'         => 'arroba',
+				'months'     => array( 'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre' ),
+				'date'       => '{day} de {month} de {year}',
+				'currencies' => array(
+					'$' => array( 'dólar', 'dólares' ),
+					'€' => array( 'euro', 'euros' ),
+					'£' => array( 'libra', 'libras' ),
+					'¥' => array( 'yen', 'yenes' ),
+				),
+				'ordinal'    => '(\d{1,2})\.?(º|ª|er)',
+				'ordinals'   => array(
+					'units'  => array( 'primero', 'segundo', 'tercero', 'cuarto', 'quinto', 'sexto', 'séptimo', 'octavo', 'noveno' ),
+					'teens'  => array( 'décimo', 'undécimo', 'duodécimo', 'decimotercero', 'decimocuarto', 'decimoquinto', 'decimosexto', 'decimoséptimo', 'decimoctavo', 'decimonoveno' ),
+					'tens'   => array( 'vigésimo', 'trigésimo', 'cuadragésimo', 'quincuagésimo', 'sexagésimo', 'septuagésimo', 'octogésimo', 'nonagésimo' ),
+					'exact'  => array( 'vigésimo', 'trigésimo', 'cuadragésimo', 'quincuagésimo', 'sexagésimo', 'septuagésimo', 'octogésimo', 'nonagésimo' ),
+					'joiner' => ' ',
+				),
+				// 1.ª primera, 1.er primer
+				'forms'      => array(
+					'ª'  => array( 'o', 'a', true ),
+					'er' => array( 'ero', 'er', false ),
+				),
+			),
+		);
+
+		// Allow adding languages or regional variants, e.g. $locales['es-mx'] with '$' read as pesos
+		return apply_filters( 'wp_read_tools_pronunciation_locales', $locales );
+	}
+
+	/**
+	 * Returns a short hash of the site-wide pronunciation settings.
+	 *
+	 * Part of the content cache key and the REST ETag, so changing the
+	 * lexicon or locale data invalidates cached speech content.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return string Hash.
+	 */
+	public static function get_version() {
+		return substr( md5( wp_json_encode( array( self::get_rules(), self::get_locales() ) ) ), 0, 8 );
+	}
+
+	/**
+	 * Rewrites text into its spoken form.
+	 *
+	 * Emails and URLs are matched first, then lexicon rules, dates, amounts
+	 * and ordinals, each only where nothing matched before. Matches must not
+	 * be preceded or followed by a letter or digit.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  string $text  Text to rewrite.
+	 * @param  array  $rules Lexicon rules from get_rules().
+	 * @param  string $lang  Language tag of the text (e.g. "es-MX").
+	 * @return string Text with spoken forms.
+	 */
+	public static function pronounce( $text, $rules, $lang ) {
+		$text = (string) $text;
+		if ( '' === $text ) {
+			return $text;
+		}
+
+		$matches = array();
+		$locale  = self::get_locale( $lang );
+
+		// Lexicon rules don't apply inside URLs and email addresses
+		if ( $locale ) {
+			self::collect_matches(
+				$matches,
+				$text,
+				'[A-Za-z0-9_.+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+',
+				function ( $match ) use ( $locale ) {
+					$parts = explode( '@', $match[0], 2 );
+					return self::speak_domain( $parts[0], $locale ) . ' ' . $locale['at'] . ' ' . self::speak_domain( $parts[1], $locale );
+				}
+			);
+			self::collect_matches(
+				$matches,
+				$text,
+				'(?:https?:\/\/|www\.)[^\s<>"\']*[^\s<>"\'.,;:!?)\]]',
+				function ( $match ) use ( $locale ) {
+					$host = preg_replace( '/^(?:https?:\/\/)?(?:www\.)?([^\/?#:]+).*$/u', '$1', $match[0] );
+					return self::speak_domain( $host, $locale );
+				}
+			);
+		}
+
+		$patterns = array();
+		foreach ( $rules as $rule ) {
+			if ( '' !== $rule[0] ) {
+				$patterns[ $rule[0] ] = '' === $rule[1] ? $rule[0] : $rule[1];
+			}
+		}
+		if ( ! empty( $patterns ) ) {
+			// Longest first so "Sr." doesn't shadow "Sra."
+			$keys = array_keys( $patterns );
+			usort(
+				$keys,
+				function ( $a, $b ) {
+					return strlen( $b ) - strlen( $a );
+				}
+			);
+			$quoted = array_map(
+				function ( $pattern ) {
+					return preg_quote( $pattern, '/' );
+				},
+				$keys
+			);
+			self::collect_matches(
+				$matches,
+				$text,
+				implode( '|', $quoted ),
+				function ( $match ) use ( $patterns ) {
+					return $patterns[ $match[0] ];
+				}
+			);
+		}
+
+		if ( $locale ) {
+			self::collect_matches(
+				$matches,
+				$text,
+				'(\d{4})-(\d{2})-(\d{2})',
+				function ( $match ) use ( $locale ) {
+					$month = (int) $match[2];
+					$day   = (int) $match[3];
+					if ( $month < 1 || $month > 12 || $day < 1 || $day > 31 ) {
+						return null;
+					}
+					return str_replace(
+						array( '{day}', '{month}', '{year}' ),
+						array( $day, $locale['months'][ $month - 1 ], $match[1] ),
+						$locale['date']
+					);
+				}
+			);
+			$symbols = implode( '|', array_map( 'preg_quote', array_keys( $locale['currencies'] ) ) );
+			if ( '' !== $symbols ) {
+				self::collect_matches(
+					$matches,
+					$text,
+					'(' . $symbols . ') ?(\d+(?:[.,]\d+)*)|(\d+(?:[.,]\d+)*) ?(' . $symbols . ')',
+					function ( $match ) use ( $locale ) {
+						$symbol = isset( $match[4] ) && '' !== $match[4] ? $match[4] : $match[1];
+						$amount = isset( $match[3] ) && '' !== $match[3] ? $match[3] : $match[2];
+						$names  = $locale['currencies'][ $symbol ];
+						return $amount . ' ' . ( '1' === $amount ? $names[0] : $names[1] );
+					}
+				);
+			}
+			self::collect_matches(
+				$matches,
+				$text,
+				$locale['ordinal'],
+				function ( $match ) use ( $locale ) {
+					return self::speak_ordinal( (int) $match[1], $match[2], $locale );
+				}
+			);
+		}
+
+		if ( empty( $matches ) ) {
+			return $text;
+		}
+
+		ksort( $matches );
+		$output = '';
+		$cursor = 0;
+		foreach ( $matches as $start => $match ) {
+			$output .= substr( $text, $cursor, $start - $cursor ) . $match[1];
+			$cursor  = $match[0];
+		}
+
+		return $output . substr( $text, $cursor );
+	}
+
+	/**
+	 * Adds the matches of a pattern that don't overlap earlier ones.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  array    $matches  Accepted matches: array( end, spoken form ) keyed by start (byte offsets).
+	 * @param  string   $text     Text being rewritten.
+	 * @param  string   $regex    Pattern to match, without delimiters; '/' must be escaped.
+	 * @param  callable $callback Returns the spoken form of a match, or null to skip it.
+	 * @return void
+	 */
+	private static function collect_matches( &$matches, $text, $regex, $callback ) {
+		// Whole words only
+		$regex = '/(?<![\p{L}\p{N}])(?:' . $regex . ')(?![\p{L}\p{N}])/u';
+		if ( ! preg_match_all( $regex, $text, $found, PREG_SET_ORDER | PREG_OFFSET_CAPTURE ) ) {
+			return;
+		}
+
+		foreach ( $found as $groups ) {
+			$start = $groups[0][1];
+			$end   = $start + strlen( $groups[0][0] );
+
+			foreach ( $matches as $other_start => $other ) {
+				if ( $start < $other[0] && $end > $other_start ) {
+					continue 2;
+				}
+			}
+
+			$spoken = call_user_func(
+				$callback,
+				array_map(
+					function ( $group ) {
+						return $group[0];
+					},
+					$groups
+				)
+			);
+			if ( null !== $spoken ) {
+				$matches[ $start ] = array( $end, $spoken );
+			}
+		}
+	}
+
+	/**
+	 * Returns the locale data for a language tag.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  string $lang Language tag (e.g. "es-MX" or "es_MX").
+	 * @return array|null Locale data, or null if the language has none.
+	 */
+	private static function get_locale( $lang ) {
+		$locales = self::get_locales();
+		$tag     = strtolower( str_replace( '_', '-', (string) $lang ) );
+		$code    = strtok( $tag, '-' );
+
+		if ( isset( $locales[ $tag ] ) ) {
+			return $locales[ $tag ];
+		}
+		return false !== $code && isset( $locales[ $code ] ) ? $locales[ $code ] : null;
+	}
+
+	/**
+	 * Speaks a domain or the local part of an email address.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  string $name   Domain or local part.
+	 * @param  array  $locale Locale data.
+	 * @return string Name with its dots spoken.
+	 */
+	private static function speak_domain( $name, $locale ) {
+		return trim( str_replace( '.', ' ' . $locale['dot'] . ' ', $name ) );
+	}
+
+	/**
+	 * Speaks an ordinal number.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  int    $number Number from 1 to 99.
+	 * @param  string $suffix Suffix written after the number.
+	 * @param  array  $locale Locale data.
+	 * @return string|null Ordinal words, or null if out of range.
+	 */
+	private static function speak_ordinal( $number, $suffix, $locale ) {
+		$words = $locale['ordinals'];
+
+		if ( $number < 1 || $number > 99 ) {
+			return null;
+		} elseif ( $number < 10 ) {
+			$parts = array( $words['units'][ $number - 1 ] );
+		} elseif ( $number < 20 ) {
+			$parts = array( $words['teens'][ $number - 10 ] );
+		} elseif ( 0 === $number % 10 ) {
+			$parts = array( $words['exact'][ $number / 10 - 2 ] );
+		} else {
+			$parts = array( $words['tens'][ intdiv( $number, 10 ) - 2 ], $words['units'][ $number % 10 - 1 ] );
+		}
+
+		if ( isset( $locale['forms'][ $suffix ] ) ) {
+			list( $from, $to, $every ) = $locale['forms'][ $suffix ];
+			$pattern                   = '/' . preg_quote( $from, '/' ) . '$/u';
+			foreach ( $parts as $i => $part ) {
+				if ( $every || count( $parts ) - 1 === $i ) {
+					$parts[ $i ] = preg_replace( $pattern, $to, $part );
+				}
+			}
+		}
+
+		return implode( $words['joiner'], $parts );
+	}
+
+	/**
+	 * Parses lexicon rules written one per line as "pattern = spoken form".
+	 *
+	 * Lines without "=" and lines starting with "#" are ignored.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  string $text Rules text.
+	 * @return array List of array( pattern, spoken form ) pairs.
+	 */
+	public static function parse_rules( $text ) {
+		$rules = array();
+
+		foreach ( preg_split( '/\r\n|\r|\n/', (string) $text ) as $line ) {
+			$parts = explode( '=', $line, 2 );
+			if ( count( $parts ) < 2 || 0 === strpos( ltrim( $line ), '#' ) ) {
+				continue;
+			}
+
+			$rules[] = $parts;
+		}
+
+		return self::sanitize_rules( $rules );
+	}
+
+	/**
+	 * Sanitizes lexicon rules, dropping malformed pairs and empty patterns.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  array $rules List of array( pattern, spoken form ) pairs.
+	 * @return array Sanitized pairs.
+	 */
+	public static function sanitize_rules( $rules ) {
+		$sanitized = array();
+
+		foreach ( (array) $rules as $rule ) {
+			if ( ! is_array( $rule ) || ! isset( $rule[0], $rule[1] ) || ! is_scalar( $rule[0] ) || ! is_scalar( $rule[1] ) ) {
+				continue;
+			}
+
+			$pattern = sanitize_text_field( $rule[0] );
+			if ( '' !== $pattern ) {
+				$sanitized[] = array( $pattern, sanitize_text_field( $rule[1] ) );
+			}
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Formats lexicon rules as editable text, one per line.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  array $rules List of array( pattern, spoken form ) pairs.
+	 * @return string Rules text.
+	 */
+	public static function format_rules( $rules ) {
+		$lines = array();
+		foreach ( (array) $rules as $rule ) {
+			$lines[] = $rule[0] . ' = ' . $rule[1];
+		}
+		return implode( "\n", $lines );
+	}
+
+	/**
+	 * Adds the "Pronunciation" meta box to viewable post types.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void
+	 */
+	public static function add_meta_box() {
+		add_meta_box(
+			'wp-read-tools-pronunciation',
+			__( 'Pronunciation', 'wp-read-tools' ),
+			array( __CLASS__, 'render_meta_box' ),
+			array_keys( get_post_types( array( 'public' => true ) ) ),
+			'side',
+			'low'
+		);
+	}
+
+	/**
+	 * Renders the per-post lexicon field.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  WP_Post $post Post being edited.
+	 * @return void
+	 */
+	public static function render_meta_box( $post ) {
+		wp_nonce_field( 'wp_read_tools_lexicon', 'wp_read_tools_lexicon_nonce' );
+		?>
+		<p>
+			<label for="wp-read-tools-lexicon"><?php esc_html_e( 'How the narrator says words in this post, one rule per line:', 'wp-read-tools' ); ?></label>
+		</p>
+		<textarea id="wp-read-tools-lexicon" name="wp_read_tools_lexicon" rows="5" class="widefat code" placeholder="WP = WordPress"><?php echo esc_textarea( self::format_rules( get_post_meta( $post->ID, self::META_KEY, true ) ) ); ?></textarea>
+		<p class="description"><?php esc_html_e( 'Replaces site-wide rules with the same pattern. Leave the spoken form empty to read a pattern as written.', 'wp-read-tools' ); ?></p>
+		<?php
+	}
+
+	/**
+	 * Saves the per-post lexicon.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  int $post_id Post ID.
+	 * @return void
+	 */
+	public static function save_meta_box( $post_id ) {
+		if ( ! isset( $_POST['wp_read_tools_lexicon_nonce'], $_POST['wp_read_tools_lexicon'] )
+			|| ! wp_verify_nonce( sanitize_text_field( wp_unslash( $_POST['wp_read_tools_lexicon_nonce'] ) ), 'wp_read_tools_lexicon' )
+			|| ( defined( 'DOING_AUTOSAVE' ) && DOING_AUTOSAVE )
+			|| wp_is_post_revision( $post_id )
+			|| ! current_user_can( 'edit_post', $post_id ) ) {
+			return;
+		}
+
+		$rules = self::parse_rules( wp_unslash( $_POST['wp_read_tools_lexicon'] ) );
+		if ( empty( $rules ) ) {
+			delete_post_meta( $post_id, self::META_KEY );
+		} else {
+			update_post_meta( $post_id, self::META_KEY, $rules );
+		}
+	}
+}
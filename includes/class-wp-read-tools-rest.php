@@ -0,0 +1,246 @@
+<?php
+/**
+ * REST API endpoint for the WP Read Tools plugin.
+ *
+ * This file contains the WP_Read_Tools_Rest class which serves the processed
+ * speech content of a post through a cacheable GET route, as an alternative
+ * to the admin-ajax request handled by WP_Read_Tools_Ajax.
+ *
+ * @package    WP_Read_Tools
+ * @subpackage WP_Read_Tools/includes
+ * @since      1.2.0
+ * @author     Adalberto H. Vega <contacto@inteldevign.com>
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * REST API class for WP Read Tools plugin.
+ *
+ * Registers GET /wp-read-tools/v1/posts/{id}, which returns the same speech
+ * payload as the admin-ajax action plus reading-time metadata. Responses
+ * carry an ETag derived from the post modified time and the text processing
+ * settings, so browsers and CDNs can cache them and revalidate with a 304
+ * response.
+ *
+ * @since      1.2.0
+ * @package    WP_Read_Tools
+ * @subpackage WP_Read_Tools/includes
+ * @author     Adalberto H. Vega <contacto@inteldevign.com>
+ */
+class WP_Read_Tools_Rest {
+
+	/**
+	 * REST namespace of the plugin's routes.
+	 *
+	 * @since 1.2.0
+	 * @var   string
+	 */
+	const NAMESPACE_V1 = 'wp-read-tools/v1';
+
+	/**
+	 * Initialize the REST API routes.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void
+	 */
+	public static function init() {
+		add_action( 'rest_api_init', array( __CLASS__, 'register_routes' ) );
+	}
+
+	/**
+	 * Registers the plugin's REST routes.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void
+	 */
+	public static function register_routes() {
+		register_rest_route(
+			self::NAMESPACE_V1,
+			'/posts/(?P<id>\d+)',
+			array(
+				'methods'             => WP_REST_Server::READABLE,
+				'callback'            => array( __CLASS__, 'get_post_speech' ),
+				'permission_callback' => array( __CLASS__, 'check_read_permission' ),
+				'args'                => array(
+					'id'  => array(
+						'description' => __( 'Post ID.', 'wp-read-tools' ),
+						'type'        => 'integer',
+						'minimum'     => 1,
+						'required'    => true,
+					),
+					'wpm' => array(
+						'description' => __( 'Reading speed in words per minute for the reading time.', 'wp-read-tools' ),
+						'type'        => 'integer',
+						'minimum'     => 1,
+						'default'     => (int) WP_Read_Tools_Settings::get( 'wpm' ),
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Checks whether the current visitor may read a post's speech content.
+	 *
+	 * Published posts of viewable post types are public. Other statuses
+	 * (private, draft, pending...) need the read_post capability, and
+	 * password-protected posts need the password cookie set when the visitor
+	 * entered the password on the post.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  WP_REST_Request $request Request object.
+	 * @return true|WP_Error True if allowed, error otherwise.
+	 */
+	public static function check_read_permission( $request ) {
+		$post = get_post( (int) $request['id'] );
+
+		if ( ! $post || ! is_post_type_viewable( $post->post_type ) ) {
+			return new WP_Error( 'rest_post_invalid_id', __( 'Error: Post not found or not accessible.', 'wp-read-tools' ), array( 'status' => 404 ) );
+		}
+
+		if ( 'publish' !== $post->post_status && ! current_user_can( 'read_post', $post->ID ) ) {
+			return new WP_Error( 'rest_forbidden', __( 'Error: Post not found or not accessible.', 'wp-read-tools' ), array( 'status' => rest_authorization_required_code() ) );
+		}
+
+		if ( post_password_required( $post ) ) {
+			return new WP_Error( 'rest_post_password_required', __( 'This post is password protected.', 'wp-read-tools' ), array( 'status' => 403 ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Returns the speech payload and reading time of a post.
+	 *
+	 * Applies the same rate limiting as the AJAX endpoint and answers
+	 * conditional requests (If-None-Match) with 304 Not Modified while the
+	 * post and its text processing are unchanged.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  WP_REST_Request $request Request object.
+	 * @return WP_REST_Response|WP_Error Response object or error.
+	 */
+	public static function get_post_speech( $request ) {
+		if ( ! WP_Read_Tools_Ajax::check_rate_limit() ) {
+			wp_read_tools_log( 'REST request blocked due to rate limiting', 'warning' );
+
+			$retry_after = WP_Read_Tools_Ajax::get_rate_limit_retry_after();
+			$response    = new WP_REST_Response(
+				array(
+					'code'    => 'rate_limit_exceeded',
+					'message' => __( 'Too many requests. Please try again later.', 'wp-read-tools' ),
+					'data'    => array(
+						'status'      => 429,
+						'retry_after' => $retry_after,
+					),
+				),
+				429 // Too Many Requests
+			);
+			$response->header( 'Retry-After', $retry_after );
+			return $response;
+		}
+
+		$post_id  = (int) $request['id'];
+		$wpm      = (int) apply_filters( 'wp_read_tools_wpm', (int) $request['wpm'], $post_id );
+		$modified = (int) get_post_modified_time( 'U', true, $post_id );
+		$headers  = self::get_cache_headers( $post_id, $modified, $wpm );
+
+		if ( self::is_not_modified( $request, $headers['ETag'] ) ) {
+			$response = new WP_REST_Response( null, 304 );
+			$response->set_headers( $headers );
+			return $response;
+		}
+
+		$payload = WP_Read_Tools_Ajax::get_speech_payload( $post_id );
+		if ( is_wp_error( $payload ) ) {
+			return $payload;
+		}
+
+		// Public GET requests must not write; the shortcode saves the page builder detection
+		$reading_time = WP_Read_Tools_Shortcode::get_reading_time( $post_id, $wpm, '', true );
+
+		$response = new WP_REST_Response(
+			array_merge(
+				array(
+					'id'       => $post_id,
+					'modified' => gmdate( 'c', $modified ),
+				),
+				$payload,
+				array( 'reading_time' => $reading_time )
+			)
+		);
+		$response->set_headers( $headers );
+
+		return $response;
+	}
+
+	/**
+	 * Builds the HTTP caching headers of a post's response.
+	 *
+	 * Public posts may be stored by shared caches for the content cache
+	 * duration (wp_read_tools_cache_duration filter); private and
+	 * password-protected posts are only revalidated by the browser.
+	 *
+	 * There is no Last-Modified header: lexicon and plugin updates change
+	 * the response without changing the post modified time, so only the
+	 * entity tag tells whether a copy is current.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  int $post_id  Post ID.
+	 * @param  int $modified Post modified time (GMT Unix timestamp).
+	 * @param  int $wpm      Reading speed the reading time is based on.
+	 * @return array Header values keyed by header name.
+	 */
+	private static function get_cache_headers( $post_id, $modified, $wpm ) {
+		$post      = get_post( $post_id );
+		$is_public = 'publish' === $post->post_status && '' === $post->post_password;
+		$max_age   = (int) apply_filters( 'wp_read_tools_cache_duration', (int) WP_Read_Tools_Settings::get( 'cache_duration' ) );
+
+		return array(
+			// The plugin version and lexicon are part of the tag so changes to text processing invalidate it
+			'ETag'          => '"' . md5( $post_id . '|' . $modified . '|' . $wpm . '|' . WP_READ_TOOLS_VERSION . '|' . WP_Read_Tools_Pronunciation::get_version() ) . '"',
+			'Cache-Control' => $is_public && $max_age > 0 ? 'public, max-age=' . $max_age : 'private, no-cache',
+		);
+	}
+
+	/**
+	 * Checks the If-None-Match request header against the current version.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  WP_REST_Request $request Request object.
+	 * @param  string          $etag    Current entity tag.
+	 * @return bool True when the client's copy is still current.
+	 */
+	private static function is_not_modified( $request, $etag ) {
+		$if_none_match = $request->get_header( 'if_none_match' );
+		if ( ! $if_none_match ) {
+			return false;
+		}
+
+		// Weak tags match their strong form
+		$tags = array_map( 'trim', explode( ',', $if_none_match ) );
+		return in_array( '*', $tags, true ) || in_array( $etag, $tags, true ) || in_array( 'W/' . $etag, $tags, true );
+	}
+}
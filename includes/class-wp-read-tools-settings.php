@@ -0,0 +1,721 @@
+<?php
+/**
+ * Settings page for the WP Read Tools plugin.
+ *
+ * This file contains the WP_Read_Tools_Settings class which registers the
+ * Settings → Read Tools page and provides the saved values, with their
+ * defaults, to the rest of the plugin.
+ *
+ * @package    WP_Read_Tools
+ * @subpackage WP_Read_Tools/includes
+ * @since      1.2.0
+ * @author     Adalberto H. Vega <contacto@inteldevign.com>
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Settings class for WP Read Tools plugin.
+ *
+ * All settings are stored in one option. The values replace the plugin's
+ * hardcoded defaults; the existing filters receive them as their default
+ * value, so code hooked to a filter still takes precedence.
+ *
+ * @since      1.2.0
+ * @package    WP_Read_Tools
+ * @subpackage WP_Read_Tools/includes
+ * @author     Adalberto H. Vega <contacto@inteldevign.com>
+ */
+class WP_Read_Tools_Settings {
+
+	/**
+	 * Name of the option holding the settings.
+	 *
+	 * @since 1.2.0
+	 * @var   string
+	 */
+	const OPTION = 'wp_read_tools_settings';
+
+	/**
+	 * Slug of the settings page.
+	 *
+	 * @since 1.2.0
+	 * @var   string
+	 */
+	const PAGE = 'wp-read-tools';
+
+	/**
+	 * Initialize the settings page hooks.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void
+	 */
+	public static function init() {
+		add_action( 'admin_menu', array( __CLASS__, 'add_settings_page' ) );
+		add_action( 'admin_init', array( __CLASS__, 'register_settings' ) );
+		add_filter( 'plugin_action_links_' . WP_READ_TOOLS_BASENAME, array( __CLASS__, 'add_action_link' ) );
+	}
+
+	/**
+	 * Returns the default value of every setting.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return array Default values keyed by setting name.
+	 */
+	public static function get_defaults() {
+		return array(
+			// Reading time and shortcode/block defaults
+			'wpm'                     => 180,
+			'read_aloud'              => false,
+			'link_text'               => '',
+			'icon_class'              => 'fas fa-headphones',
+			'highlight'               => true,
+			'player'                  => false,
+			'selection'               => true,
+			'delivery'                => 'lazy',
+			'rate'                    => 1,
+			'voice'                   => '',
+			// Bilingual es-US voices handle English terms in Spanish posts, then Latin American Spanish.
+			'voice_preferences'       => array(
+				'es' => array(
+					array( 'es-US' ),
+					array( 'es-MX', 'es-CO', 'es-CR', 'es-GT', 'es-HN', 'es-NI', 'es-PA', 'es-SV', 'es-DO', 'es-AR', 'es-CL', 'es-PE', 'es-419' ),
+				),
+			),
+			'lexicon'                 => array(),
+			'include_selectors'       => array(),
+			'exclude_selectors'       => array(),
+			// Performance and security
+			'rate_limiting'           => true,
+			'rate_limit_max_requests' => 60,
+			'rate_limit_time_window'  => 300,
+			'cache_duration'          => HOUR_IN_SECONDS,
+			'load_fontawesome'        => true,
+			'analytics'               => false,
+			'debug'                   => false,
+		);
+	}
+
+	/**
+	 * Returns a setting, or its default when it was never saved.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  string $key Setting name, see get_defaults().
+	 * @return mixed Setting value, null for unknown settings.
+	 */
+	public static function get( $key ) {
+		$options = get_option( self::OPTION, array() );
+		if ( is_array( $options ) && array_key_exists( $key, $options ) ) {
+			return $options[ $key ];
+		}
+
+		$defaults = self::get_defaults();
+		return isset( $defaults[ $key ] ) ? $defaults[ $key ] : null;
+	}
+
+	/**
+	 * Returns the input limits of a numeric setting.
+	 *
+	 * Lets other inputs of the same value, such as the block controls,
+	 * accept the same range as the settings page.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  string $key Setting name, see get_defaults().
+	 * @return array 'min', 'max' and 'step' where the field sets them.
+	 */
+	public static function get_limits( $key ) {
+		$fields = self::get_fields();
+		return isset( $fields[ $key ]['attrs'] ) ? $fields[ $key ]['attrs'] : array();
+	}
+
+	/**
+	 * Returns the fields of the settings page.
+	 *
+	 * 'filter' names the filter that can override a setting; the page
+	 * points it out when something is hooked to it.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @return array Field definitions keyed by setting name.
+	 */
+	private static function get_fields() {
+		return array(
+			'wpm'                     => array(
+				'section' => 'defaults',
+				'label'   => __( 'Reading speed', 'wp-read-tools' ),
+				'type'    => 'number',
+				'attrs'   => array( 'min' => 1, 'max' => 1000 ),
+				'suffix'  => __( 'words per minute', 'wp-read-tools' ),
+				'filter'  => 'wp_read_tools_wpm',
+			),
+			'read_aloud'              => array(
+				'section' => 'defaults',
+				'label'   => __( 'Read aloud', 'wp-read-tools' ),
+				'type'    => 'checkbox',
+				'text'    => __( 'Show the read-aloud link unless read-aloud="no" is set', 'wp-read-tools' ),
+			),
+			'link_text'               => array(
+				'section'     => 'defaults',
+				'label'       => __( 'Link text', 'wp-read-tools' ),
+				'type'        => 'text',
+				'placeholder' => __( 'Listen', 'wp-read-tools' ),
+			),
+			'icon_class'              => array(
+				'section'     => 'defaults',
+				'label'       => __( 'Icon class', 'wp-read-tools' ),
+				'type'        => 'text',
+				'description' => __( 'Font Awesome classes of the read-aloud link icon.', 'wp-read-tools' ),
+			),
+			'highlight'               => array(
+				'section' => 'defaults',
+				'label'   => __( 'Highlighting', 'wp-read-tools' ),
+				'type'    => 'checkbox',
+				'text'    => __( 'Highlight the sentence and word being read', 'wp-read-tools' ),
+			),
+			'player'                  => array(
+				'section' => 'defaults',
+				'label'   => __( 'Mini-player', 'wp-read-tools' ),
+				'type'    => 'checkbox',
+				'text'    => __( 'Show the sticky mini-player while reading aloud', 'wp-read-tools' ),
+			),
+			'selection'               => array(
+				'section' => 'defaults',
+				'label'   => __( 'Partial reading', 'wp-read-tools' ),
+				'type'    => 'checkbox',
+				'text'    => __( 'Offer "Listen" for selected text and "Read from here" on paragraphs', 'wp-read-tools' ),
+				'filter'  => 'wp_read_tools_enable_selection',
+			),
+			'delivery'                => array(
+				'section'     => 'defaults',
+				'label'       => __( 'Content delivery', 'wp-read-tools' ),
+				'type'        => 'select',
+				'options'     => array(
+					'lazy'     => __( 'Fetch on click', 'wp-read-tools' ),
+					'prefetch' => __( 'Prefetch when the link is hovered, focused or scrolled into view', 'wp-read-tools' ),
+					'inline'   => __( 'Inline in the page', 'wp-read-tools' ),
+				),
+				'description' => __( 'When the speech text is loaded. Prefetching and inlining remove the wait before the first word; inlining adds the text of the post to the page HTML.', 'wp-read-tools' ),
+				'filter'      => 'wp_read_tools_delivery',
+			),
+			'rate'                    => array(
+				'section' => 'defaults',
+				'label'   => __( 'Speech rate', 'wp-read-tools' ),
+				'type'    => 'number',
+				'attrs'   => array( 'min' => 0.5, 'max' => 2, 'step' => 0.05 ),
+				'suffix'  => '×',
+			),
+			'voice'                   => array(
+				'section'     => 'defaults',
+				'label'       => __( 'Voice', 'wp-read-tools' ),
+				'type'        => 'text',
+				'description' => __( 'Voice name or part of it, e.g. "Sabina". Leave empty for automatic selection.', 'wp-read-tools' ),
+			),
+			'voice_preferences'       => array(
+				'section'     => 'content',
+				'label'       => __( 'Voice preferences', 'wp-read-tools' ),
+				'type'        => 'textarea',
+				'description' => __( 'One language per line: the language code, a colon, then groups of language tags separated by "|", most preferred first, e.g. "en: en-GB | en-IE, en-AU".', 'wp-read-tools' ),
+				'filter'      => 'wp_read_tools_voice_preferences',
+			),
+			'lexicon'                 => array(
+				'section'     => 'content',
+				'label'       => __( 'Pronunciation', 'wp-read-tools' ),
+				'type'        => 'textarea',
+				'description' => __( 'How the narrator says words, one rule per line as "pattern = spoken form", e.g. "WP = WordPress" or "Ud. = usted". Patterns match whole words and are case-sensitive. Posts can add their own rules in the Pronunciation box of the editor.', 'wp-read-tools' ),
+				'filter'      => 'wp_read_tools_pronunciation_rules',
+			),
+			'include_selectors'       => array(
+				'section'     => 'content',
+				'label'       => __( 'Include selectors', 'wp-read-tools' ),
+				'type'        => 'textarea',
+				'description' => __( 'CSS selectors of the content to read when it is extracted from the page, one per line. Leave empty for automatic detection.', 'wp-read-tools' ),
+				'filter'      => 'wp_read_tools_content_selectors',
+			),
+			'exclude_selectors'       => array(
+				'section'     => 'content',
+				'label'       => __( 'Exclude selectors', 'wp-read-tools' ),
+				'type'        => 'textarea',
+				'description' => __( 'CSS selectors of elements never read or highlighted, one per line.', 'wp-read-tools' ),
+				'filter'      => 'wp_read_tools_content_selectors',
+			),
+			'rate_limiting'           => array(
+				'section' => 'advanced',
+				'label'   => __( 'Rate limiting', 'wp-read-tools' ),
+				'type'    => 'checkbox',
+				'text'    => __( 'Limit the requests each visitor can make', 'wp-read-tools' ),
+				'filter'  => 'wp_read_tools_enable_rate_limiting',
+			),
+			'rate_limit_max_requests' => array(
+				'section' => 'advanced',
+				'label'   => __( 'Maximum requests', 'wp-read-tools' ),
+				'type'    => 'number',
+				'attrs'   => array( 'min' => 1 ),
+				'suffix'  => __( 'per visitor and time window', 'wp-read-tools' ),
+				'filter'  => 'wp_read_tools_rate_limit_max_requests',
+			),
+			'rate_limit_time_window'  => array(
+				'section' => 'advanced',
+				'label'   => __( 'Time window', 'wp-read-tools' ),
+				'type'    => 'number',
+				'attrs'   => array( 'min' => 1 ),
+				'suffix'  => __( 'seconds', 'wp-read-tools' ),
+				'filter'  => 'wp_read_tools_rate_limit_time_window',
+			),
+			'cache_duration'          => array(
+				'section'     => 'advanced',
+				'label'       => __( 'Cache duration', 'wp-read-tools' ),
+				'type'        => 'number',
+				'attrs'       => array( 'min' => 0 ),
+				'suffix'      => __( 'seconds', 'wp-read-tools' ),
+				'description' => __( 'How long processed speech content is cached, on the server and by browsers and CDNs for the REST API. 0 turns caching off.', 'wp-read-tools' ),
+				'filter'      => 'wp_read_tools_cache_duration',
+			),
+			'load_fontawesome'        => array(
+				'section' => 'advanced',
+				'label'   => __( 'Font Awesome', 'wp-read-tools' ),
+				'type'    => 'checkbox',
+				'text'    => __( 'Load Font Awesome when the theme does not', 'wp-read-tools' ),
+				'filter'  => 'wp_read_tools_load_fontawesome',
+			),
+			'analytics'               => array(
+				'section'     => 'advanced',
+				'label'       => __( 'Listening analytics', 'wp-read-tools' ),
+				'type'        => 'checkbox',
+				'text'        => __( 'Collect anonymous listening events for Tools → Listening Report', 'wp-read-tools' ),
+				'description' => __( 'Visitors with Do Not Track or Global Privacy Control turned on are never counted.', 'wp-read-tools' ),
+				'filter'      => 'wp_read_tools_enable_analytics',
+			),
+			'debug'                   => array(
+				'section'     => 'advanced',
+				'label'       => __( 'Debug log', 'wp-read-tools' ),
+				'type'        => 'checkbox',
+				'text'        => __( 'Write debug messages to the WordPress debug log', 'wp-read-tools' ),
+				'description' => __( 'Requires WP_DEBUG_LOG. Always on when WP_READ_TOOLS_DEBUG is true.', 'wp-read-tools' ),
+			),
+		);
+	}
+
+	/**
+	 * Adds the Settings → Read Tools page.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void
+	 */
+	public static function add_settings_page() {
+		add_options_page(
+			__( 'Read Tools Settings', 'wp-read-tools' ),
+			__( 'Read Tools', 'wp-read-tools' ),
+			'manage_options',
+			self::PAGE,
+			array( __CLASS__, 'render_settings_page' )
+		);
+	}
+
+	/**
+	 * Adds a Settings link to the plugin's row on the Plugins screen.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  array $links Plugin action links.
+	 * @return array Links with the settings page first.
+	 */
+	public static function add_action_link( $links ) {
+		array_unshift(
+			$links,
+			'<a href="' . esc_url( admin_url( 'options-general.php?page=' . self::PAGE ) ) . '">' . esc_html__( 'Settings', 'wp-read-tools' ) . '</a>'
+		);
+		return $links;
+	}
+
+	/**
+	 * Registers the option, sections and fields with the Settings API.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void
+	 */
+	public static function register_settings() {
+		register_setting(
+			self::PAGE,
+			self::OPTION,
+			array(
+				'type'              => 'array',
+				'sanitize_callback' => array( __CLASS__, 'sanitize_settings' ),
+				'default'           => self::get_defaults(),
+			)
+		);
+
+		add_settings_section( 'defaults', __( 'Reading time and defaults', 'wp-read-tools' ), array( __CLASS__, 'render_defaults_section' ), self::PAGE );
+		add_settings_section( 'content', __( 'Voices, pronunciation and content', 'wp-read-tools' ), '__return_false', self::PAGE );
+		add_settings_section( 'advanced', __( 'Performance and privacy', 'wp-read-tools' ), '__return_false', self::PAGE );
+
+		foreach ( self::get_fields() as $key => $field ) {
+			add_settings_field(
+				'wp-read-tools-' . $key,
+				$field['label'],
+				array( __CLASS__, 'render_field' ),
+				self::PAGE,
+				$field['section'],
+				array(
+					'key'       => $key,
+					'field'     => $field,
+					'label_for' => 'checkbox' === $field['type'] ? null : 'wp-read-tools-' . $key,
+				)
+			);
+		}
+	}
+
+	/**
+	 * Renders the introduction of the defaults section.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void
+	 */
+	public static function render_defaults_section() {
+		echo '<p>' . esc_html__( 'Used by the [readtime] shortcode and the Reading Time block when a post does not set its own value.', 'wp-read-tools' ) . '</p>';
+	}
+
+	/**
+	 * Renders the settings page.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return void
+	 */
+	public static function render_settings_page() {
+		if ( ! current_user_can( 'manage_options' ) ) {
+			return;
+		}
+		?>
+		<div class="wrap">
+			<h1><?php echo esc_html( get_admin_page_title() ); ?></h1>
+			<form action="options.php" method="post">
+				<?php
+				settings_fields( self::PAGE );
+				do_settings_sections( self::PAGE );
+				submit_button();
+				?>
+			</form>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Renders one settings field.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  array $args {
+	 *     @type string $key   Setting name.
+	 *     @type array  $field Field definition from get_fields().
+	 * }
+	 * @return void
+	 */
+	public static function render_field( $args ) {
+		$key   = $args['key'];
+		$field = $args['field'];
+		$id    = 'wp-read-tools-' . $key;
+		$name  = self::OPTION . '[' . $key . ']';
+		$value = self::get( $key );
+
+		switch ( $field['type'] ) {
+			case 'checkbox':
+				printf(
+					'<label for="%1$s"><input type="checkbox" id="%1$s" name="%2$s" value="1" %3$s> %4$s</label>',
+					esc_attr( $id ),
+					esc_attr( $name ),
+					checked( (bool) $value, true, false ),
+					esc_html( $field['text'] )
+				);
+				break;
+
+			case 'select':
+				printf( '<select id="%1$s" name="%2$s">', esc_attr( $id ), esc_attr( $name ) );
+				foreach ( $field['options'] as $option => $label ) {
+					printf(
+						'<option value="%1$s" %2$s>%3$s</option>',
+						esc_attr( $option ),
+						selected( $value, $option, false ),
+						esc_html( $label )
+					);
+				}
+				echo '</select>';
+				break;
+
+			case 'textarea':
+				printf(
+					'<textarea id="%1$s" name="%2$s" rows="4" class="large-text code">%3$s</textarea>',
+					esc_attr( $id ),
+					esc_attr( $name ),
+					esc_textarea( self::format_textarea_value( $key, $value ) )
+				);
+				break;
+
+			default:
+				$attrs = '';
+				foreach ( isset( $field['attrs'] ) ? $field['attrs'] : array() as $attr => $attr_value ) {
+					$attrs .= ' ' . $attr . '="' . esc_attr( $attr_value ) . '"';
+				}
+				printf(
+					'<input type="%1$s" id="%2$s" name="%3$s" value="%4$s" class="%5$s"%6$s%7$s>',
+					esc_attr( $field['type'] ),
+					esc_attr( $id ),
+					esc_attr( $name ),
+					esc_attr( $value ),
+					'number' === $field['type'] ? 'small-text' : 'regular-text',
+					isset( $field['placeholder'] ) ? ' placeholder="' . esc_attr( $field['placeholder'] ) . '"' : '',
+					$attrs // Escaped above
+				);
+				if ( isset( $field['suffix'] ) ) {
+					echo ' ' . esc_html( $field['suffix'] );
+				}
+				break;
+		}
+
+		if ( isset( $field['description'] ) ) {
+			echo '<p class="description">' . esc_html( $field['description'] ) . '</p>';
+		}
+
+		if ( isset( $field['filter'] ) && has_filter( $field['filter'] ) ) {
+			echo '<p class="description"><em>';
+			printf(
+				/* translators: %s: Filter name. */
+				esc_html__( 'Code on this site is hooked to the %s filter, which takes precedence over this setting.', 'wp-read-tools' ),
+				'<code>' . esc_html( $field['filter'] ) . '</code>'
+			);
+			echo '</em></p>';
+		}
+	}
+
+	/**
+	 * Sanitizes the submitted settings.
+	 *
+	 * Unchecked checkboxes are missing from the submission and become false;
+	 * other missing or invalid values fall back to their defaults. The input
+	 * has already been unslashed by options.php, and list settings may arrive
+	 * as text or as parsed arrays.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  mixed $input Submitted values.
+	 * @return array Sanitized settings.
+	 */
+	public static function sanitize_settings( $input ) {
+		$input    = is_array( $input ) ? $input : array();
+		$defaults = self::get_defaults();
+		$output   = array();
+
+		foreach ( self::get_fields() as $key => $field ) {
+			$value = isset( $input[ $key ] ) ? $input[ $key ] : null;
+
+			switch ( $field['type'] ) {
+				case 'checkbox':
+					$output[ $key ] = ! empty( $value );
+					break;
+
+				case 'number':
+					$number = is_numeric( $value ) ? (float) $value : $defaults[ $key ];
+					if ( isset( $field['attrs']['min'] ) ) {
+						$number = max( $field['attrs']['min'], $number );
+					}
+					if ( isset( $field['attrs']['max'] ) ) {
+						$number = min( $field['attrs']['max'], $number );
+					}
+					$output[ $key ] = isset( $field['attrs']['step'] ) ? (float) $number : (int) round( $number );
+					break;
+
+				case 'select':
+					$value          = null === $value ? '' : sanitize_key( $value );
+					$output[ $key ] = isset( $field['options'][ $value ] ) ? $value : $defaults[ $key ];
+					break;
+
+				case 'textarea':
+					// Arrays come from a second pass (add_option() runs this again) or update_option() in code
+					if ( 'voice_preferences' === $key ) {
+						$output[ $key ] = is_array( $value ) ? self::sanitize_voice_preferences( $value ) : self::parse_voice_preferences( (string) $value );
+					} elseif ( 'lexicon' === $key ) {
+						$output[ $key ] = is_array( $value ) ? WP_Read_Tools_Pronunciation::sanitize_rules( $value ) : WP_Read_Tools_Pronunciation::parse_rules( (string) $value );
+					} else {
+						$output[ $key ] = is_array( $value ) ? self::sanitize_lines( $value ) : self::parse_lines( (string) $value );
+					}
+					break;
+
+				default:
+					$output[ $key ] = null === $value ? $defaults[ $key ] : sanitize_text_field( $value );
+					break;
+			}
+		}
+
+		return $output;
+	}
+
+	/**
+	 * Returns the textarea text of a list setting.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  string $key   Setting name.
+	 * @param  array  $value Setting value.
+	 * @return string One entry per line.
+	 */
+	private static function format_textarea_value( $key, $value ) {
+		if ( 'lexicon' === $key ) {
+			return WP_Read_Tools_Pronunciation::format_rules( $value );
+		}
+		if ( 'voice_preferences' !== $key ) {
+			return implode( "\n", (array) $value );
+		}
+
+		$lines = array();
+		foreach ( (array) $value as $language => $groups ) {
+			$lines[] = $language . ': ' . implode(
+				' | ',
+				array_map(
+					function ( $group ) {
+						return implode( ', ', (array) $group );
+					},
+					(array) $groups
+				)
+			);
+		}
+		return implode( "\n", $lines );
+	}
+
+	/**
+	 * Splits a textarea into its non-empty, trimmed lines.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  string $text Submitted text.
+	 * @return array Lines.
+	 */
+	private static function parse_lines( $text ) {
+		return self::sanitize_lines( preg_split( '/\r\n|\r|\n/', $text ) );
+	}
+
+	/**
+	 * Sanitizes a list of lines, dropping empty and non-text entries.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  array $lines Lines.
+	 * @return array Non-empty, sanitized lines.
+	 */
+	private static function sanitize_lines( $lines ) {
+		$lines = array_filter( $lines, 'is_scalar' );
+		return array_values( array_filter( array_map( 'sanitize_text_field', $lines ) ) );
+	}
+
+	/**
+	 * Parses the voice preferences textarea.
+	 *
+	 * Lines look like "es: es-US | es-MX, es-CO"; invalid language codes and
+	 * tags are dropped.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  string $text Submitted text.
+	 * @return array Groups of language tags keyed by two- or three-letter language code.
+	 */
+	private static function parse_voice_preferences( $text ) {
+		$preferences = array();
+
+		foreach ( self::parse_lines( $text ) as $line ) {
+			$parts = explode( ':', $line, 2 );
+			if ( count( $parts ) < 2 ) {
+				continue;
+			}
+
+			$preferences[ strtolower( trim( $parts[0] ) ) ] = array_map(
+				function ( $group ) {
+					return explode( ',', $group );
+				},
+				explode( '|', $parts[1] )
+			);
+		}
+
+		return self::sanitize_voice_preferences( $preferences );
+	}
+
+	/**
+	 * Sanitizes parsed voice preferences.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  array $preferences Groups of language tags keyed by language code.
+	 * @return array Preferences without invalid language codes, tags and empty groups.
+	 */
+	private static function sanitize_voice_preferences( $preferences ) {
+		$sanitized = array();
+
+		foreach ( $preferences as $language => $groups ) {
+			if ( ! preg_match( '/^[a-z]{2,3}$/', (string) $language ) || ! is_array( $groups ) ) {
+				continue;
+			}
+
+			$valid = array();
+			foreach ( $groups as $group ) {
+				$tags = array_values(
+					array_filter(
+						array_map( 'trim', array_filter( (array) $group, 'is_string' ) ),
+						function ( $tag ) {
+							return (bool) preg_match( '/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i', $tag );
+						}
+					)
+				);
+				if ( ! empty( $tags ) ) {
+					$valid[] = $tags;
+				}
+			}
+
+			if ( ! empty( $valid ) ) {
+				$sanitized[ $language ] = $valid;
+			}
+		}
+
+		return $sanitized;
+	}
+}
@@ -76,6 +76,35 @@ class WP_Read_Tools_Shortcode {
 		return number_format_i18n($number, $decimals);
 	}
 
+	/**
+	 * Returns the decimal and thousands separators used by format_number().
+	 *
+	 * Lets the script format reading times it recomputes the same way.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @global WP_Locale $wp_locale WordPress date and time locale object.
+	 *
+	 * @return array {
+	 *     @type string $decimal   Decimal point.
+	 *     @type string $thousands Thousands separator.
+	 * }
+	 */
+	public static function get_number_format() {
+		global $wp_locale;
+
+		if ( strpos( determine_locale(), 'es_' ) === 0 ) {
+			return array( 'decimal' => '.', 'thousands' => ',' );
+		}
+
+		return array(
+			'decimal'   => isset( $wp_locale ) ? $wp_locale->number_format['decimal_point'] : '.',
+			'thousands' => isset( $wp_locale ) ? $wp_locale->number_format['thousands_sep'] : ',',
+		);
+	}
+
 	/**
 	 * Enhanced content detection for page builders and custom content areas.
 	 *
@@ -96,19 +125,24 @@ class WP_Read_Tools_Shortcode {
 	 * - Secondary: Page builder meta fields (_avada_page_content, _elementor_data, etc.)
 	 * - Fallback: Frontend content extraction (marked for JavaScript processing)
 	 *
+	 * The selector and the frontend extraction flag are saved as post meta
+	 * unless $read_only is set.
+	 *
 	 * @since  1.0.1
 	 * @access private
 	 * @static
 	 *
 	 * @param  int    $post_id    Post ID to retrieve content for.
 	 * @param  string $content_id Optional CSS selector ID for custom content container.
+	 * @param  bool   $read_only  Whether to detect without saving post meta.
 	 * @return string             Post content or empty string if not found.
 	 */
-	private static function get_post_content_enhanced( $post_id, $content_id = '' ) {
-		$content = '';
+	private static function get_post_content_enhanced( $post_id, $content_id = '', $read_only = false ) {
+		$content        = '';
+		$needs_frontend = false;
 
 		// Strategy 1: Use custom content ID if provided
-		if ( ! empty( $content_id ) ) {
+		if ( ! empty( $content_id ) && ! $read_only ) {
 			// Store the selector for JavaScript to use
 			update_post_meta( $post_id, '_wp_read_tools_content_selector', $content_id );
 		}
@@ -126,12 +160,12 @@ class WP_Read_Tools_Shortcode {
 
 			if ( $fusion_page_data === 'active' && empty( $content ) ) {
 				// For Avada Builder pages, we'll rely on frontend content extraction
-				update_post_meta( $post_id, '_wp_read_tools_needs_frontend_extraction', 'yes' );
+				$needs_frontend = true;
 			}
 
 			// Force frontend extraction for all Avada pages if content is minimal
 			if ( empty( trim( strip_tags( $content ) ) ) || strlen( trim( strip_tags( $content ) ) ) < 100 ) {
-				update_post_meta( $post_id, '_wp_read_tools_needs_frontend_extraction', 'yes' );
+				$needs_frontend = true;
 			}
 		}
 
@@ -139,10 +173,14 @@ class WP_Read_Tools_Shortcode {
 		if ( empty( $content ) && defined( 'ELEMENTOR_VERSION' ) ) {
 			if ( \Elementor\Plugin::$instance->db->is_built_with_elementor( $post_id ) ) {
 				// For Elementor, we need frontend extraction
-				update_post_meta( $post_id, '_wp_read_tools_needs_frontend_extraction', 'yes' );
+				$needs_frontend = true;
 			}
 		}
 
+		if ( $needs_frontend && ! $read_only ) {
+			update_post_meta( $post_id, '_wp_read_tools_needs_frontend_extraction', 'yes' );
+		}
+
 		// Strategy 4: Standard post content fallback
 		if ( empty( $content ) ) {
 			$content = get_post_field( 'post_content', $post_id );
@@ -153,29 +191,267 @@ class WP_Read_Tools_Shortcode {
 			'Content detection for post %d: length=%d, needs_frontend=%s',
 			$post_id,
 			strlen( $content ),
-			get_post_meta( $post_id, '_wp_read_tools_needs_frontend_extraction', true ) ?: 'no'
+			$needs_frontend ? 'yes' : ( get_post_meta( $post_id, '_wp_read_tools_needs_frontend_extraction', true ) ?: 'no' )
 		) );
 
 		return $content;
 	}
 
+	/**
+	 * Returns the factors of the reading time model.
+	 *
+	 * Words are read at the shortcode's words-per-minute rate; the others
+	 * adjust for content that word counts misjudge.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @return array {
+	 *     @type int   $cpm               Chinese and Japanese characters read per minute.
+	 *     @type int   $image_seconds     Seconds spent on the first image.
+	 *     @type int   $min_image_seconds Seconds spent on each image from the tenth on; the
+	 *                                    images in between take one second less than the previous.
+	 *     @type float $code_factor       How many times longer code takes to read than prose.
+	 * }
+	 */
+	public static function get_reading_time_factors() {
+		$factors = array(
+			'cpm'               => 300,
+			'image_seconds'     => 12,
+			'min_image_seconds' => 3,
+			'code_factor'       => 2,
+		);
+
+		// Allow sites to tune the model, e.g. a higher 'cpm' for Japanese-only sites
+		return wp_parse_args( apply_filters( 'wp_read_tools_reading_time_factors', $factors ), $factors );
+	}
+
+	/**
+	 * Counts the words of a text, whatever its script.
+	 *
+	 * Chinese and Japanese are counted by character, since they don't separate
+	 * words with spaces and are read at a character rate. Other text is split
+	 * into words by the ICU word break rules when the intl extension is
+	 * available (which also segments Thai, Lao, Khmer and Burmese), or by
+	 * Unicode letter and number runs otherwise, so accented and non-Latin
+	 * words count as one word each.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  string $text Plain text.
+	 * @return array {
+	 *     @type int $words      Number of words, excluding Chinese and Japanese.
+	 *     @type int $characters Number of Chinese and Japanese characters.
+	 * }
+	 */
+	public static function count_words( $text ) {
+		// Ideographic punctuation (。、「」) shares these scripts but isn't read
+		$cjk        = '/(?!\p{P})[\p{Han}\p{Hiragana}\p{Katakana}]/u';
+		$characters = (int) preg_match_all( $cjk, $text );
+		if ( $characters > 0 ) {
+			$text = preg_replace( $cjk, ' ', $text );
+		}
+
+		$words = 0;
+		if ( class_exists( 'IntlBreakIterator' ) ) {
+			$iterator = IntlBreakIterator::createWordInstance( determine_locale() );
+			$iterator->setText( $text );
+			foreach ( $iterator as $boundary ) {
+				// Statuses below WORD_NONE_LIMIT are spaces and punctuation
+				if ( $iterator->getRuleStatus() >= IntlBreakIterator::WORD_NONE_LIMIT ) {
+					$words++;
+				}
+			}
+		} else {
+			// Without a dictionary, Southeast Asian scripts are estimated at about five characters per word
+			$unsegmented = (int) preg_match_all( '/[\p{Thai}\p{Lao}\p{Khmer}\p{Myanmar}]/u', $text );
+			if ( $unsegmented > 0 ) {
+				$words += (int) ceil( $unsegmented / 5 );
+				$text   = preg_replace( '/[\p{Thai}\p{Lao}\p{Khmer}\p{Myanmar}]+/u', ' ', $text );
+			}
+			$words += (int) preg_match_all( '/[\p{L}\p{N}\p{M}]+(?:[\'\x{2019}.\-][\p{L}\p{N}\p{M}]+)*/u', $text );
+		}
+
+		return array(
+			'words'      => $words,
+			'characters' => $characters,
+		);
+	}
+
+	/**
+	 * Estimates the reading time of a post.
+	 *
+	 * Counts the words of the post content (with page builder shortcode tags
+	 * stripped but their inner text kept) with count_words() and divides them
+	 * by the reading speed, adding time for Chinese and Japanese characters,
+	 * images and code blocks (see get_reading_time_factors()). Used by the
+	 * shortcode and, read-only, by the REST API.
+	 *
+	 * @since  1.2.0
+	 * @access public
+	 * @static
+	 *
+	 * @param  int    $post_id    Post ID.
+	 * @param  int    $wpm        Reading speed in words per minute.
+	 * @param  string $content_id Optional CSS selector ID for custom content container.
+	 * @param  bool   $read_only  Whether to skip saving the page builder detection
+	 *                            (see get_post_content_enhanced()).
+	 * @return array {
+	 *     @type int   $words           Word count, including code.
+	 *     @type int   $characters      Chinese and Japanese character count.
+	 *     @type int   $images          Number of images.
+	 *     @type int   $code_words      Words inside code blocks.
+	 *     @type int   $wpm             Reading speed used.
+	 *     @type float $minutes         Reading time in minutes, rounded to 2 decimals.
+	 *     @type float $rounded_minutes Reading time rounded up to the nearest half minute.
+	 * }
+	 */
+	public static function get_reading_time( $post_id, $wpm, $content_id = '', $read_only = false ) {
+		// Get the post content using enhanced detection for page builders
+		$content = self::get_post_content_enhanced( $post_id, $content_id, $read_only );
+
+		// Remove shortcode tags but preserve inner content (critical for page builders
+		// like Avada/Fusion Builder whose registered shortcodes would be removed entirely
+		// by strip_shortcodes(), including the text content within them).
+		$content = preg_replace( '/\[\/?\w[^\]]*\]/', '', $content );
+
+		// Images and code take longer than their word count suggests
+		$images     = (int) preg_match_all( '/<img\b/i', $content );
+		$code_words = 0;
+		if ( preg_match_all( '#<pre\b[^>]*>(.*?)</pre>#is', $content, $code_blocks ) ) {
+			foreach ( $code_blocks[1] as $code ) {
+				$code_count  = self::count_words( html_entity_decode( wp_strip_all_tags( $code ), ENT_QUOTES, 'UTF-8' ) );
+				$code_words += $code_count['words'];
+			}
+		}
+
+		$stripped_content = wp_strip_all_tags( $content );
+		$stripped_content = html_entity_decode( $stripped_content, ENT_QUOTES, 'UTF-8' );
+
+		// Fix drop-cap artifact: when a drop-cap shortcode wraps a single letter,
+		// stripping tags leaves a space between the letter and the rest of the word
+		// (e.g. [fusion_dropcap]O[/fusion_dropcap] rando → "O rando" instead of "Orando").
+		$stripped_content = trim( $stripped_content );
+		$stripped_content = preg_replace( '/^(\pL)\s+(\pL)/u', '$1$2', $stripped_content );
+
+		// Allow filtering of content before word count calculation
+		$stripped_content = apply_filters( 'wp_read_tools_content_before_count', $stripped_content, $post_id );
+
+		$counts  = self::count_words( $stripped_content );
+		$factors = self::get_reading_time_factors();
+
+		// Calculate reading time in minutes.
+		$minutes_exact = 0;
+		if ( $wpm > 0 ) {
+			$minutes_exact = ( $counts['words'] + $code_words * ( $factors['code_factor'] - 1 ) ) / $wpm;
+		}
+		if ( $factors['cpm'] > 0 ) {
+			$minutes_exact += $counts['characters'] / $factors['cpm'];
+		}
+		$minutes_exact += self::get_image_seconds( $images, $factors ) / 60;
+		$minutes_exact  = round( $minutes_exact, 2 ); // Round to 2 decimal places for precision.
+
+		return array(
+			'words'           => $counts['words'],
+			'characters'      => $counts['characters'],
+			'images'          => $images,
+			'code_words'      => $code_words,
+			'wpm'             => (int) $wpm,
+			'minutes'         => $minutes_exact,
+			// Round up to the nearest 0.5 for display.
+			'rounded_minutes' => ceil( $minutes_exact * 2 ) / 2,
+		);
+	}
+
+	/**
+	 * Returns the seconds spent looking at a post's images.
+	 *
+	 * The first image takes 'image_seconds', each following one a second
+	 * less, down to 'min_image_seconds'.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  int   $images  Number of images.
+	 * @param  array $factors Reading time factors.
+	 * @return int Seconds.
+	 */
+	private static function get_image_seconds( $images, $factors ) {
+		$seconds = 0;
+		for ( $i = 0; $i < $images; $i++ ) {
+			$seconds += max( (int) $factors['min_image_seconds'], (int) $factors['image_seconds'] - $i );
+		}
+		return $seconds;
+	}
+
+	/**
+	 * Returns the speech payload of a post as an inline JSON script tag.
+	 *
+	 * The script reads it instead of requesting the content, so narration
+	 * starts without a round trip. Each post is inlined once per page, and
+	 * only when anyone who can see the page could also request the content:
+	 * private and password-protected posts are left to the content request
+	 * and its permission checks.
+	 *
+	 * @since  1.2.0
+	 * @access private
+	 * @static
+	 *
+	 * @param  int $post_id Post ID.
+	 * @return string Script tag, or an empty string when the post isn't inlined.
+	 */
+	private static function get_inline_content( $post_id ) {
+		static $inlined = array();
+
+		if ( isset( $inlined[ $post_id ] ) || 'publish' !== get_post_status( $post_id ) || post_password_required( $post_id ) ) {
+			return '';
+		}
+
+		$payload = WP_Read_Tools_Ajax::get_speech_payload( $post_id );
+		if ( is_wp_error( $payload ) ) {
+			return '';
+		}
+		$inlined[ $post_id ] = true;
+
+		// JSON_HEX_TAG keeps "</script>" in the text from closing the tag
+		return '<script type="application/json" class="read-aloud-content" data-post-id="' . esc_attr( $post_id ) . '">'
+			. wp_json_encode( $payload, JSON_HEX_TAG | JSON_HEX_AMP | JSON_UNESCAPED_UNICODE )
+			. '</script>';
+	}
+
 	/**
 	 * Renders the HTML output for the [readtime] shortcode.
 	 *
 	 * Calculates the estimated reading time for the current post and optionally displays
-	 * a link to trigger text-to-speech functionality.
+	 * a link to trigger text-to-speech functionality. Defaults marked "setting" come
+	 * from Settings → Read Tools; the values below are those of a fresh install.
 	 *
 	 * @since 1.0.0
 	 *
 	 * @param array|string $atts {
 	 *     Optional. An array of shortcode attributes. Default empty.
 	 *
-	 *     @type string $read-aloud Whether to show the read-aloud link ('yes' or 'no'). Default 'no'.
+	 *     @type string $read-aloud Whether to show the read-aloud link ('yes' or 'no'). Default 'no' (setting).
 	 *     @type string $class      CSS class for the container div. Default 'readtime'.
-	 *     @type int    $wpm        Reading speed in words per minute. Default 180.
-	 *     @type string $link_text  Text for the read-aloud link. Default 'Listen'.
-	 *     @type string $icon_class Font Awesome icon class for the read-aloud button. Default 'fas fa-headphones'.
+	 *     @type int    $wpm        Reading speed in words per minute. Default 180 (setting).
+	 *     @type string $link_text  Text for the read-aloud link. Default 'Listen' (setting).
+	 *     @type string $icon_class Font Awesome icon class for the read-aloud button. Default 'fas fa-headphones' (setting).
 	 *     @type string $content_id CSS selector ID for custom content container. Default empty (uses post content).
+	 *     @type string $highlight  Whether to highlight the text being read aloud ('yes' or 'no'). Default 'yes' (setting).
+	 *     @type string $player     Whether to show the sticky mini-player while reading aloud ('yes' or 'no'). Default 'no' (setting).
+	 *     @type float  $rate       Default speech rate, from 0.5 to 2. Default 1 (setting). Listener choices take precedence.
+	 *     @type string $voice      Default voice name (or part of it), e.g. 'Sabina'. Default empty (setting; automatic selection).
+	 *     @type string $include    Comma-separated CSS selectors of the elements to read when the content is
+	 *                              extracted from the page. Default empty (automatic detection).
+	 *     @type string $exclude    Comma-separated CSS selectors of elements to leave out of page extraction
+	 *                              and highlighting. Default empty.
+	 *     @type string $delivery   When the speech text is loaded: 'lazy' (on click), 'prefetch' (on hover,
+	 *                              focus or when the link scrolls into view) or 'inline' (in the page).
+	 *                              Default 'lazy' (setting).
 	 * }
 	 * @return string HTML output for the shortcode. Returns empty string if post ID is not found.
 	 */
@@ -186,15 +462,25 @@ class WP_Read_Tools_Shortcode {
 			return ''; // Cannot calculate reading time outside a post.
 		}
 
+		$link_text_default = WP_Read_Tools_Settings::get( 'link_text' );
+		$default_wpm       = (int) WP_Read_Tools_Settings::get( 'wpm' );
+
 		// Define default attributes and merge with user-provided ones.
 		$atts = shortcode_atts(
 			array(
-				'read-aloud' => 'no',    // Option to enable/disable the read-aloud link.
+				'read-aloud' => WP_Read_Tools_Settings::get( 'read_aloud' ) ? 'yes' : 'no', // Option to enable/disable the read-aloud link.
 				'class'      => 'readtime', // Default CSS class for the container.
-				'wpm'        => 180,     // Average reading speed (words per minute).
-				'link_text'  => __( 'Listen', 'wp-read-tools' ), // Translatable link text.
-				'icon_class' => 'fas fa-headphones', // Ensure space between classes
+				'wpm'        => $default_wpm, // Average reading speed (words per minute).
+				'link_text'  => '' !== $link_text_default ? $link_text_default : __( 'Listen', 'wp-read-tools' ), // Translatable link text.
+				'icon_class' => WP_Read_Tools_Settings::get( 'icon_class' ), // Ensure space between classes
 				'content_id' => '',      // CSS selector ID for custom content container
+				'highlight'  => WP_Read_Tools_Settings::get( 'highlight' ) ? 'yes' : 'no', // Highlight the sentence and word being read aloud.
+				'player'     => WP_Read_Tools_Settings::get( 'player' ) ? 'yes' : 'no', // Sticky mini-player with progress, speed and voice controls.
+				'rate'       => WP_Read_Tools_Settings::get( 'rate' ), // Default speech rate (0.5 - 2).
+				'voice'      => WP_Read_Tools_Settings::get( 'voice' ), // Default voice name; empty for automatic selection.
+				'include'    => '',      // CSS selectors of the content to read from the page.
+				'exclude'    => '',      // CSS selectors of elements never read from the page.
+				'delivery'   => WP_Read_Tools_Settings::get( 'delivery' ), // When the speech text is loaded: lazy, prefetch or inline.
 			),
 			$atts,
 			'readtime' // Shortcode tag used for filtering attributes.
@@ -208,41 +494,31 @@ class WP_Read_Tools_Shortcode {
 		// Use sanitize_text_field instead of sanitize_html_class to preserve spaces
 		$icon_class = sanitize_text_field( $atts['icon_class'] );
 		$content_id = sanitize_text_field( $atts['content_id'] );
+		$highlight  = 'no' === strtolower( sanitize_text_field( $atts['highlight'] ) ) ? 'no' : 'yes';
+		$player     = 'yes' === strtolower( sanitize_text_field( $atts['player'] ) ) ? 'yes' : 'no';
+		$rate       = min( 2, max( 0.5, (float) $atts['rate'] ) );
+		$voice      = sanitize_text_field( $atts['voice'] );
+		$include    = sanitize_text_field( $atts['include'] );
+		$exclude    = sanitize_text_field( $atts['exclude'] );
+		$delivery   = strtolower( sanitize_text_field( $atts['delivery'] ) );
 
 		// Ensure WPM is reasonable.
 		if ( $wpm < 1 ) {
-			$wpm = 180; // Reset to default if invalid.
+			$wpm = $default_wpm; // Reset to default if invalid.
 		}
 
 		// Allow filtering of WPM based on post context
 		$wpm = apply_filters( 'wp_read_tools_wpm', $wpm, $post_id );
 
-		// Get the post content using enhanced detection for page builders
-		$content = self::get_post_content_enhanced( $post_id, $content_id );
-
-		// Remove shortcode tags but preserve inner content (critical for page builders
-		// like Avada/Fusion Builder whose registered shortcodes would be removed entirely
-		// by strip_shortcodes(), including the text content within them).
-		$stripped_content = preg_replace( '/\[\/?\w[^\]]*\]/', '', $content );
-		$stripped_content = wp_strip_all_tags( $stripped_content );
-
-		// Fix drop-cap artifact: when a drop-cap shortcode wraps a single letter,
-		// stripping tags leaves a space between the letter and the rest of the word
-		// (e.g. [fusion_dropcap]O[/fusion_dropcap] rando → "O rando" instead of "Orando").
-		$stripped_content = trim( $stripped_content );
-		$stripped_content = preg_replace( '/^(\pL)\s+(\pL)/u', '$1$2', $stripped_content );
-
-		// Allow filtering of content before word count calculation
-		$stripped_content = apply_filters( 'wp_read_tools_content_before_count', $stripped_content, $post_id );
-
-		$word_count = str_word_count( $stripped_content );
-
-		// Calculate reading time in minutes.
-		$minutes_exact = ( $word_count > 0 && $wpm > 0 ) ? ( $word_count / $wpm ) : 0;
-		$minutes_exact = round( $minutes_exact, 2 ); // Round to 2 decimal places for precision.
+		// Allow choosing the delivery per post, e.g. inline for the most read articles
+		$delivery = apply_filters( 'wp_read_tools_delivery', $delivery, $post_id );
+		if ( ! in_array( $delivery, array( 'lazy', 'prefetch', 'inline' ), true ) ) {
+			$delivery = 'lazy';
+		}
 
-		// Round up to the nearest 0.5 for display.
-		$rounded_minutes = ceil( $minutes_exact * 2 ) / 2;
+		$reading_time    = self::get_reading_time( $post_id, $wpm, $content_id );
+		$minutes_exact   = $reading_time['minutes'];
+		$rounded_minutes = $reading_time['rounded_minutes'];
 
 		// Prepare the text for the reading time tooltip.
 		$read_time_tooltip_text = sprintf(
@@ -254,16 +530,18 @@ class WP_Read_Tools_Shortcode {
 		// Prepare the text for the read-aloud link tooltip.
 		$read_aloud_tooltip_text = __( 'Listen to this article', 'wp-read-tools' );
 
+		// Allow filtering of time format
+		$time_format = apply_filters( 'wp_read_tools_time_format', __( '%s min read', 'wp-read-tools' ), $rounded_minutes, $post_id );
+
 		// Start building the HTML output.
 		$output = '<div class="' . esc_attr( $class ) . '">';
 
 		// Reading time line.
-		$output .= '<span class="read-time-line" title="' . esc_attr( $read_time_tooltip_text ) . '">';
+		$output .= '<span class="read-time-line" title="' . esc_attr( $read_time_tooltip_text ) . '"';
+		// Lets the script recompute the reading time from text it extracts from the page.
+		$output .= ' data-wpm="' . esc_attr( $wpm ) . '" data-time-format="' . esc_attr( $time_format ) . '">';
 		$output .= '<i class="fas fa-stopwatch" aria-hidden="true"></i> '; // Added aria-hidden for decorative icon.
 
-		// Allow filtering of time format
-		$time_format = apply_filters( 'wp_read_tools_time_format', __( '%s min read', 'wp-read-tools' ), $rounded_minutes, $post_id );
-
 		$output .= sprintf( esc_html( $time_format ),
 			self::format_number( $rounded_minutes, 1 )
 		);
@@ -272,11 +550,43 @@ class WP_Read_Tools_Shortcode {
 		// Create the read-aloud link if enabled.
 		if ( 'yes' === $read_aloud ) {
 			$output .= '<span class="read-aloud-line read-aloud-link" title="' . esc_attr( $read_aloud_tooltip_text ) . '">';
-			$output .= '<a href="#" class="read-aloud-trigger" data-post-id="' . esc_attr( $post_id ) . '">';
+			$output .= '<a href="#" class="read-aloud-trigger" role="button" data-post-id="' . esc_attr( $post_id ) . '"';
+			// Modified time keys the listening position saved in the browser, so it resets when the post changes.
+			$output .= ' data-post-modified="' . esc_attr( get_post_modified_time( 'U', true, $post_id ) ) . '"';
+			$output .= ' data-highlight="' . esc_attr( $highlight ) . '"';
+			$output .= ' data-player="' . esc_attr( $player ) . '"';
+			$output .= ' data-rate="' . esc_attr( $rate ) . '"';
+			$output .= ' data-title="' . esc_attr( wp_strip_all_tags( get_the_title( $post_id ) ) ) . '"';
+			if ( ! empty( $voice ) ) {
+				$output .= ' data-voice="' . esc_attr( $voice ) . '"';
+			}
+			// Featured image shown as artwork on lock screens and media notifications.
+			$image = get_the_post_thumbnail_url( $post_id, 'medium' );
+			if ( $image ) {
+				$output .= ' data-image="' . esc_url( $image ) . '"';
+			}
+			if ( ! empty( $content_id ) ) {
+				// Lets the script find the rendered content for extraction and highlighting.
+				$output .= ' data-content-id="' . esc_attr( $content_id ) . '"';
+			}
+			if ( ! empty( $include ) ) {
+				$output .= ' data-include="' . esc_attr( $include ) . '"';
+			}
+			if ( ! empty( $exclude ) ) {
+				$output .= ' data-exclude="' . esc_attr( $exclude ) . '"';
+			}
+			if ( 'prefetch' === $delivery ) {
+				$output .= ' data-delivery="prefetch"';
+			}
+			$output .= '>';
 			$output .= '<i class="' . esc_attr( str_replace('  ', ' ', $icon_class) ) . '" aria-hidden="true"></i> '; // Added str_replace to ensure single spaces
 			$output .= esc_html( $link_text );
 			$output .= '</a>';
 			$output .= '</span>';
+
+			if ( 'inline' === $delivery ) {
+				$output .= self::get_inline_content( $post_id );
+			}
 		}
 
 		$output .= '</div>';
@@ -0,0 +1,75 @@
+<?php
+/**
+ * Uninstall routine for the WP Read Tools plugin.
+ *
+ * Runs when the plugin is deleted from the Plugins screen (not when it is
+ * deactivated) and removes everything the plugin stored: its settings, the
+ * listening events table and its schema version, per-post meta, cached
+ * content and rate limit transients, audio render locks and the cached
+ * server audio files. On multisite every site is cleaned.
+ *
+ * @package    WP_Read_Tools
+ * @since      1.2.0
+ * @author     Adalberto H. Vega <contacto@inteldevign.com>
+ */
+
+// Exit unless WordPress is uninstalling the plugin.
+if ( ! defined( 'WP_UNINSTALL_PLUGIN' ) ) {
+	exit;
+}
+
+/**
+ * Removes the plugin data of the current site.
+ *
+ * @since 1.2.0
+ *
+ * @global wpdb $wpdb WordPress database abstraction object.
+ *
+ * @return void
+ */
+function wp_read_tools_uninstall_site() {
+	global $wpdb;
+
+	// Settings (WP_Read_Tools_Settings::OPTION) and the analytics schema version
+	delete_option( 'wp_read_tools_settings' );
+	delete_option( 'wp_read_tools_analytics_db_version' );
+
+	// Listening events (WP_Read_Tools_Analytics::get_table_name())
+	$wpdb->query( "DROP TABLE IF EXISTS {$wpdb->prefix}read_tools_events" );
+
+	// Per-post lexicon and page builder detection
+	foreach ( array( '_wp_read_tools_lexicon', '_wp_read_tools_needs_frontend_extraction', '_wp_read_tools_content_selector' ) as $meta_key ) {
+		delete_post_meta_by_key( $meta_key );
+	}
+
+	// Cached content and rate limit windows (transients kept in a persistent
+	// object cache expire on their own), and render locks left by a failed render
+	$wpdb->query(
+		"DELETE FROM {$wpdb->options}
+		WHERE option_name LIKE '\\_transient\\_wp\\_read\\_tools\\_%'
+		OR option_name LIKE '\\_transient\\_timeout\\_wp\\_read\\_tools\\_%'
+		OR option_name LIKE 'wp\\_read\\_tools\\_audio\\_lock\\_%'"
+	);
+
+	// Cached server audio (WP_Read_Tools_Audio::UPLOADS_DIR)
+	$uploads = wp_upload_dir( null, false );
+	$dir     = trailingslashit( $uploads['basedir'] ) . 'wp-read-tools-audio';
+	if ( is_dir( $dir ) ) {
+		foreach ( (array) glob( $dir . '/*' ) as $file ) {
+			if ( is_file( $file ) ) {
+				wp_delete_file( $file );
+			}
+		}
+		rmdir( $dir );
+	}
+}
+
+if ( is_multisite() ) {
+	foreach ( get_sites( array( 'fields' => 'ids', 'number' => 0 ) ) as $site_id ) {
+		switch_to_blog( $site_id );
+		wp_read_tools_uninstall_site();
+		restore_current_blog();
+	}
+} else {
+	wp_read_tools_uninstall_site();
+}
@@ -97,8 +97,8 @@ add_action( 'plugins_loaded', 'wp_read_tools_load_textdomain' );
 /**
  * Debug logging helper function.
  *
- * Logs debug messages when WP_READ_TOOLS_DEBUG is enabled.
- * Messages are logged to WordPress debug log if WP_DEBUG_LOG is enabled.
+ * Logs debug messages when WP_READ_TOOLS_DEBUG or the "Debug log" setting
+ * is enabled. Messages are logged to WordPress debug log if WP_DEBUG_LOG is enabled.
  *
  * @since 1.0.0
  *
@@ -107,7 +107,13 @@ add_action( 'plugins_loaded', 'wp_read_tools_load_textdomain' );
  * @return void
  */
 function wp_read_tools_log( $message, $level = 'info' ) {
-	if ( ! WP_READ_TOOLS_DEBUG || ! defined( 'WP_DEBUG_LOG' ) || ! WP_DEBUG_LOG ) {
+	if ( ! defined( 'WP_DEBUG_LOG' ) || ! WP_DEBUG_LOG ) {
+		return;
+	}
+
+	// The settings class isn't loaded yet for the first messages of wp_read_tools_init()
+	$debug = WP_READ_TOOLS_DEBUG || ( class_exists( 'WP_Read_Tools_Settings' ) && WP_Read_Tools_Settings::get( 'debug' ) );
+	if ( ! $debug ) {
 		return;
 	}
 
@@ -136,14 +142,25 @@ function wp_read_tools_init() {
 	wp_read_tools_log( 'Plugin initialization started' );
 
 	// Include class files.
+	require_once WP_READ_TOOLS_PATH . 'includes/class-wp-read-tools-settings.php';
 	require_once WP_READ_TOOLS_PATH . 'includes/class-wp-read-tools-enqueue.php';
 	require_once WP_READ_TOOLS_PATH . 'includes/class-wp-read-tools-ajax.php';
+	require_once WP_READ_TOOLS_PATH . 'includes/class-wp-read-tools-audio.php';
 	require_once WP_READ_TOOLS_PATH . 'includes/class-wp-read-tools-shortcode.php';
+	require_once WP_READ_TOOLS_PATH . 'includes/class-wp-read-tools-rest.php';
+	require_once WP_READ_TOOLS_PATH . 'includes/class-wp-read-tools-block.php';
+	require_once WP_READ_TOOLS_PATH . 'includes/class-wp-read-tools-analytics.php';
+	require_once WP_READ_TOOLS_PATH . 'includes/class-wp-read-tools-pronunciation.php';
 
 	// Initialize plugin components.
+	WP_Read_Tools_Settings::init();
 	WP_Read_Tools_Enqueue::init();
 	WP_Read_Tools_Ajax::init();
 	WP_Read_Tools_Shortcode::init();
+	WP_Read_Tools_Rest::init();
+	WP_Read_Tools_Block::init();
+	WP_Read_Tools_Analytics::init();
+	WP_Read_Tools_Pronunciation::init();
 
 	wp_read_tools_log( 'Plugin initialization completed' );
 }